@@ -0,0 +1,24 @@
+-- Asynchronous translation jobs (POST /jobs, GET /jobs/:id, DELETE /jobs/:id)
+CREATE TABLE IF NOT EXISTS translation_jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL, -- queued | running | completed | failed | cancelled
+    request_json TEXT NOT NULL,
+    total_items INTEGER NOT NULL,
+    completed_items INTEGER NOT NULL DEFAULT 0,
+    failed_items INTEGER NOT NULL DEFAULT 0,
+    metadata_json TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS translation_job_items (
+    job_id TEXT NOT NULL REFERENCES translation_jobs(id) ON DELETE CASCADE,
+    item_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- pending | done | failed
+    results_json TEXT,
+    errors_json TEXT,
+    PRIMARY KEY (job_id, item_id)
+);
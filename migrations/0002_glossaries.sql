@@ -0,0 +1,20 @@
+-- Glossaries (POST/GET/DELETE /glossaries, `glossary_id` on translate requests)
+CREATE TABLE IF NOT EXISTS glossaries (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    google_glossary TEXT, -- glossary created in Google Cloud Translation, if any
+    entries_json TEXT NOT NULL, -- [{ src_lang, tgt_lang, source, target }]
+    entry_count INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+-- Copies of a glossary created at a provider (DeepL), one per language pair
+CREATE TABLE IF NOT EXISTS glossary_provider_ids (
+    glossary_id TEXT NOT NULL REFERENCES glossaries(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    src_lang TEXT NOT NULL,
+    tgt_lang TEXT NOT NULL,
+    provider_glossary_id TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (glossary_id, provider, src_lang, tgt_lang)
+);
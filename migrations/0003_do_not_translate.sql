@@ -0,0 +1,6 @@
+-- Server-wide do-not-translate list (GET/POST /do-not-translate, DELETE /do-not-translate/:term),
+-- applied to every translate request on top of its own `do_not_translate` terms
+CREATE TABLE IF NOT EXISTS do_not_translate_terms (
+    term TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL
+);
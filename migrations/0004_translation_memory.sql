@@ -0,0 +1,13 @@
+-- Translation memory shared by every translate route: one row per source text, language pair,
+-- provider and set of translation options (see translation_memory.js)
+CREATE TABLE IF NOT EXISTS translation_memory (
+    source_hash TEXT NOT NULL, -- SHA-256 of the normalized source text (and its context)
+    src_lang TEXT NOT NULL,
+    tgt_lang TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    options_hash TEXT NOT NULL, -- SHA-256 of the options that change a translation
+    source_text TEXT NOT NULL,
+    translation TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (source_hash, src_lang, tgt_lang, provider, options_hash)
+);
@@ -0,0 +1,6 @@
+-- Token counts for fuzzy translation memory lookups (`fuzzy` on translate requests), which only
+-- score stored segments of a similar length. Rows stored before this migration have no count and
+-- are only found by exact lookups.
+ALTER TABLE translation_memory ADD COLUMN token_count INTEGER;
+
+CREATE INDEX IF NOT EXISTS translation_memory_fuzzy ON translation_memory (src_lang, tgt_lang, token_count);
@@ -0,0 +1,14 @@
+-- Human-approved translations (PUT/GET /corrections, DELETE /corrections/:id), served instead of
+-- machine output by every translate route (see corrections.js)
+CREATE TABLE IF NOT EXISTS corrections (
+    id TEXT PRIMARY KEY,
+    source_hash TEXT NOT NULL, -- SHA-256 of the normalized source text
+    src_lang TEXT NOT NULL,
+    tgt_lang TEXT NOT NULL,
+    source_text TEXT NOT NULL,
+    translation TEXT NOT NULL,
+    author TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (source_hash, src_lang, tgt_lang)
+);
@@ -0,0 +1,15 @@
+-- Ratings of translations by provider and language pair (POST /feedback), which order the
+-- providers of `routing: "learned"` /multi requests (see feedback.js)
+CREATE TABLE IF NOT EXISTS translation_feedback (
+    id TEXT PRIMARY KEY,
+    provider TEXT NOT NULL,
+    src_lang TEXT NOT NULL,
+    tgt_lang TEXT NOT NULL,
+    rating INTEGER NOT NULL, -- 1 (thumbs up, picked as best) or -1 (thumbs down, not picked)
+    source_text TEXT,
+    translation TEXT,
+    comment TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS translation_feedback_pair ON translation_feedback (src_lang, tgt_lang, provider);
@@ -0,0 +1,2 @@
+-- Times a stalled job was picked up again without storing a chunk in between (see jobs.js resumeJobs)
+ALTER TABLE translation_jobs ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,165 @@
+// Android `res/values/strings.xml` resources for POST /files/android.
+//
+// `<string>`, every `<item>` of a `<string-array>` and every quantity of a `<plurals>` is a
+// segment; resources marked `translatable="false"` are skipped. The output is the source file
+// edited in place: translated values replace the source ones, and non-translatable or
+// untranslated resources are left out so the app falls back to the default resources for them.
+// Plurals get the quantities of the target language.
+import { pluralFormsForLanguage } from './plurals.js';
+
+// Inline markup Android keeps in string resources
+export const ANDROID_INLINE_TAGS = ['xliff:g', 'b', 'i', 'u', 'a', 'font', 'annotation', 'big', 'small', 'sub', 'sup', 'strike', 'tt'];
+
+const RESOURCE = /(\n[ \t]*)?(?:<!--[\s\S]*?-->|<(string|string-array|plurals)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\2>))/g;
+const ITEM = /<item\b([^>]*)>([\s\S]*?)<\/item>/g;
+const TAG = /<\/?[a-zA-Z][\w:.-]*(?:\s[^<>]*)?\/?>/g;
+const CDATA = /^<!\[CDATA\[([\s\S]*)\]\]>$/;
+
+function attribute(attrs, name) {
+    return attrs.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`))?.[1] ?? null;
+}
+
+/**
+ * Resource value to plain text: strips surrounding quotes and CDATA, resolves Android escapes.
+ * Markup and XML entities are kept as they are.
+ */
+export function unescapeAndroid(value) {
+    let text = value.trim();
+    const cdata = text.match(CDATA);
+    if (cdata) return cdata[1];
+    if (/^"[\s\S]*"$/.test(text) && !text.endsWith('\\"')) text = text.slice(1, -1);
+    return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, escaped) => {
+        if (escaped.startsWith('u') && escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+        return ({ n: '\n', t: '\t' })[escaped] ?? escaped;
+    });
+}
+
+/**
+ * Plain text back to a resource value. Only text outside tags is escaped, so markup and its
+ * attributes come through unchanged.
+ */
+export function escapeAndroid(text) {
+    let output = '';
+    let last = 0;
+    const escapeText = (part) => part
+        .replace(/\\/g, '\\\\')
+        .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/'/g, "\\'")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    for (const match of text.matchAll(TAG)) {
+        output += escapeText(text.slice(last, match.index)) + match[0];
+        last = match.index + match[0].length;
+    }
+    output += escapeText(text.slice(last));
+    // A leading @ or ? would make the value a resource reference
+    return output.replace(/^([@?])/, '\\$1');
+}
+
+// `@string/app_name`, `?attr/label`; an escaped `\@` is literal text
+function isReference(value) {
+    return /^[@?]\w/.test(value.trim());
+}
+
+/**
+ * Parse a /files/android request into segments.
+ * Ids are the resource's position: `<n>` for strings, `<n>:<item>` for string arrays and
+ * `<n>:<quantity>` for plurals.
+ * @param {{document: string}} data
+ */
+export function parseAndroidDocument(data) {
+    const { document } = data;
+    if (typeof document !== 'string' || !document.trim()) {
+        return { segments: [], error: "'document' must be the strings.xml contents as a string." };
+    }
+    if (!/<resources\b/.test(document)) return { segments: [], error: 'Not an Android <resources> file.' };
+
+    const resources = [];
+    const segments = [];
+    for (const match of document.matchAll(RESOURCE)) {
+        const [, , type, attrs = '', content = ''] = match;
+        if (!type) continue;
+        const index = resources.length;
+        const translatable = attribute(attrs, 'translatable') !== 'false';
+        const resource = { type, start: match.index, end: match.index + match[0].length, xml: match[0], translatable };
+        resources.push(resource);
+        if (!translatable) continue;
+
+        const add = (id, value) => {
+            const text = unescapeAndroid(value);
+            if (text.trim() && !isReference(value)) segments.push({ id, text });
+        };
+        if (type === 'string') {
+            add(String(index), content);
+        } else {
+            [...content.matchAll(ITEM)].forEach(([, itemAttrs, value], position) => {
+                add(`${index}:${type === 'plurals' ? attribute(itemAttrs, 'quantity') : position}`, value);
+            });
+        }
+    }
+
+    return { segments, document, resources, options: { protect_tags: ANDROID_INLINE_TAGS } };
+}
+
+// Translated text for one value, the original value for references and blanks, or null
+function translatedValue(translations, id, original) {
+    if (!unescapeAndroid(original).trim() || isReference(original)) return original;
+    return typeof translations[id] === 'string' ? escapeAndroid(translations[id]) : null;
+}
+
+function buildResource(resource, index, translations, lang) {
+    const { type, xml } = resource;
+    if (type === 'string') {
+        const [, openTag, value = ''] = xml.match(/^(\s*<string\b[^>]*?)(?:\/>|>([\s\S]*)<\/string>)$/);
+        const translated = translatedValue(translations, String(index), value);
+        return translated === null ? null : `${openTag}>${translated}</string>`;
+    }
+
+    if (type === 'string-array') {
+        let complete = true;
+        let position = 0;
+        const output = xml.replace(ITEM, (item, attrs, value) => {
+            const translated = translatedValue(translations, `${index}:${position++}`, value);
+            if (translated === null) complete = false;
+            return `<item${attrs}>${translated ?? value}</item>`;
+        });
+        return complete ? output : null;
+    }
+
+    // plurals: one item per quantity of the target language, indented like the first source item
+    const items = [...xml.matchAll(ITEM)];
+    const forms = {};
+    for (const [, attrs, value] of items) {
+        const quantity = attribute(attrs, 'quantity');
+        const translated = translatedValue(translations, `${index}:${quantity}`, value);
+        if (translated !== null) forms[quantity] = translated;
+    }
+    const targetForms = pluralFormsForLanguage(forms, lang);
+    if (!targetForms || !items.length) return null;
+
+    const indent = xml.slice(0, items[0].index).match(/\n[ \t]*$/)?.[0] ?? '';
+    const closeIndent = xml.match(/(\n[ \t]*)<\/plurals>$/)?.[1] ?? '';
+    const openTag = xml.slice(0, xml.indexOf('>', xml.indexOf('<plurals')) + 1);
+    const body = Object.entries(targetForms)
+        .map(([quantity, text]) => `${indent}<item quantity="${quantity}">${text}</item>`)
+        .join('');
+    return `${openTag}${body}${closeIndent}</plurals>`;
+}
+
+/**
+ * Write the strings.xml for one target language.
+ */
+export function buildAndroidDocument(parsed, translations, lang) {
+    const { document, resources } = parsed;
+    let output = '';
+    let last = 0;
+    resources.forEach((resource, index) => {
+        output += document.slice(last, resource.start);
+        const built = resource.translatable ? buildResource(resource, index, translations, lang) : null;
+        if (built !== null) output += built;
+        last = resource.end;
+    });
+    return output + document.slice(last);
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { parseAndroidDocument, buildAndroidDocument, unescapeAndroid, escapeAndroid } from './android_file.js';
+import { handleFilesRequest } from './files.js';
+
+const STRINGS_XML = `<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:xliff="urn:oasis:names:tc:xliff:document:1.2">
+    <string name="app_name" translatable="false">Ananas</string>
+    <!-- Greeting on the home screen -->
+    <string name="welcome">Welcome, <xliff:g id="name">%1$s</xliff:g>!</string>
+    <string name="quote">Don\\'t \\"panic\\"</string>
+    <string name="title_ref">@string/app_name</string>
+    <string-array name="planets">
+        <item>Mercury</item>
+        <item>Venus</item>
+    </string-array>
+    <plurals name="messages">
+        <item quantity="one">%d message</item>
+        <item quantity="other">%d messages</item>
+    </plurals>
+</resources>
+`;
+
+describe('Android escapes', () => {
+  it('round-trips quotes, apostrophes and newlines outside markup', () => {
+    expect(unescapeAndroid('Don\\\'t \\"go\\"\\nnow')).toBe('Don\'t "go"\nnow');
+    expect(unescapeAndroid('"Don\'t"')).toBe("Don't");
+    expect(escapeAndroid('L\'<b class="x">été</b>\n')).toBe('L\\\'<b class="x">été</b>\\n');
+    expect(escapeAndroid('@home')).toBe('\\@home');
+  });
+});
+
+describe('parseAndroidDocument', () => {
+  it('skips non-translatable strings and resource references', () => {
+    const { segments, options } = parseAndroidDocument({ document: STRINGS_XML });
+    expect(segments).toEqual([
+      { id: '1', text: 'Welcome, <xliff:g id="name">%1$s</xliff:g>!' },
+      { id: '2', text: 'Don\'t "panic"' },
+      { id: '4:0', text: 'Mercury' },
+      { id: '4:1', text: 'Venus' },
+      { id: '5:one', text: '%d message' },
+      { id: '5:other', text: '%d messages' },
+    ]);
+    expect(options.protect_tags).toContain('xliff:g');
+  });
+});
+
+describe('buildAndroidDocument', () => {
+  it('writes translated resources with the target language plural quantities', () => {
+    const parsed = parseAndroidDocument({ document: STRINGS_XML });
+    const xml = buildAndroidDocument(parsed, {
+      1: 'Добро пожаловать, <xliff:g id="name">%1$s</xliff:g>!',
+      2: 'Не "паникуй"',
+      '4:0': 'Меркурий',
+      '4:1': 'Венера',
+      '5:one': '%d сообщение',
+      '5:other': '%d сообщений',
+    }, 'rus');
+
+    expect(xml).not.toContain('app_name" translatable');
+    expect(xml).toContain('<string name="welcome">Добро пожаловать, <xliff:g id="name">%1$s</xliff:g>!</string>');
+    expect(xml).toContain('<string name="quote">Не \\"паникуй\\"</string>');
+    expect(xml).toContain('<string name="title_ref">@string/app_name</string>');
+    expect(xml).toContain('<item>Меркурий</item>');
+    expect(xml).toContain(`<plurals name="messages">
+        <item quantity="one">%d сообщение</item>
+        <item quantity="few">%d сообщений</item>
+        <item quantity="many">%d сообщений</item>
+        <item quantity="other">%d сообщений</item>
+    </plurals>`);
+  });
+
+  it('leaves out resources that were not translated', () => {
+    const parsed = parseAndroidDocument({ document: STRINGS_XML });
+    const xml = buildAndroidDocument(parsed, { 1: 'Bienvenue, <xliff:g id="name">%1$s</xliff:g> !', '4:0': 'Mercure' }, 'fra');
+    expect(xml).toContain('name="welcome"');
+    expect(xml).not.toContain('name="quote"');
+    expect(xml).not.toContain('name="planets"');
+    expect(xml).not.toContain('name="messages"');
+  });
+});
+
+describe('POST /files/android', () => {
+  it('keeps format specifiers and xliff:g content away from the translators', async () => {
+    const seen = [];
+    const env = {
+      AI: {
+        run: async (model, params) => {
+          seen.push(...params.requests.map((r) => r.text));
+          return params.requests.map((r) => ({ translated_text: r.text }));
+        },
+      },
+    };
+    const request = { json: async () => ({ document: STRINGS_XML, src_lang: 'eng', tgt_langs: ['spa'], translators: ['m2m'] }) };
+    const body = await (await handleFilesRequest(request, env, 'android')).json();
+
+    expect(seen).toContain('Welcome, ⟦0⟧!');
+    expect(seen).toContain('⟦0⟧ messages');
+    expect(body.documents.spa).toContain('<item quantity="many">%d messages</item>');
+  });
+});
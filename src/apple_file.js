@@ -0,0 +1,429 @@
+// Apple localization files for POST /files/strings, /files/stringsdict and /files/xcstrings.
+//
+// - `.strings`: every `"key" = "value";` is a segment, with the comment above it as context.
+// - `.stringsdict`: the format string and every plural form of each entry.
+// - `.xcstrings` (string catalogs): the source localization of every key, including plural and
+//   device variations, with the key's `comment` as context.
+//
+// Untranslated entries are left out of `.strings`/`.stringsdict` output so the app falls back to
+// the development language; in a catalog the target localization is simply not added.
+// Machine translations in catalogs are marked `needs_review`.
+import { getISO2ForModel } from './language_codes.js';
+import { findPlaceholders } from './placeholders.js';
+import { pluralFormsForLanguage } from './plurals.js';
+
+const PLURAL_RULE_TYPE = 'NSStringPluralRuleType';
+const FORMAT_KEY = 'NSStringLocalizedFormatKey';
+
+// Only placeholders and whitespace, e.g. a stringsdict format key of `%#@files@`
+function hasText(text) {
+    let rest = text;
+    for (const placeholder of findPlaceholders(text)) rest = rest.replace(placeholder, '');
+    return /[^\s\p{P}\p{S}\d]/u.test(rest);
+}
+
+function languageTag(lang) {
+    return getISO2ForModel(lang) || lang;
+}
+
+// .strings ----------------------------------------------------------------------------------------
+
+function unescapeStrings(text) {
+    return text.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (_, escaped) => {
+        if (escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+        return ({ n: '\n', t: '\t', r: '\r', 0: '\0' })[escaped] ?? escaped;
+    });
+}
+
+function quoteStrings(text) {
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r')}"`;
+}
+
+/**
+ * Parse `.strings` text into entries with the offsets needed to edit it in place.
+ * @returns {Array<{key: string, value: string, comment: string|null, start: number, valueStart: number, valueEnd: number, end: number}>}
+ */
+export function parseStrings(text) {
+    const entries = [];
+    let index = 0;
+    let comment = null;
+
+    const fail = (message) => {
+        throw new Error(`Invalid .strings file at line ${text.slice(0, index).split('\n').length}: ${message}`);
+    };
+    const skipSpace = () => {
+        while (index < text.length && /\s/.test(text[index])) index++;
+    };
+    const readString = () => {
+        if (text[index] !== '"') {
+            const bare = text.slice(index).match(/^[\w.\-$:/]+/);
+            if (!bare) fail('expected a quoted string');
+            index += bare[0].length;
+            return bare[0];
+        }
+        const match = text.slice(index).match(/^"((?:[^"\\]|\\[\s\S])*)"/);
+        if (!match) fail('unterminated string');
+        index += match[0].length;
+        return unescapeStrings(match[1]);
+    };
+
+    while (true) {
+        skipSpace();
+        if (index >= text.length) break;
+        if (text.startsWith('/*', index)) {
+            const end = text.indexOf('*/', index + 2);
+            if (end === -1) fail('unterminated comment');
+            comment = { text: text.slice(index + 2, end).trim(), start: index, end: end + 2 };
+            index = end + 2;
+            continue;
+        }
+        if (text.startsWith('//', index)) {
+            const newline = text.indexOf('\n', index);
+            const end = newline === -1 ? text.length : newline;
+            comment = { text: text.slice(index + 2, end).trim(), start: index, end };
+            index = end;
+            continue;
+        }
+
+        // A comment belongs to the entry right below it, not to one after a blank line
+        if (comment && (text.slice(comment.end, index).match(/\n/g) || []).length > 1) comment = null;
+        const start = comment ? comment.start : index;
+        const key = readString();
+        skipSpace();
+        if (text[index] !== '=') fail(`expected '=' after "${key}"`);
+        index++;
+        skipSpace();
+        const valueStart = index;
+        const value = readString();
+        const valueEnd = index;
+        skipSpace();
+        if (text[index] !== ';') fail(`expected ';' after the value of "${key}"`);
+        index++;
+        entries.push({ key, value, comment: comment?.text || null, start, valueStart, valueEnd, end: index });
+        comment = null;
+    }
+    return entries;
+}
+
+/**
+ * Parse a /files/strings request into segments (one per entry, id `<n>`).
+ * @param {{document: string}} data
+ */
+export function parseStringsDocument(data) {
+    if (typeof data.document !== 'string' || !data.document.trim()) {
+        return { segments: [], error: "'document' must be the .strings file contents as a string." };
+    }
+    let entries;
+    try {
+        entries = parseStrings(data.document);
+    } catch (error) {
+        return { segments: [], error: error.message };
+    }
+
+    const segments = [];
+    entries.forEach((entry, index) => {
+        if (!hasText(entry.value)) return;
+        segments.push({ id: String(index), text: entry.value, ...(entry.comment ? { context: entry.comment } : {}) });
+    });
+    return { segments, document: data.document, entries };
+}
+
+/**
+ * Write the `.strings` file for one target language.
+ */
+export function buildStringsDocument(parsed, translations) {
+    const { document, entries } = parsed;
+    let output = '';
+    let last = 0;
+    entries.forEach((entry, index) => {
+        const translated = translations[String(index)];
+        if (typeof translated === 'string') {
+            output += document.slice(last, entry.valueStart) + quoteStrings(translated);
+            last = entry.valueEnd;
+        } else if (hasText(entry.value)) {
+            // Drop the entry with its comment and the blank lines after it
+            output += document.slice(last, entry.start);
+            last = entry.end + document.slice(entry.end).match(/^\s*/)[0].length;
+        }
+    });
+    return output + document.slice(last);
+}
+
+// Property lists ----------------------------------------------------------------------------------
+
+const PLIST_TOKEN = /<!--[\s\S]*?-->|<(\/?)(\w+)\s*(\/?)>|([^<]+)/g;
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function encodeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Parse the root `<dict>` of an XML property list.
+ * Dicts are `{ type: 'dict', entries: [[key, value], ...] }` so key order survives; strings are
+ * plain strings and every other value is kept as `{ type, xml }`.
+ * @returns {{dict: Object, before: string, after: string}} before/after are the text around the root dict
+ */
+export function parsePlist(xml) {
+    const rootStart = xml.search(/<dict\s*>/);
+    if (rootStart === -1) throw new Error('Not a property list with a root <dict>.');
+    const tokens = [];
+    PLIST_TOKEN.lastIndex = rootStart;
+    let match;
+    while ((match = PLIST_TOKEN.exec(xml))) {
+        const [raw, closing, name, selfClosing, text] = match;
+        if (raw.startsWith('<!--')) continue;
+        tokens.push(text !== undefined
+            ? { text, end: PLIST_TOKEN.lastIndex }
+            : { name, closing: !!closing, selfClosing: !!selfClosing, start: match.index, end: PLIST_TOKEN.lastIndex });
+    }
+
+    let position = 0;
+    const next = () => {
+        while (tokens[position]?.text !== undefined && !tokens[position].text.trim()) position++;
+        return tokens[position++];
+    };
+    const textUntilClose = (name) => {
+        let content = '';
+        while (tokens[position] && !(tokens[position].closing && tokens[position].name === name)) {
+            content += tokens[position].text ?? '';
+            position++;
+        }
+        if (!tokens[position]) throw new Error(`Unclosed <${name}> in property list.`);
+        position++;
+        return decodeXml(content);
+    };
+    const readValue = (token) => {
+        if (!token || token.closing) throw new Error('Unexpected end of property list.');
+        if (token.name === 'string') return token.selfClosing ? '' : textUntilClose('string');
+        if (token.name === 'dict') {
+            const entries = [];
+            if (token.selfClosing) return { type: 'dict', entries };
+            while (true) {
+                const keyToken = next();
+                if (keyToken?.closing && keyToken.name === 'dict') return { type: 'dict', entries };
+                if (keyToken?.name !== 'key') throw new Error('Expected <key> in property list <dict>.');
+                const key = textUntilClose('key');
+                entries.push([key, readValue(next())]);
+            }
+        }
+        // Arrays, numbers, dates, booleans: kept verbatim
+        const start = token.start;
+        if (!token.selfClosing) {
+            let depth = 1;
+            while (depth > 0) {
+                const inner = tokens[position++];
+                if (!inner) throw new Error(`Unclosed <${token.name}> in property list.`);
+                if (inner.name === token.name && !inner.selfClosing) depth += inner.closing ? -1 : 1;
+            }
+        }
+        return { type: token.name, xml: xml.slice(start, tokens[position - 1].end) };
+    };
+
+    const dict = readValue(next());
+    const end = tokens[position - 1].end;
+    return { dict, before: xml.slice(0, rootStart), after: xml.slice(end) };
+}
+
+/**
+ * Serialize a value from parsePlist with tab indentation, as Xcode writes them.
+ */
+export function serializePlist(value, depth = 0) {
+    const indent = '\t'.repeat(depth);
+    if (typeof value === 'string') return `${indent}<string>${encodeXml(value)}</string>`;
+    if (value.type !== 'dict') return `${indent}${value.xml}`;
+    if (!value.entries.length) return `${indent}<dict/>`;
+    const lines = value.entries.flatMap(([key, child]) => [
+        `${indent}\t<key>${encodeXml(key)}</key>`,
+        serializePlist(child, depth + 1),
+    ]);
+    return [`${indent}<dict>`, ...lines, `${indent}</dict>`].join('\n');
+}
+
+function dictGet(dict, key) {
+    return dict?.type === 'dict' ? dict.entries.find(([name]) => name === key)?.[1] : undefined;
+}
+
+function isPluralRule(value) {
+    return dictGet(value, 'NSStringFormatSpecTypeKey') === PLURAL_RULE_TYPE;
+}
+
+// .stringsdict ------------------------------------------------------------------------------------
+
+/**
+ * Parse a /files/stringsdict request into segments.
+ * Ids: `<n>:format` for the format string, `<n>:<variable>:<category>` for plural forms.
+ * @param {{document: string}} data
+ */
+export function parseStringsdictDocument(data) {
+    if (typeof data.document !== 'string' || !data.document.trim()) {
+        return { segments: [], error: "'document' must be the .stringsdict file contents as a string." };
+    }
+    let plist;
+    try {
+        plist = parsePlist(data.document);
+    } catch (error) {
+        return { segments: [], error: error.message };
+    }
+
+    const segments = [];
+    plist.dict.entries.forEach(([key, entry], index) => {
+        if (entry?.type !== 'dict') return;
+        const format = dictGet(entry, FORMAT_KEY);
+        if (typeof format === 'string' && hasText(format)) segments.push({ id: `${index}:format`, text: format, context: key });
+        for (const [variable, rule] of entry.entries) {
+            if (!isPluralRule(rule)) continue;
+            for (const [category, text] of rule.entries) {
+                if (typeof text !== 'string' || category.startsWith('NSString') || !text.trim()) continue;
+                segments.push({ id: `${index}:${variable}:${category}`, text, context: key });
+            }
+        }
+    });
+    return { segments, plist };
+}
+
+// One translated stringsdict entry, or null if any part of it is missing
+function buildStringsdictEntry(entry, index, translations, lang) {
+    const entries = [];
+    for (const [name, value] of entry.entries) {
+        if (name === FORMAT_KEY && typeof value === 'string' && hasText(value)) {
+            const translated = translations[`${index}:format`];
+            if (typeof translated !== 'string') return null;
+            entries.push([name, translated]);
+        } else if (isPluralRule(value)) {
+            const spec = value.entries.filter(([key]) => key.startsWith('NSString'));
+            const forms = {};
+            for (const [category, text] of value.entries) {
+                if (typeof text !== 'string' || category.startsWith('NSString')) continue;
+                forms[category] = text.trim() ? translations[`${index}:${name}:${category}`] : text;
+                if (typeof forms[category] !== 'string') return null;
+            }
+            const targetForms = pluralFormsForLanguage(forms, lang);
+            if (!targetForms) return null;
+            // `zero` applies to 0 in every language when the source defines it
+            const zero = typeof forms.zero === 'string' ? [['zero', forms.zero]] : [];
+            const rest = Object.entries(targetForms).filter(([category]) => category !== 'zero');
+            entries.push([name, { type: 'dict', entries: [...spec, ...zero, ...rest] }]);
+        } else {
+            entries.push([name, value]);
+        }
+    }
+    return { type: 'dict', entries };
+}
+
+/**
+ * Write the `.stringsdict` file for one target language.
+ */
+export function buildStringsdictDocument(parsed, translations, lang) {
+    const { dict, before, after } = parsed.plist;
+    const entries = [];
+    dict.entries.forEach(([key, entry], index) => {
+        if (entry?.type !== 'dict') return entries.push([key, entry]);
+        const built = buildStringsdictEntry(entry, index, translations, lang);
+        if (built) entries.push([key, built]);
+    });
+    return before + serializePlist({ type: 'dict', entries }) + after;
+}
+
+// .xcstrings --------------------------------------------------------------------------------------
+
+// Walk a localization (`stringUnit` or `variations`) and collect `{ path, value }` for every string unit
+function collectUnits(node, path, units) {
+    if (typeof node?.stringUnit?.value === 'string') units.push({ path, value: node.stringUnit.value });
+    for (const [kind, cases] of Object.entries(node?.variations || {})) {
+        for (const [name, child] of Object.entries(cases)) collectUnits(child, [...path, kind, name], units);
+    }
+    return units;
+}
+
+/**
+ * Parse a /files/xcstrings request into segments.
+ * Ids: `<n>` for a plain string, `<n>:<variation path>` (e.g. `3:plural.one`) for variations.
+ * @param {{document: Object|string}} data - The catalog as JSON or as its text
+ */
+export function parseXcstringsDocument(data) {
+    let catalog = data.document;
+    if (typeof catalog === 'string') {
+        try {
+            catalog = JSON.parse(catalog);
+        } catch (e) {
+            return { segments: [], error: `'document' is not valid JSON: ${e.message}` };
+        }
+    }
+    if (!catalog || typeof catalog !== 'object' || typeof catalog.strings !== 'object') {
+        return { segments: [], error: "'document' must be a string catalog with 'sourceLanguage' and 'strings'." };
+    }
+
+    const sourceLanguage = catalog.sourceLanguage || 'en';
+    const segments = [];
+    Object.entries(catalog.strings).forEach(([key, entry], index) => {
+        if (entry?.shouldTranslate === false) return;
+        // Keys without a source localization are their own source text
+        const source = entry?.localizations?.[sourceLanguage] ?? { stringUnit: { value: key } };
+        const context = entry?.comment ? { context: entry.comment } : {};
+        for (const { path, value } of collectUnits(source, [], [])) {
+            if (!hasText(value)) continue;
+            segments.push({ id: path.length ? `${index}:${path.join('.')}` : String(index), text: value, ...context });
+        }
+    });
+    return { segments, catalog, asText: typeof data.document === 'string', sourceLanguage };
+}
+
+// Target localization mirroring the source one, or null if a unit is missing
+function buildLocalization(node, path, index, translations, lang) {
+    const output = {};
+    if (typeof node?.stringUnit?.value === 'string') {
+        const id = path.length ? `${index}:${path.join('.')}` : String(index);
+        const value = hasText(node.stringUnit.value) ? translations[id] : node.stringUnit.value;
+        if (typeof value !== 'string') return null;
+        output.stringUnit = { state: 'needs_review', value };
+    }
+    if (node?.variations) {
+        output.variations = {};
+        for (const [kind, cases] of Object.entries(node.variations)) {
+            const built = {};
+            for (const [name, child] of Object.entries(cases)) {
+                const localization = buildLocalization(child, [...path, kind, name], index, translations, lang);
+                if (!localization) return null;
+                built[name] = localization;
+            }
+            if (kind === 'plural') {
+                const targetForms = pluralFormsForLanguage(built, lang);
+                if (!targetForms) return null;
+                output.variations.plural = targetForms;
+            } else {
+                output.variations[kind] = built;
+            }
+        }
+    }
+    return output;
+}
+
+/**
+ * Write the catalog with one target language's localizations added. Existing translated
+ * localizations are kept.
+ */
+export function buildXcstringsDocument(parsed, translations, lang) {
+    const { catalog, asText, sourceLanguage } = parsed;
+    const target = languageTag(lang);
+    const output = structuredClone(catalog);
+
+    Object.entries(output.strings).forEach(([key, entry], index) => {
+        if (entry?.shouldTranslate === false) return;
+        const existing = entry?.localizations?.[target];
+        if (existing && !['new', 'needs_review'].includes(existing.stringUnit?.state)) return;
+        const source = entry?.localizations?.[sourceLanguage] ?? { stringUnit: { value: key } };
+        const localization = buildLocalization(source, [], index, translations, lang);
+        if (!localization) return;
+        output.strings[key] = { ...entry, localizations: { ...(entry?.localizations || {}), [target]: localization } };
+    });
+
+    return asText ? `${JSON.stringify(output, null, 2)}\n` : output;
+}
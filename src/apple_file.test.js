@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseStrings,
+  parseStringsDocument,
+  buildStringsDocument,
+  parsePlist,
+  serializePlist,
+  parseStringsdictDocument,
+  buildStringsdictDocument,
+  parseXcstringsDocument,
+  buildXcstringsDocument,
+} from './apple_file.js';
+
+const STRINGS = `/* Localizable.strings
+   Example app */
+
+/* Button that opens the inbox */
+"open_inbox" = "Open %@'s inbox";
+
+"greeting" = "Hello, \\"friend\\"\\n";
+"count" = "%lld";
+`;
+
+const STRINGSDICT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+	<key>%d files</key>
+	<dict>
+		<key>NSStringLocalizedFormatKey</key>
+		<string>%#@files@</string>
+		<key>files</key>
+		<dict>
+			<key>NSStringFormatSpecTypeKey</key>
+			<string>NSStringPluralRuleType</string>
+			<key>NSStringFormatValueTypeKey</key>
+			<string>d</string>
+			<key>one</key>
+			<string>%d file</string>
+			<key>other</key>
+			<string>%d files</string>
+		</dict>
+	</dict>
+</dict>
+</plist>
+`;
+
+const CATALOG = {
+  sourceLanguage: 'en',
+  strings: {
+    Cancel: {},
+    '%lld items': {
+      comment: 'Cart badge',
+      localizations: {
+        en: {
+          variations: {
+            plural: {
+              one: { stringUnit: { state: 'translated', value: '%lld item' } },
+              other: { stringUnit: { state: 'translated', value: '%lld items' } },
+            },
+          },
+        },
+      },
+    },
+    internal_id: { shouldTranslate: false },
+    Done: { localizations: { es: { stringUnit: { state: 'translated', value: 'Listo' } } } },
+  },
+  version: '1.0',
+};
+
+describe('.strings', () => {
+  it('parses keys, values and the comment right above each entry', () => {
+    const entries = parseStrings(STRINGS);
+    expect(entries.map(({ key, value, comment }) => ({ key, value, comment }))).toEqual([
+      { key: 'open_inbox', value: "Open %@'s inbox", comment: 'Button that opens the inbox' },
+      { key: 'greeting', value: 'Hello, "friend"\n', comment: null },
+      { key: 'count', value: '%lld', comment: null },
+    ]);
+  });
+
+  it('reports syntax errors with a line number', () => {
+    expect(parseStringsDocument({ document: '"a" = "b"\n"c" = "d";' }).error).toMatch(/line 2.*';'/);
+  });
+
+  it('replaces translated values and drops untranslated entries', () => {
+    const parsed = parseStringsDocument({ document: STRINGS });
+    expect(parsed.segments.map(({ id }) => id)).toEqual(['0', '1']);
+    expect(parsed.segments[0].context).toBe('Button that opens the inbox');
+
+    const output = buildStringsDocument(parsed, { 0: 'Abrir la bandeja de %@' });
+    expect(output).toBe(`/* Localizable.strings
+   Example app */
+
+/* Button that opens the inbox */
+"open_inbox" = "Abrir la bandeja de %@";
+
+"count" = "%lld";
+`);
+  });
+});
+
+describe('property lists', () => {
+  it('round-trip through parsePlist and serializePlist', () => {
+    const { dict, before, after } = parsePlist(STRINGSDICT);
+    expect(before + serializePlist(dict) + after).toBe(STRINGSDICT);
+  });
+});
+
+describe('.stringsdict', () => {
+  it('translates plural forms and skips placeholder-only format keys', () => {
+    const parsed = parseStringsdictDocument({ document: STRINGSDICT });
+    expect(parsed.segments).toEqual([
+      { id: '0:files:one', text: '%d file', context: '%d files' },
+      { id: '0:files:other', text: '%d files', context: '%d files' },
+    ]);
+
+    const output = buildStringsdictDocument(parsed, { '0:files:one': '%d plik', '0:files:other': '%d plików' }, 'pol');
+    expect(output).toContain(`			<key>one</key>
+			<string>%d plik</string>
+			<key>few</key>
+			<string>%d plików</string>
+			<key>many</key>
+			<string>%d plików</string>
+			<key>other</key>
+			<string>%d plików</string>`);
+    expect(output).toContain('<string>%#@files@</string>');
+  });
+});
+
+describe('.xcstrings', () => {
+  it('adds a needs_review localization for the target language', () => {
+    const parsed = parseXcstringsDocument({ document: CATALOG });
+    expect(parsed.segments).toEqual([
+      { id: '0', text: 'Cancel' },
+      { id: '1:plural.one', text: '%lld item', context: 'Cart badge' },
+      { id: '1:plural.other', text: '%lld items', context: 'Cart badge' },
+      { id: '3', text: 'Done' },
+    ]);
+
+    const catalog = buildXcstringsDocument(parsed, {
+      0: 'Cancelar',
+      '1:plural.one': '%lld artículo',
+      '1:plural.other': '%lld artículos',
+      3: 'Hecho',
+    }, 'spa');
+
+    expect(catalog.strings.Cancel.localizations.es).toEqual({ stringUnit: { state: 'needs_review', value: 'Cancelar' } });
+    expect(Object.keys(catalog.strings['%lld items'].localizations.es.variations.plural)).toEqual(['one', 'many', 'other']);
+    expect(catalog.strings['%lld items'].localizations.es.variations.plural.many.stringUnit.value).toBe('%lld artículos');
+    expect(catalog.strings.Done.localizations.es.stringUnit.value).toBe('Listo');
+    expect(catalog.strings.internal_id).toEqual({ shouldTranslate: false });
+    expect(CATALOG.strings.Cancel).toEqual({});
+  });
+
+  it('returns text when given text', () => {
+    const parsed = parseXcstringsDocument({ document: JSON.stringify(CATALOG) });
+    const output = buildXcstringsDocument(parsed, { 0: 'Annuler' }, 'fra');
+    expect(typeof output).toBe('string');
+    expect(JSON.parse(output).strings.Cancel.localizations.fr.stringUnit.value).toBe('Annuler');
+  });
+});
@@ -0,0 +1,79 @@
+// Shared helpers for translating many texts in one request (`texts: [...]`).
+//
+// Batch requests accept plain strings or `{ id, text, context? }` objects. Items without an id are
+// keyed by their position. `context` is a hint for providers that accept one (DeepL, OpenAI) and
+// is never translated itself. Every provider splits items into chunks that fit its payload limits and returns
+// `{ results: { <id>: { <lang>: translation } }, metadata, errors }`.
+
+export const MAX_BATCH_ITEMS = 1000;
+
+/**
+ * Validate and normalize a `texts` request field.
+ * @param {Array<string|{id?: string|number, text: string, context?: string}>} texts
+ * @returns {{items: Array<{id: string, text: string, context?: string}>, error: string|null}}
+ */
+export function normalizeTexts(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+        return { items: [], error: "'texts' must be a non-empty array." };
+    }
+    if (texts.length > MAX_BATCH_ITEMS) {
+        return { items: [], error: `Too many texts: ${texts.length}. At most ${MAX_BATCH_ITEMS} per request.` };
+    }
+
+    const items = [];
+    const seen = new Set();
+    for (const [index, entry] of texts.entries()) {
+        const item = typeof entry === 'string'
+            ? { id: String(index), text: entry }
+            : { id: String(entry?.id ?? index), text: entry?.text };
+        if (typeof entry?.context === 'string' && entry.context.trim()) item.context = entry.context;
+        if (typeof item.text !== 'string' || !item.text.trim()) {
+            return { items: [], error: `Item ${item.id} has no text.` };
+        }
+        if (seen.has(item.id)) {
+            return { items: [], error: `Duplicate id in texts: ${item.id}` };
+        }
+        seen.add(item.id);
+        items.push(item);
+    }
+    return { items, error: null };
+}
+
+/**
+ * Split items into chunks of at most `maxItems` items and `maxChars` characters.
+ * An item longer than `maxChars` gets a chunk of its own.
+ */
+export function chunkItems(items, { maxItems, maxChars }) {
+    const chunks = [];
+    let current = [];
+    let chars = 0;
+    for (const item of items) {
+        if (current.length && (current.length >= maxItems || chars + item.text.length > maxChars)) {
+            chunks.push(current);
+            current = [];
+            chars = 0;
+        }
+        current.push(item);
+        chars += item.text.length;
+    }
+    if (current.length) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Merge `{ <lang>: { <id>: text } }` into `results` keyed by id, then by language.
+ */
+export function addBatchTranslations(results, lang, translationsById) {
+    for (const [id, text] of Object.entries(translationsById)) {
+        if (!results[id]) results[id] = {};
+        results[id][lang] = text;
+    }
+    return results;
+}
+
+/**
+ * Text to run language detection on for a batch: the first items, joined, up to `maxChars`.
+ */
+export function detectionSample(items, maxChars = 1000) {
+    return items.map(item => item.text).join('\n').slice(0, maxChars);
+}
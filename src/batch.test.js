@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTexts, chunkItems, addBatchTranslations } from './batch.js';
+
+describe('normalizeTexts', () => {
+  it('accepts strings and {id, text} objects', () => {
+    const { items, error } = normalizeTexts(['a', { id: 7, text: 'b' }, { text: 'c' }]);
+    expect(error).toBeNull();
+    expect(items).toEqual([
+      { id: '0', text: 'a' },
+      { id: '7', text: 'b' },
+      { id: '2', text: 'c' },
+    ]);
+  });
+
+  it('rejects empty texts and duplicate ids', () => {
+    expect(normalizeTexts([]).error).toMatch(/non-empty/);
+    expect(normalizeTexts(['a', '  ']).error).toMatch(/no text/);
+    expect(normalizeTexts([{ id: 'x', text: 'a' }, { id: 'x', text: 'b' }]).error).toMatch(/Duplicate/);
+  });
+});
+
+describe('chunkItems', () => {
+  const items = ['aaaa', 'bbbb', 'cccc', 'dddddddddd'].map((text, i) => ({ id: String(i), text }));
+
+  it('splits on item count and character budget', () => {
+    expect(chunkItems(items, { maxItems: 2, maxChars: 100 }).map((c) => c.length)).toEqual([2, 2]);
+    expect(chunkItems(items, { maxItems: 10, maxChars: 8 }).map((c) => c.length)).toEqual([2, 1, 1]);
+  });
+});
+
+describe('addBatchTranslations', () => {
+  it('nests translations by id, then language', () => {
+    const results = addBatchTranslations({}, 'spa', { a: 'hola' });
+    addBatchTranslations(results, 'fra', { a: 'salut' });
+    expect(results).toEqual({ a: { spa: 'hola', fra: 'salut' } });
+  });
+});
@@ -0,0 +1,297 @@
+// Human corrections: translations approved by a person for one source text and language pair,
+// stored in the `corrections` D1 table.
+//
+// PUT /corrections stores (or replaces) one, GET /corrections lists them for auditing and
+// DELETE /corrections/:id removes one. A correction takes precedence over every machine
+// translation: registerTranslator wraps every adapter with withCorrections, and /multi looks them
+// up before the translation memory, so a language whose texts are all corrected is served with
+// translator "human" and never sent to a provider. In a batch, corrected texts also replace the
+// machine translations of a language that is only partly corrected; `metadata.corrections` lists them.
+// Source texts match whitespace-insensitively, like the translation memory; `context` is ignored.
+// `corrections: false` on a request skips them; /multi sends it to the translators, having applied
+// the corrections itself (and compare mode wants each provider's own output). Without `src_lang` the
+// provider is called first and the corrections are looked up under the source language it detected.
+// The table is created by migrations/0006_corrections.sql.
+import { normalizeSourceText, memoryItems } from "./translation_memory.js";
+import { canonicalLanguage } from "./language_codes.js";
+import { jsonResponse, missingDatabase, targetLangs } from "./http.js";
+import { LOOKUP_CHUNK_SIZE, sha256 } from "./d1.js";
+
+export const HUMAN_TRANSLATOR = "human";
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+function sourceHash(text) {
+  return sha256(normalizeSourceText(text));
+}
+
+/**
+ * Validate the body of PUT /corrections; languages are canonicalized (see language_codes.js).
+ * @returns {{correction: {source_text: string, src_lang: string, tgt_lang: string, translation: string, author: string}|null, error: string|null}}
+ */
+export function normalizeCorrection(data) {
+  const missing = ["source_text", "src_lang", "tgt_lang", "translation", "author"]
+    .filter((field) => typeof data?.[field] !== "string" || !data[field].trim());
+  if (missing.length) return { correction: null, error: `Missing ${missing.join(", ")}.` };
+
+  const src_lang = canonicalLanguage(data.src_lang);
+  const tgt_lang = canonicalLanguage(data.tgt_lang);
+  if (!src_lang) return { correction: null, error: `Unknown src_lang: ${data.src_lang}` };
+  if (!tgt_lang) return { correction: null, error: `Unknown tgt_lang: ${data.tgt_lang}` };
+  if (src_lang === tgt_lang) return { correction: null, error: "'src_lang' and 'tgt_lang' must differ." };
+
+  return {
+    correction: {
+      source_text: data.source_text,
+      src_lang,
+      tgt_lang,
+      translation: data.translation,
+      author: data.author.trim(),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Handle PUT /corrections
+ *
+ * Body: `{ source_text, src_lang, tgt_lang, translation, author }`. A correction for the same
+ * source text and language pair is replaced (200) and keeps its id; a new one is created (201).
+ */
+export async function handlePutCorrectionRequest(request, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+  const { correction, error } = normalizeCorrection(data);
+  if (error) return jsonResponse({ error }, 400);
+
+  const source_hash = await sourceHash(correction.source_text);
+  const existing = await db
+    .prepare("SELECT id, created_at FROM corrections WHERE source_hash = ? AND src_lang = ? AND tgt_lang = ?")
+    .bind(source_hash, correction.src_lang, correction.tgt_lang)
+    .first();
+
+  const id = existing?.id || crypto.randomUUID();
+  const updated_at = new Date().toISOString();
+  const created_at = existing?.created_at || updated_at;
+  await db
+    .prepare(
+      "INSERT OR REPLACE INTO corrections (id, source_hash, src_lang, tgt_lang, source_text, translation, author, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    )
+    .bind(id, source_hash, correction.src_lang, correction.tgt_lang, correction.source_text, correction.translation, correction.author, created_at, updated_at)
+    .run();
+
+  console.log(`✍️ Correction ${id} ${existing ? "updated" : "stored"} by ${correction.author} (${correction.src_lang}→${correction.tgt_lang})`);
+  return jsonResponse({ id, ...correction, created_at, updated_at }, existing ? 200 : 201);
+}
+
+/**
+ * Handle GET /corrections
+ *
+ * Newest first; `?src_lang=`, `?tgt_lang=` and `?author=` filter the list, `?limit=` and
+ * `?offset=` page through it.
+ */
+export async function handleListCorrectionsRequest(request, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  const params = new URL(request.url).searchParams;
+  const filters = [];
+  const args = [];
+  for (const field of ["src_lang", "tgt_lang"]) {
+    if (!params.get(field)) continue;
+    filters.push(`${field} = ?`);
+    args.push(canonicalLanguage(params.get(field)) || params.get(field));
+  }
+  if (params.get("author")) {
+    filters.push("author = ?");
+    args.push(params.get("author"));
+  }
+
+  const limit = Number(params.get("limit") ?? DEFAULT_LIST_LIMIT);
+  const offset = Number(params.get("offset") ?? 0);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return jsonResponse({ error: `'limit' must be an integer between 1 and ${MAX_LIST_LIMIT}.` }, 400);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return jsonResponse({ error: "'offset' must be a non-negative integer." }, 400);
+  }
+
+  const { results: rows = [] } = await db
+    .prepare(
+      `SELECT id, src_lang, tgt_lang, source_text, translation, author, created_at, updated_at FROM corrections${filters.length ? ` WHERE ${filters.join(" AND ")}` : ""} ORDER BY updated_at DESC LIMIT ? OFFSET ?`,
+    )
+    .bind(...args, limit, offset)
+    .all();
+  return jsonResponse({ corrections: rows, limit, offset });
+}
+
+/**
+ * Handle DELETE /corrections/:id
+ */
+export async function handleDeleteCorrectionRequest(id, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  const existing = await db.prepare("SELECT id FROM corrections WHERE id = ?").bind(id).first();
+  if (!existing) return jsonResponse({ error: `Correction not found: ${id}` }, 404);
+
+  await db.prepare("DELETE FROM corrections WHERE id = ?").bind(id).run();
+  console.log(`🗑️ Correction ${id} deleted`);
+  return jsonResponse({ id, deleted: true });
+}
+
+/**
+ * Find the corrections of every item.
+ * @returns {Promise<Object<string, Object<string, string>>>} `{ <lang>: { <item id>: translation } }`
+ */
+export async function lookupCorrections(env, { items, src_lang, tgt_langs }) {
+  if (!env.DB || !src_lang || !items?.length || !tgt_langs.length) return {};
+  try {
+    const hashes = await Promise.all(items.map((item) => sourceHash(item.text)));
+    const uniqueHashes = [...new Set(hashes)];
+
+    // { <hash>: { <lang>: translation } }
+    const found = {};
+    for (let i = 0; i < uniqueHashes.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = uniqueHashes.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const { results: rows = [] } = await env.DB
+        .prepare(
+          `SELECT source_hash, tgt_lang, translation FROM corrections WHERE src_lang = ? AND source_hash IN (${chunk.map(() => "?").join(", ")})`,
+        )
+        .bind(src_lang, ...chunk)
+        .all();
+      for (const row of rows) {
+        if (tgt_langs.includes(row.tgt_lang)) (found[row.source_hash] ||= {})[row.tgt_lang] = row.translation;
+      }
+    }
+
+    const corrections = {};
+    items.forEach((item, index) => {
+      for (const [lang, translation] of Object.entries(found[hashes[index]] || {})) {
+        (corrections[lang] ||= {})[item.id] = translation;
+      }
+    });
+    return corrections;
+  } catch (e) {
+    console.warn("Could not read the corrections:", e.message);
+    return {};
+  }
+}
+
+/**
+ * Languages whose every item has a correction, in lookupTranslations' shape (see
+ * translation_memory.js) with provider "human".
+ */
+export function correctedLanguages(corrections, items) {
+  const corrected = {};
+  for (const [lang, byId] of Object.entries(corrections)) {
+    if (!items.every((item) => byId[item.id] !== undefined)) continue;
+    corrected[lang] = { provider: HUMAN_TRANSLATOR, origin: HUMAN_TRANSLATOR, translations: byId };
+  }
+  return corrected;
+}
+
+/**
+ * `metadata.corrections` of a batch response: `{ <item id>: [<lang>] }` for the translations in
+ * `langs` that came from a correction.
+ */
+export function correctionsReport(corrections, langs) {
+  const report = {};
+  for (const lang of langs) {
+    for (const id of Object.keys(corrections[lang] || {})) (report[id] ||= []).push(lang);
+  }
+  return report;
+}
+
+/**
+ * Wrap a translator's `translate(request, env)` so corrected languages are served from the
+ * corrections without calling `provider`, and corrected texts of a batch replace its translations.
+ */
+export function withCorrections(translate, provider) {
+  return async function translateWithCorrections(request, env) {
+    const data = await request.json();
+    const forward = (body) => translate({ json: async () => body, headers: request.headers }, env);
+    const items = memoryItems(data);
+    const tgt_langs = targetLangs(data);
+    if (!env.DB || data.corrections === false || !items || !tgt_langs.length) return forward(data);
+
+    if (!data.src_lang) return translateThenCorrect(forward, env, data, items, tgt_langs);
+
+    const corrections = await lookupCorrections(env, { items, src_lang: data.src_lang, tgt_langs });
+    if (!Object.keys(corrections).length) return forward(data);
+    const corrected = correctedLanguages(corrections, items);
+    const missing = tgt_langs.filter((lang) => !corrected[lang]);
+
+    let body = { metadata: { src_lang: data.src_lang, translator: provider } };
+    let status = 200;
+    let headers = { "Content-Type": "application/json;charset=UTF-8" };
+    if (missing.length) {
+      const { target_langs: _targets, ...forwardData } = data;
+      const response = await forward({ ...forwardData, tgt_langs: missing });
+      const live = typeof response?.clone === "function"
+        ? await response.clone().json().catch(() => null)
+        : null;
+      if (!live || !response.ok) return response;
+      body = live;
+      status = response.status;
+      headers = response.headers;
+    } else if (!data.texts) {
+      body[data.src_lang] = data.text;
+    }
+
+    applyCorrections(body, data, items, corrections, corrected);
+    return new Response(JSON.stringify(body), { status, headers });
+  };
+}
+
+// Without a src_lang the corrections can only be looked up once the provider has detected it,
+// so the provider is called for every language and the corrections replace its translations
+async function translateThenCorrect(forward, env, data, items, tgt_langs) {
+  const response = await forward(data);
+  const live = typeof response?.clone === "function"
+    ? await response.clone().json().catch(() => null)
+    : null;
+  if (!live || !response.ok) return response;
+
+  const src_lang = canonicalLanguage(live.metadata?.src_lang || live.metadata?.detected_source_language);
+  const corrections = await lookupCorrections(env, { items, src_lang, tgt_langs });
+  if (!Object.keys(corrections).length) return response;
+
+  applyCorrections(live, data, items, corrections, correctedLanguages(corrections, items));
+  return new Response(JSON.stringify(live), { status: response.status, headers: response.headers });
+}
+
+// Serve the corrections in a translator's response body (in place)
+function applyCorrections(body, data, items, corrections, corrected) {
+  body.metadata ||= {};
+  if (data.texts !== undefined) {
+    // Corrected texts replace the machine translations of their language
+    body.results ||= {};
+    const served = Object.keys(corrections).filter((lang) => corrected[lang]
+      || items.some(({ id }) => typeof body.results[id]?.[lang] === "string"));
+    for (const lang of served) {
+      for (const [id, text] of Object.entries(corrections[lang])) (body.results[id] ||= {})[lang] = text;
+    }
+    const report = correctionsReport(corrections, served);
+    if (Object.keys(report).length) body.metadata.corrections = report;
+  } else {
+    for (const [lang, { translations }] of Object.entries(corrected)) body[lang] = translations["0"];
+  }
+  if (Object.keys(corrected).length) {
+    body.metadata.translators = {
+      ...(body.metadata.translators || {}),
+      ...Object.fromEntries(Object.keys(corrected).map((lang) => [lang, HUMAN_TRANSLATOR])),
+    };
+  }
+  if (body.metadata.translation_memory) {
+    for (const lang of Object.keys(corrected)) body.metadata.translation_memory[lang] = HUMAN_TRANSLATOR;
+  }
+}
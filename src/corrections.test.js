@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeCorrection,
+  handlePutCorrectionRequest,
+  handleListCorrectionsRequest,
+  handleDeleteCorrectionRequest,
+} from './corrections.js';
+import { getTranslator } from './translators.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { createRequest, createEnv, mockFetch, taggedTranslations, restoreFetchAfterEach } from './test_fixtures.js';
+
+function putCorrection(env, correction) {
+  return handlePutCorrectionRequest(createRequest({ src_lang: 'eng', author: 'maria', ...correction }), env);
+}
+
+restoreFetchAfterEach();
+
+describe('corrections API', () => {
+  it('stores a correction and replaces it for the same text and language pair', async () => {
+    const env = createEnv();
+    const created = await putCorrection(env, { source_text: 'Save changes', tgt_lang: 'deu', translation: 'Speichern' });
+    const { id } = await created.json();
+    expect(created.status).toBe(201);
+
+    const replaced = await putCorrection(env, {
+      source_text: ' Save  changes', src_lang: 'en', tgt_lang: 'de', translation: 'Änderungen speichern', author: 'jonas',
+    });
+    const body = await replaced.json();
+
+    expect(replaced.status).toBe(200);
+    expect(body).toMatchObject({ id, src_lang: 'eng', tgt_lang: 'deu', translation: 'Änderungen speichern', author: 'jonas' });
+    expect(env.DB.query('SELECT COUNT(*) AS n FROM corrections')[0].n).toBe(1);
+  });
+
+  it('rejects incomplete corrections and unknown languages', () => {
+    expect(normalizeCorrection({ source_text: 'Hi', src_lang: 'eng', tgt_lang: 'deu' }).error).toBe('Missing translation, author.');
+    expect(normalizeCorrection({
+      source_text: 'Hi', src_lang: 'eng', tgt_lang: 'zz', translation: 'Hallo', author: 'maria',
+    }).error).toBe('Unknown tgt_lang: zz');
+  });
+
+  it('lists corrections by language and deletes them', async () => {
+    const env = createEnv();
+    await putCorrection(env, { source_text: 'Save', tgt_lang: 'deu', translation: 'Speichern' });
+    const created = await putCorrection(env, { source_text: 'Save', tgt_lang: 'fra', translation: 'Enregistrer' });
+    const { id } = await created.json();
+
+    const list = await handleListCorrectionsRequest(createRequest(null, 'http://localhost/corrections?tgt_lang=fr'), env);
+    expect((await list.json()).corrections).toEqual([expect.objectContaining({ id, translation: 'Enregistrer', author: 'maria' })]);
+
+    expect((await handleDeleteCorrectionRequest(id, env)).status).toBe(200);
+    expect((await handleDeleteCorrectionRequest(id, env)).status).toBe(404);
+    expect(env.DB.query('SELECT COUNT(*) AS n FROM corrections')[0].n).toBe(1);
+  });
+});
+
+describe('corrections in translate responses', () => {
+  it('serves a corrected language without calling the provider', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    await putCorrection(env, { source_text: 'Save changes', tgt_lang: 'deu', translation: 'Änderungen speichern' });
+
+    const response = await getTranslator('deepl').translate(createRequest({
+      text: 'Save changes', src_lang: 'eng', tgt_langs: ['de', 'fra'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls.map(({ body }) => body.target_lang)).toEqual(['FR']);
+    expect(body).toMatchObject({ de: 'Änderungen speichern', fra: 'FR:Save changes' });
+    expect(body.metadata.translators).toEqual({ de: 'human' });
+  });
+
+  it('applies corrections under the detected source language when src_lang is missing', async () => {
+    const env = createEnv();
+    // DeepL detects English
+    const calls = mockFetch((body, url) => {
+      const response = taggedTranslations(body, url);
+      for (const translation of response.translations) translation.detected_source_language = 'EN';
+      return response;
+    });
+    await putCorrection(env, { source_text: 'Save changes', tgt_lang: 'deu', translation: 'Änderungen speichern' });
+
+    const response = await getTranslator('deepl').translate(createRequest({
+      text: 'Save changes', tgt_langs: ['deu', 'fra'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls.map(({ body }) => body.target_lang).sort()).toEqual(['DE', 'FR']);
+    expect(body).toMatchObject({ deu: 'Änderungen speichern', fra: 'FR:Save changes' });
+    expect(body.metadata.translators).toEqual({ deu: 'human' });
+  });
+
+  it('puts corrected batch texts ahead of /multi machine translations', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    await putCorrection(env, { source_text: 'Save', tgt_lang: 'deu', translation: 'Sichern' });
+    await putCorrection(env, { source_text: 'Cancel', tgt_lang: 'deu', translation: 'Abbrechen' });
+    await putCorrection(env, { source_text: 'Save', tgt_lang: 'fra', translation: 'Enregistrer' });
+    const lookups = [];
+    const { prepare } = env.DB;
+    env.DB.prepare = (sql) => {
+      if (sql.includes('FROM corrections WHERE src_lang')) lookups.push(sql);
+      return prepare(sql);
+    };
+
+    const response = await handleMultiRequest(createRequest({
+      texts: [{ id: 'save', text: 'Save' }, { id: 'cancel', text: 'Cancel' }],
+      src_lang: 'eng',
+      tgt_langs: ['deu', 'fra'],
+      translators: ['deepl'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls.map(({ body }) => body.target_lang)).toEqual(['FR']);
+    expect(body.results).toEqual({
+      save: { deu: 'Sichern', fra: 'Enregistrer' },
+      cancel: { deu: 'Abbrechen', fra: 'FR:Cancel' },
+    });
+    expect(body.metadata.translators).toEqual({ deu: 'human', fra: 'deepl' });
+    expect(body.metadata.corrections).toEqual({ save: ['deu', 'fra'], cancel: ['deu'] });
+    expect(lookups).toHaveLength(1);
+  });
+});
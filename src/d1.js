@@ -0,0 +1,13 @@
+// Helpers for the tables in the `DB` D1 binding.
+
+// Bound parameters per lookup query (D1 allows 100)
+export const LOOKUP_CHUNK_SIZE = 90;
+
+/**
+ * Hex SHA-256 of a text, used as the key of source texts and options.
+ * @returns {Promise<string>}
+ */
+export async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
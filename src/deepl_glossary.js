@@ -0,0 +1,94 @@
+// DeepL copies of our glossaries.
+//
+// DeepL glossaries hold one language pair each and can't be edited, so one is created per
+// (glossary, source, target) the first time it is needed and its id is kept in the
+// `glossary_provider_ids` table. Deleting a glossary deletes its DeepL copies too.
+import { getDeepLCredentials } from './deepl_auth.js';
+
+function glossariesEndpoint(endpoint) {
+    return endpoint.replace(/\/translate\/?$/, '/glossaries');
+}
+
+function authHeaders(apiKey) {
+    return {
+        'Authorization': `DeepL-Auth-Key ${apiKey}`,
+        'Content-Type': 'application/json',
+    };
+}
+
+/**
+ * DeepL glossary id for one language pair of a glossary, creating it at DeepL if needed.
+ * @param {Object} env
+ * @param {{id: string, name: string}} glossary
+ * @param {string} sourceLang - DeepL source code (`EN`)
+ * @param {string} targetLang - DeepL target code (`DE`, `EN-GB`); glossaries use the base language
+ * @param {Array<{source: string, target: string}>} terms
+ * @returns {Promise<string|null>} null when there are no terms or DeepL refused the glossary
+ */
+export async function ensureDeepLGlossary(env, glossary, sourceLang, targetLang, terms) {
+    if (!terms.length || !env.DB) return null;
+    const pair = [glossary.id, 'deepl', sourceLang, targetLang.split('-')[0]];
+
+    const row = await env.DB
+        .prepare('SELECT provider_glossary_id FROM glossary_provider_ids WHERE glossary_id = ? AND provider = ? AND src_lang = ? AND tgt_lang = ?')
+        .bind(...pair)
+        .first();
+    if (row) return row.provider_glossary_id;
+
+    try {
+        const { apiKey, endpoint } = getDeepLCredentials(env);
+        const response = await fetch(glossariesEndpoint(endpoint), {
+            method: 'POST',
+            headers: authHeaders(apiKey),
+            body: JSON.stringify({
+                name: `${glossary.name} (${pair[2]}→${pair[3]})`,
+                source_lang: pair[2],
+                target_lang: pair[3],
+                entries: terms.map(({ source, target }) => `${source}\t${target}`).join('\n'),
+                entries_format: 'tsv',
+            }),
+        });
+        if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+        const { glossary_id } = await response.json();
+
+        await env.DB
+            .prepare('INSERT OR REPLACE INTO glossary_provider_ids (glossary_id, provider, src_lang, tgt_lang, provider_glossary_id) VALUES (?, ?, ?, ?, ?)')
+            .bind(...pair, glossary_id)
+            .run();
+        console.log(`📘 Created DeepL glossary ${glossary_id} for ${glossary.id} (${pair[2]}→${pair[3]})`);
+        return glossary_id;
+    } catch (error) {
+        console.error(`Could not create DeepL glossary for ${glossary.id} (${pair[2]}→${pair[3]}):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Delete every DeepL copy of a glossary. Failures are logged and otherwise ignored.
+ */
+export async function deleteDeepLGlossaries(env, glossaryId) {
+    const { results: rows = [] } = await env.DB
+        .prepare("SELECT provider_glossary_id FROM glossary_provider_ids WHERE glossary_id = ? AND provider = 'deepl'")
+        .bind(glossaryId)
+        .all();
+    if (!rows.length) return;
+
+    let credentials;
+    try {
+        credentials = getDeepLCredentials(env);
+    } catch (error) {
+        console.warn(`Leaving ${rows.length} DeepL glossaries of ${glossaryId} in place:`, error.message);
+        return;
+    }
+    await Promise.all(rows.map(async ({ provider_glossary_id }) => {
+        try {
+            const response = await fetch(`${glossariesEndpoint(credentials.endpoint)}/${provider_glossary_id}`, {
+                method: 'DELETE',
+                headers: authHeaders(credentials.apiKey),
+            });
+            if (!response.ok && response.status !== 404) throw new Error(`${response.status}`);
+        } catch (error) {
+            console.warn(`Could not delete DeepL glossary ${provider_glossary_id}:`, error.message);
+        }
+    }));
+}
@@ -1,7 +1,13 @@
 import deeplSources from './deepl-sources.json';
 import deeplTargets from './deepl-targets.json';
-import { getISO2ForModel, getISO3FromISO2 } from './lang_utils.js';
+import { getISO2ForModel, getISO3FromISO2, iso3SetFromISO2 } from './language_codes.js';
 import { getDeepLCredentials } from './deepl_auth.js';
+import { registerTranslator, probeTranslation } from './translator_registry.js';
+import { normalizeTexts, chunkItems, addBatchTranslations } from './batch.js';
+import { normalizeFormat, ensureWellFormed, IGNORED_TAGS } from './html_format.js';
+import { ensureDeepLGlossary } from './deepl_glossary.js';
+import { keepTermsInMarkup, mapBatchResults } from './do_not_translate.js';
+import { isLanguageTag, variantMatcher } from './language_tags.js';
 
 // Map 3-letter codes to preferred DeepL codes for regional variants
 const deeplPreferredMap = {
@@ -10,6 +16,13 @@ const deeplPreferredMap = {
     zho: "ZH-HANS", // or "ZH-HANT" for traditional
 };
 
+// Target codes whose register DeepL can set, and the `formality` values for our request field
+const FORMALITY_TARGETS = new Set(deeplTargets.filter(l => l.supports_formality).map(l => l.language.toUpperCase()));
+const DEEPL_FORMALITY = { formal: 'more', informal: 'less' };
+
+// DeepL accepts up to 50 texts and 128 KiB per request
+const DEEPL_BATCH_LIMITS = { maxItems: 50, maxChars: 30000 };
+
 const deeplReverseMap = {
   "EN-GB": "eng",
   "EN-US": "eng",
@@ -28,21 +41,25 @@ function getDeepLSourceCode(iso3) {
     return getISO2ForModel(iso3)?.toUpperCase();
 }
 
-// Helper function to map and filter target languages
-function mapAndFilterLanguages(requestedLangs, iso3To2, supportedSet) {
-    const supported = [];
+// DeepL's regional targets (EN-GB, PT-PT, ZH-HANT) for BCP 47 tags
+const getDeepLVariantCode = variantMatcher(deeplTargets.map(l => l.language).filter(code => code.includes('-')));
+
+// Group the requested target codes by the DeepL code they map to: `{ 'EN-GB': ['en-GB'], 'EN-US': ['eng'] }`.
+// ISO 639-3 codes get DeepL's preferred variant, BCP 47 tags the variant they name.
+function mapAndFilterLanguages(requestedLangs, supportedSet) {
+    const targets = {};
     const unsupported = [];
 
-    for (const lang3 of requestedLangs) {
-        const lang2 = iso3To2(lang3)?.toUpperCase();
-        if (lang2 && supportedSet.has(lang2)) {
-            supported.push(lang2);
+    for (const lang of requestedLangs) {
+        const code = isLanguageTag(lang) ? getDeepLVariantCode(lang) : getDeepLTargetCode(lang);
+        if (code && supportedSet.has(code)) {
+            (targets[code] ||= []).push(lang);
         } else {
-            unsupported.push(lang3);
+            unsupported.push(lang);
         }
     }
 
-    return { supported, unsupported };
+    return { targets, unsupported };
 }
 
 // Function dedicated to DeepL language detection (uses minimal translation since DeepL has no detection-only endpoint)
@@ -108,6 +125,100 @@ export async function detect_language_with_deepl(text, env) {
     throw new Error("No language detected by DeepL");
 }
 
+// Send one translate request to DeepL and return the parsed body, throwing with DeepL's error details on failure
+async function requestDeepL(endpoint, headers, payload) {
+    const apiResponse = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+    });
+    if (!apiResponse.ok) {
+        let errorDetails = `DeepL API Error (${apiResponse.status})`;
+        let rawErrorText = '';
+        try {
+            rawErrorText = await apiResponse.text();
+            if (rawErrorText && rawErrorText.trim() !== '') {
+                errorDetails = rawErrorText.trim();
+                try {
+                    const errorJson = JSON.parse(rawErrorText);
+                    if (errorJson && errorJson.message) {
+                        errorDetails = errorJson.message;
+                    }
+                } catch (jsonError) {
+                    console.log("DeepL error response was not valid JSON:", jsonError);
+                }
+            } else {
+                errorDetails = "Received empty error response body from DeepL.";
+                console.log("DeepL returned status", apiResponse.status, "with an empty response body.");
+            }
+        } catch (readError) {
+            console.error("Failed to read DeepL error response body:", readError);
+            errorDetails = "Could not read error details from DeepL response body.";
+        }
+        throw new Error(`DeepL API request failed for ${payload.target_lang}: ${errorDetails}`);
+    }
+    return apiResponse.json();
+}
+
+// DeepL glossary id per target code for a request's glossary terms (see withGlossary)
+async function deeplGlossaryIds(env, glossary, sourceLangDeepL, targets) {
+    const ids = {};
+    await Promise.all(Object.entries(targets).map(async ([targetLangDeepL, requested]) => {
+        const terms = requested.map(lang => glossary.terms[lang]).find(entries => entries?.length) || [];
+        const id = await ensureDeepLGlossary(env, glossary, sourceLangDeepL, targetLangDeepL, terms);
+        if (id) ids[targetLangDeepL] = id;
+    }));
+    return ids;
+}
+
+// Translate batch items into every target (`{ <DeepL code>: [requested codes] }`), chunked to
+// DeepL's per-request limits.
+// DeepL takes one `context` per request, so items are grouped by context before chunking.
+// `targetOptions` holds extra payload fields per target code (glossary_id, formality).
+// A failed chunk is reported in `failed` and does not fail the other chunks.
+async function translateBatch(items, targets, payloadBase, endpoint, headers, targetOptions = {}) {
+    const results = {};
+    const failed = [];
+    let detectedSource = null;
+    const byContext = new Map();
+    for (const item of items) {
+        const context = item.context ?? payloadBase.context;
+        if (!byContext.has(context)) byContext.set(context, []);
+        byContext.get(context).push(item);
+    }
+    const chunks = [...byContext.entries()].flatMap(([context, contextItems]) =>
+        chunkItems(contextItems, DEEPL_BATCH_LIMITS).map(chunk => Object.assign(chunk, { context })));
+
+    await Promise.all(Object.entries(targets).flatMap(([targetLangDeepL, requested]) => chunks.map(async (chunk) => {
+        try {
+            const payload = {
+                ...payloadBase,
+                text: chunk.map(item => item.text),
+                target_lang: targetLangDeepL,
+            };
+            if (chunk.context) payload.context = chunk.context;
+            Object.assign(payload, targetOptions[targetLangDeepL]);
+            const result = await requestDeepL(endpoint, headers, payload);
+            const byId = {};
+            chunk.forEach((item, index) => {
+                const translation = result.translations?.[index];
+                if (translation?.text !== undefined) {
+                    byId[item.id] = payloadBase.tag_handling === 'html' ? ensureWellFormed(translation.text) : translation.text;
+                }
+                if (!detectedSource && translation?.detected_source_language) {
+                    detectedSource = translation.detected_source_language;
+                }
+            });
+            for (const lang of requested) addBatchTranslations(results, lang, byId);
+        } catch (error) {
+            console.error(`DeepL batch chunk failed for ${targetLangDeepL}:`, error.message);
+            for (const lang of requested) failed.push({ lang, ids: chunk.map(item => item.id), error: error.message });
+        }
+    })));
+
+    return { results, failed, detectedSource };
+}
+
 // Function dedicated to DeepL translation logic
 export async function translate_with_deepl(request, env, getISO2ForModel) {
     // Get DeepL credentials
@@ -128,7 +239,26 @@ export async function translate_with_deepl(request, env, getISO2ForModel) {
         const data = await request.json();
         const inputText = data.text;
 
-        if (!inputText) {
+        const { format, error: formatError } = normalizeFormat(data.format);
+        if (formatError) {
+            return new Response(JSON.stringify({ error: formatError }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+            });
+        }
+
+        // Batch mode: `texts: [...]` instead of `text`
+        let batchItems = null;
+        if (data.texts !== undefined) {
+            const { items, error } = normalizeTexts(data.texts);
+            if (error) {
+                return new Response(JSON.stringify({ error }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+                });
+            }
+            batchItems = items;
+        } else if (!inputText) {
             return new Response(JSON.stringify({ error: "Missing 'text' field in request body." }), {
                 status: 400,
                 headers: { 'Content-Type': 'application/json;charset=UTF-8' }
@@ -188,8 +318,8 @@ export async function translate_with_deepl(request, env, getISO2ForModel) {
         }
 
         const supportedTargetsSet = new Set(deeplTargets.map(l => l.language.toUpperCase()));
-        const { supported: supportedTargetCodes, unsupported: unsupportedTargets } =
-            mapAndFilterLanguages(targetLangs3, getDeepLTargetCode, supportedTargetsSet);
+        const { targets, unsupported: unsupportedTargets } = mapAndFilterLanguages(targetLangs3, supportedTargetsSet);
+        const supportedTargetCodes = Object.keys(targets);
 
         // If NO valid targets could be mapped, return error
         if (supportedTargetCodes.length === 0) {
@@ -212,14 +342,42 @@ export async function translate_with_deepl(request, env, getISO2ForModel) {
 
         // --- Proceed with API call ---
 
+        // Do-not-translate terms go in <keep> tags DeepL is told to ignore; plain text is sent as XML for that
+        const keep = data.do_not_translate?.length
+            ? keepTermsInMarkup(data.do_not_translate, format, '<keep>', '</keep>')
+            : null;
+
         // Construct DeepL API request payload
         const payloadBase = {
-            text: [inputText], // DeepL expects an array of texts
+            text: batchItems ? [] : [keep ? keep.wrap(inputText) : inputText], // DeepL expects an array of texts
         };
         // Only add source_lang if it was provided AND supported AND successfully mapped
         if (sourceLangDeepL) {
             payloadBase.source_lang = sourceLangDeepL;
         }
+        // Extra text that guides the translation without being translated (e.g. a gettext msgctxt)
+        if (typeof data.context === 'string' && data.context.trim()) {
+            payloadBase.context = data.context;
+        }
+        // Let DeepL parse the markup and leave code blocks alone
+        if (format === 'html') {
+            payloadBase.tag_handling = 'html';
+            payloadBase.ignore_tags = IGNORED_TAGS;
+        }
+        if (keep) {
+            payloadBase.tag_handling ||= 'xml';
+            payloadBase.ignore_tags = [...(payloadBase.ignore_tags || []), 'keep'];
+        }
+
+        // Glossary terms go through a DeepL glossary, which only works with a known source language
+        const glossaryIds = data.glossary && sourceLangDeepL
+            ? await deeplGlossaryIds(env, data.glossary, sourceLangDeepL, targets)
+            : {};
+        // Formality is only sent to targets that support it; DeepL rejects it for the others
+        const targetOptions = Object.fromEntries(supportedTargetCodes.map(code => [code, {
+            ...(glossaryIds[code] ? { glossary_id: glossaryIds[code] } : {}),
+            ...(DEEPL_FORMALITY[data.formality] && FORMALITY_TARGETS.has(code) ? { formality: DEEPL_FORMALITY[data.formality] } : {}),
+        }]));
 
         // --- BEGIN DEBUG LOGGING ---
         console.log("DeepL Request Payload:", JSON.stringify(payloadBase, null, 2));
@@ -230,48 +388,48 @@ export async function translate_with_deepl(request, env, getISO2ForModel) {
         console.log("DeepL Request Headers:", JSON.stringify(headersToSend, null, 2));
         // --- END DEBUG LOGGING ---
 
+        if (batchItems) {
+            const items = keep ? batchItems.map(item => ({ ...item, text: keep.wrap(item.text) })) : batchItems;
+            const { results, failed, detectedSource } =
+                await translateBatch(items, targets, payloadBase, endpoint, headersToSend, targetOptions);
+            if (keep) mapBatchResults(results, keep.unwrap);
+
+            const metadata = {
+                src_lang: srcLang3 || null,
+                language_definition: languageDefinition,
+                translator: 'deepl',
+                detected_source_language: detectedSource
+                    ? deeplReverseMap[detectedSource] || getISO3FromISO2(detectedSource) || detectedSource
+                    : null
+            };
+            const errors = {};
+            if (unsupportedTargets.length) errors.unsupported_target_langs = unsupportedTargets;
+            if (unsupportedSourceLang) errors.unsupported_source_lang = unsupportedSourceLang;
+            if (failed.length) errors.failed_translations = failed;
+
+            return new Response(JSON.stringify({
+                results,
+                metadata,
+                ...(Object.keys(errors).length ? { errors } : {})
+            }), {
+                headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+            });
+        }
+
         // Instead of sending all target_langs at once, send one request per target_lang
         const translations = await Promise.all(supportedTargetCodes.map(async (targetLangDeepL) => {
             const singlePayload = {
                 ...payloadBase, // Include base payload (text and potentially source_lang)
                 target_lang: targetLangDeepL,
+                ...targetOptions[targetLangDeepL],
             };
             // Debug log for each request
             console.log("DeepL Single Request Payload:", JSON.stringify(singlePayload));
-            const apiResponse = await fetch(endpoint, {
-                method: 'POST',
-                headers: headersToSend,
-                body: JSON.stringify(singlePayload),
-            });
-            if (!apiResponse.ok) {
-                let errorDetails = `DeepL API Error (${apiResponse.status})`;
-                let rawErrorText = '';
-                try {
-                    rawErrorText = await apiResponse.text();
-                    if (rawErrorText && rawErrorText.trim() !== '') {
-                        errorDetails = rawErrorText.trim();
-                        try {
-                            const errorJson = JSON.parse(rawErrorText);
-                            if (errorJson && errorJson.message) {
-                                errorDetails = errorJson.message;
-                            }
-                        } catch (jsonError) {
-                            console.log("DeepL error response was not valid JSON:", jsonError);
-                        }
-                    } else {
-                        errorDetails = "Received empty error response body from DeepL.";
-                        console.log("DeepL returned status", apiResponse.status, "with an empty response body.");
-                    }
-                } catch (readError) {
-                    console.error("Failed to read DeepL error response body:", readError);
-                    errorDetails = "Could not read error details from DeepL response body.";
-                }
-                throw new Error(`DeepL API request failed for ${targetLangDeepL}: ${errorDetails}`);
-            }
-            const result = await apiResponse.json();
+            const result = await requestDeepL(endpoint, headersToSend, singlePayload);
+            const text = format === 'html' ? ensureWellFormed(result.translations[0]?.text) : result.translations[0]?.text;
             return {
                 lang: targetLangDeepL,
-                text: result.translations[0]?.text,
+                text: keep ? keep.unwrap(text) : text,
                 detected_source_language: result.translations[0]?.detected_source_language
             };
         }));
@@ -293,14 +451,9 @@ export async function translate_with_deepl(request, env, getISO2ForModel) {
 
         let firstDetectedSource = null;
         translations.forEach(({ lang, text, detected_source_language }) => {
-            // Map DeepL target code (e.g., 'DE', 'PT-BR') back to 3-letter code ('deu', 'por')
-            const targetLang3 = deeplReverseMap[lang] || getISO3FromISO2(lang);
-            if (targetLang3) {
-                responseObj[targetLang3] = text;
-            } else {
-                // Handle cases where reverse mapping fails (should be rare)
-                console.warn(`Could not map DeepL target code ${lang} back to ISO 639-3.`);
-                responseObj[`unknown_target_${lang}`] = text;
+            // Key each translation by the code(s) it was requested as ('deu', 'en-GB')
+            for (const requested of targets[lang]) {
+                responseObj[requested] = text;
             }
 
             // Capture the first detected source language reported by DeepL (always store it)
@@ -344,4 +497,21 @@ export async function translate_with_deepl(request, env, getISO2ForModel) {
             headers: { 'Content-Type': 'application/json;charset=UTF-8' }
         });
     }
-}
\ No newline at end of file
+}
+
+const deeplAdapter = registerTranslator({
+    name: 'deepl',
+    label: 'DeepL',
+    sources: iso3SetFromISO2(deeplSources.map(l => l.language)),
+    // Regional targets (EN-GB, PT-BR, ...) count as support for the base language
+    targets: iso3SetFromISO2(deeplTargets.map(l => l.language.split('-')[0])),
+    formalityTargets: iso3SetFromISO2(deeplTargets.filter(l => l.supports_formality).map(l => l.language.split('-')[0])),
+    variantCode: getDeepLVariantCode,
+    translate: (request, env) => translate_with_deepl(request, env, getISO2ForModel),
+    detect: detect_language_with_deepl,
+    detectionWeight: 0.9,
+    // DeepL has no detection-only endpoint
+    detectsViaTranslation: true,
+    // Probe without src_lang to let DeepL auto-detect
+    probe: (env) => probeTranslation(deeplAdapter, env, { includeSrcLang: false }),
+});
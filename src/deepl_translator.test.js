@@ -82,3 +82,70 @@ describe('translate_with_deepl', () => {
     expect(body.errors.unsupported_source_lang).toBeDefined();
   });
 });
+
+describe('translate_with_deepl batches', () => {
+  it('translates texts in one request and keys results by id', async () => {
+    const payloads = [];
+    globalThis.fetch = async (url, options) => {
+      const payload = JSON.parse(options.body);
+      payloads.push(payload);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({
+          translations: payload.text.map((text) => ({ text: `${text}-de`, detected_source_language: 'EN' })),
+        }),
+      };
+    };
+    const req = { json: async () => ({ texts: ['hello', { id: 'bye', text: 'goodbye' }], tgt_langs: ['deu'] }) };
+    const res = await translate_with_deepl(req, env, () => 'de');
+    const body = await res.json();
+    expect(payloads).toHaveLength(1);
+    expect(payloads[0].text).toEqual(['hello', 'goodbye']);
+    expect(body.results).toEqual({ 0: { deu: 'hello-de' }, bye: { deu: 'goodbye-de' } });
+    expect(body.metadata.detected_source_language).toBe('eng');
+  });
+
+  it('rejects duplicate ids', async () => {
+    const req = { json: async () => ({ texts: [{ id: 'a', text: 'x' }, { id: 'a', text: 'y' }], tgt_langs: ['deu'] }) };
+    const res = await translate_with_deepl(req, env, () => 'de');
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('translate_with_deepl html format', () => {
+  it('asks DeepL to handle tags', async () => {
+    let payload;
+    globalThis.fetch = async (url, options) => {
+      payload = JSON.parse(options.body);
+      return { ok: true, status: 200, json: async () => ({ translations: [{ text: '<p>Hallo <b>Welt</b></p>' }] }) };
+    };
+    const req = { json: async () => ({ text: '<p>Hello <b>world</b></p>', tgt_langs: ['deu'], format: 'html' }) };
+    const body = await (await translate_with_deepl(req, env, () => 'de')).json();
+    expect(payload.tag_handling).toBe('html');
+    expect(payload.ignore_tags).toContain('code');
+    expect(body.deu).toBe('<p>Hallo <b>Welt</b></p>');
+  });
+});
+
+describe('translate_with_deepl context', () => {
+  it('sends items with different contexts in separate requests', async () => {
+    const payloads = [];
+    globalThis.fetch = async (url, options) => {
+      const payload = JSON.parse(options.body);
+      payloads.push(payload);
+      return { ok: true, status: 200, json: async () => ({ translations: payload.text.map((text) => ({ text })) }) };
+    };
+    const req = { json: async () => ({
+      texts: [{ id: 'a', text: 'Open', context: 'verb' }, { id: 'b', text: 'Open', context: 'adjective' }, 'Close'],
+      tgt_langs: ['deu'],
+    }) };
+    const body = await (await translate_with_deepl(req, env, () => 'de')).json();
+    expect(payloads.map((p) => [p.context, p.text])).toEqual([
+      ['verb', ['Open']],
+      ['adjective', ['Open']],
+      [undefined, ['Close']],
+    ]);
+    expect(Object.keys(body.results).sort()).toEqual(['2', 'a', 'b']);
+  });
+});
@@ -0,0 +1,86 @@
+import { listDetectors } from "./translators.js";
+import { runDetectors, detectionConsensus } from "./language_detection.js";
+import wikidataLanguages from "./wikidata-languages.json";
+import { jsonResponse } from "./http.js";
+
+const MAX_TEXTS = 100;
+
+const LANGUAGES_BY_ISO3 = wikidataLanguages.reduce((acc, lang) => {
+  if (lang.iso) acc[lang.iso] = lang;
+  return acc;
+}, {});
+
+// Detectors that don't have to run a full translation to answer
+function defaultDetectors() {
+  return listDetectors()
+    .filter((adapter) => !adapter.detectsViaTranslation)
+    .map((adapter) => adapter.name);
+}
+
+async function detectText(text, detectors, weights, env) {
+  const { votes, errors } = await runDetectors(text, detectors, env);
+  const consensus = detectionConsensus(votes, weights);
+
+  const candidates = consensus.ranking.map(({ lang, confidence, detectors }) => ({
+    lang,
+    name: LANGUAGES_BY_ISO3[lang]?.langLabel || null,
+    native_names: LANGUAGES_BY_ISO3[lang]?.nativeNames || [],
+    confidence,
+    detectors,
+  }));
+
+  return {
+    text,
+    lang: consensus.lang,
+    candidates,
+    metadata: {
+      agreement: consensus.agreement,
+      votes: consensus.votes,
+      ...(Object.keys(errors).length ? { errors } : {}),
+    },
+  };
+}
+
+/**
+ * Handle POST /detect
+ *
+ * Body: `{ text: "..." }` or `{ texts: ["...", ...] }`, plus optional `detectors: [...]`
+ * and `detection_weights: {detector: weight}`. Candidates are ranked by weighted score,
+ * with ISO 639-3 codes and language names from wikidata-languages.json.
+ */
+export async function handleDetectRequest(request, env) {
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+
+  const single = typeof data.text === "string";
+  const texts = single ? [data.text] : data.texts;
+  if (!Array.isArray(texts) || texts.length === 0 || texts.some((t) => typeof t !== "string" || !t.trim())) {
+    return jsonResponse({ error: "Provide a non-empty 'text' string or a 'texts' array of strings." }, 400);
+  }
+  if (texts.length > MAX_TEXTS) {
+    return jsonResponse({ error: `Too many texts: ${texts.length}. At most ${MAX_TEXTS} per request.` }, 400);
+  }
+
+  const validDetectors = listDetectors().map((adapter) => adapter.name);
+  let detectors = data.detectors || defaultDetectors();
+  if (typeof detectors === "string") detectors = detectors.split(",").map((d) => d.trim());
+  const invalidDetectors = detectors.filter((d) => !validDetectors.includes(d));
+  if (!detectors.length || invalidDetectors.length) {
+    return jsonResponse({
+      error: `Invalid detectors: ${invalidDetectors.join(", ") || "none given"}. Must be one of: ${validDetectors.join(", ")}`,
+    }, 400);
+  }
+
+  const results = await Promise.all(
+    texts.map((text) => detectText(text, detectors, data.detection_weights, env)),
+  );
+
+  if (single) {
+    return jsonResponse({ ...results[0], metadata: { detectors, ...results[0].metadata } });
+  }
+  return jsonResponse({ results, metadata: { detectors } });
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { handleDetectRequest } from './detect.js';
+import { GOOGLE_ENV, createRequest, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+const env = { ...GOOGLE_ENV };
+
+// Mock the Google detectLanguage endpoint, answering per request content
+function mockGoogleDetect(answers) {
+  mockFetch(({ content }) => ({ languages: [{ languageCode: answers[content], confidence: 0.9 }] }));
+}
+
+restoreFetchAfterEach();
+
+describe('handleDetectRequest', () => {
+  it('returns ranked ISO 639-3 candidates with names for one text', async () => {
+    mockGoogleDetect({ 'Hola a todos': 'es' });
+    const res = await handleDetectRequest(createRequest({ text: 'Hola a todos', detectors: ['google'] }), env);
+    const body = await res.json();
+    expect(res.status).toBe(200);
+    expect(body.lang).toBe('spa');
+    expect(body.candidates[0]).toMatchObject({ lang: 'spa', name: 'Spanish', detectors: ['google'] });
+    expect(body.metadata.detectors).toEqual(['google']);
+  });
+
+  it('detects many texts in one request', async () => {
+    mockGoogleDetect({ 'Hallo': 'de', 'Bonjour': 'fr' });
+    const res = await handleDetectRequest(createRequest({ texts: ['Hallo', 'Bonjour'], detectors: ['google'] }), env);
+    const body = await res.json();
+    expect(body.results.map((r) => r.lang)).toEqual(['deu', 'fra']);
+  });
+
+  it('rejects unknown detectors', async () => {
+    const res = await handleDetectRequest(createRequest({ text: 'Hello', detectors: ['nope'] }), env);
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/invalid detectors/i);
+  });
+
+  it('rejects a missing text', async () => {
+    const res = await handleDetectRequest(createRequest({}), env);
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,283 @@
+// Terms that must come through translation verbatim (product and feature names like "Ananas").
+//
+// A request lists its own in `do_not_translate: [...]`; the server-wide default list lives in the
+// `do_not_translate_terms` D1 table and is managed with GET/POST /do-not-translate and
+// DELETE /do-not-translate/:term. registerTranslator wraps every adapter with withDoNotTranslate,
+// which hands the terms that occur in the source to the translator as `data.do_not_translate`
+// (DeepL gets them in ignored `<keep>` tags, Google in `translate="no"` spans, OpenAI in its
+// prompt and M2M as opaque tokens) and then checks that every translation still contains them.
+// A translation that lost one is reported in `errors.do_not_translate_violations`, so /multi can
+// send that language to the next translator. The terms that reach the translation memory are the
+// resolved ones, so adding a default term changes the memory key of every text that contains it.
+// The table is created by migrations/0003_do_not_translate.sql.
+import { termPattern } from "./glossaries.js";
+import { escapeText, decodeEntities } from "./html_format.js";
+import { jsonResponse, missingDatabase } from "./http.js";
+
+const MAX_TERMS = 1000;
+
+const TOKEN = /⟦\s*(\d+)\s*⟧/g;
+
+// Keys of a single-text translator response that are not translations
+const RESPONSE_META_KEYS = ["metadata", "errors", "error", "details"];
+
+// Where preloadDefaultTerms keeps the default list on a request's env
+const DEFAULT_TERMS = Symbol("defaultTerms");
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Validate a list of terms (trimmed, duplicates dropped).
+ * @returns {{terms: string[], error: string|null}}
+ */
+export function normalizeTerms(terms, field = "do_not_translate") {
+  if (!Array.isArray(terms) || terms.some((term) => typeof term !== "string")) {
+    return { terms: [], error: `'${field}' must be an array of strings.` };
+  }
+  const clean = [...new Set(terms.map((term) => term.trim()).filter(Boolean))];
+  if (clean.length > MAX_TERMS) {
+    return { terms: [], error: `At most ${MAX_TERMS} do-not-translate terms are allowed.` };
+  }
+  if (clean.some((term) => /[\r\n]/.test(term))) {
+    return { terms: [], error: "Do-not-translate terms cannot contain line breaks." };
+  }
+  return { terms: clean, error: null };
+}
+
+/**
+ * The server-wide terms. Without the D1 binding (or its table) there are none.
+ */
+export async function defaultTerms(env) {
+  if (env[DEFAULT_TERMS]) return env[DEFAULT_TERMS];
+  if (!env.DB) return [];
+  try {
+    const { results: rows = [] } = await env.DB
+      .prepare("SELECT term FROM do_not_translate_terms ORDER BY term")
+      .all();
+    return rows.map((row) => row.term);
+  } catch (e) {
+    console.warn("Could not load the do-not-translate list:", e.message);
+    return [];
+  }
+}
+
+/**
+ * A copy of `env` with the default list loaded, for a request that calls several translators
+ * (/multi), so each of them doesn't load it again.
+ */
+export async function preloadDefaultTerms(env) {
+  return { ...env, [DEFAULT_TERMS]: await defaultTerms(env) };
+}
+
+/**
+ * The terms a request's translations must keep: its own (normalized) terms and the default list,
+ * those that occur in one of its source texts.
+ */
+export function effectiveTerms(data, requestTerms, defaults) {
+  const sources = Array.isArray(data.texts)
+    ? data.texts.map((entry) => (typeof entry === "string" ? entry : entry?.text))
+    : [data.text];
+  return [...new Set([...requestTerms, ...defaults])]
+    .filter((term) => sources.some((text) => containsTermVerbatim(text, term)));
+}
+
+// One pattern for all terms, longest first so "Ananas Cloud" wins over "Ananas"
+function termsPattern(terms) {
+  const sorted = [...terms].sort((a, b) => b.length - a.length);
+  return new RegExp(sorted.map(termPattern).join("|"), "gu");
+}
+
+/**
+ * Whether a text contains a term verbatim (same case, whole words).
+ */
+export function containsTermVerbatim(text, term) {
+  return typeof text === "string" && new RegExp(termPattern(term), "u").test(text);
+}
+
+/**
+ * Rewrite every occurrence of the terms in a text with `wrap(term)`; the text around them goes
+ * through `between`.
+ */
+export function markTerms(text, terms, wrap, between = (part) => part) {
+  if (!terms.length) return between(text);
+  let output = "";
+  let last = 0;
+  for (const match of text.matchAll(termsPattern(terms))) {
+    output += between(text.slice(last, match.index)) + wrap(match[0]);
+    last = match.index + match[0].length;
+  }
+  return output + between(text.slice(last));
+}
+
+/**
+ * Put the terms in markup the provider leaves untranslated (`open` and `close` are its tags).
+ * Plain text is escaped so it can be sent as markup, and unescaped again by `unwrap`; in HTML
+ * only text between tags is marked.
+ * @param {string[]} terms
+ * @param {"text"|"html"} format
+ * @returns {{wrap: (text: string) => string, unwrap: (translation: string) => string}}
+ */
+export function keepTermsInMarkup(terms, format, open, close) {
+  const kept = new RegExp(`${escapeRegExp(open)}([^<]*)${escapeRegExp(close)}`, "g");
+  return {
+    wrap(text) {
+      if (format !== "html") return markTerms(text, terms, (term) => `${open}${escapeText(term)}${close}`, escapeText);
+      return text
+        .split(/(<[^>]*>)/)
+        .map((part, index) => (index % 2 ? part : markTerms(part, terms, (term) => `${open}${term}${close}`)))
+        .join("");
+    },
+    unwrap(translation) {
+      if (typeof translation !== "string") return translation;
+      const unwrapped = translation.replace(kept, "$1");
+      return format === "html" ? unwrapped : decodeEntities(unwrapped);
+    },
+  };
+}
+
+/**
+ * Swap the terms for `⟦n⟧` tokens, numbered after any placeholder tokens already in the text.
+ * @returns {{text: string, unmask: (translation: string) => string}}
+ */
+export function maskTerms(text, terms) {
+  const first = Math.max(-1, ...[...text.matchAll(TOKEN)].map((match) => Number(match[1]))) + 1;
+  const masked = [];
+  const maskedText = markTerms(text, terms, (term) => `⟦${first + masked.push(term) - 1}⟧`);
+  return {
+    text: maskedText,
+    unmask: (translation) => typeof translation === "string"
+      ? translation.replace(TOKEN, (token, n) => masked[Number(n) - first] ?? token)
+      : translation,
+  };
+}
+
+/**
+ * Apply `fn(translation, id)` to every translation of a batch response's `results`, in place.
+ */
+export function mapBatchResults(results, fn) {
+  for (const [id, translations] of Object.entries(results || {})) {
+    for (const [lang, text] of Object.entries(translations)) translations[lang] = fn(text, id);
+  }
+  return results;
+}
+
+/**
+ * Terms of a source text that a translation lost.
+ */
+export function missingTerms(sourceText, translation, terms) {
+  return terms.filter((term) => containsTermVerbatim(sourceText, term) && !containsTermVerbatim(translation, term));
+}
+
+/**
+ * Handle GET /do-not-translate
+ */
+export async function handleListDoNotTranslateRequest(env) {
+  if (!env.DB) return missingDatabase();
+  const { results: rows = [] } = await env.DB
+    .prepare("SELECT term, created_at FROM do_not_translate_terms ORDER BY term")
+    .all();
+  return jsonResponse({ terms: rows });
+}
+
+/**
+ * Handle POST /do-not-translate
+ *
+ * Body: `{ terms: [...] }`. Terms already on the list are left as they are.
+ */
+export async function handleAddDoNotTranslateRequest(request, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+  const { terms, error } = normalizeTerms(data.terms, "terms");
+  if (error) return jsonResponse({ error }, 400);
+  if (!terms.length) return jsonResponse({ error: "'terms' must list at least one term." }, 400);
+
+  const created_at = new Date().toISOString();
+  await db.batch(terms.map((term) =>
+    db.prepare("INSERT OR IGNORE INTO do_not_translate_terms (term, created_at) VALUES (?, ?)").bind(term, created_at),
+  ));
+
+  console.log(`🔒 Added ${terms.length} do-not-translate term(s)`);
+  return handleListDoNotTranslateRequest(env);
+}
+
+/**
+ * Handle DELETE /do-not-translate/:term
+ */
+export async function handleDeleteDoNotTranslateRequest(term, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  const row = await db.prepare("SELECT term FROM do_not_translate_terms WHERE term = ?").bind(term).first();
+  if (!row) return jsonResponse({ error: `Term not found: ${term}` }, 404);
+
+  await db.prepare("DELETE FROM do_not_translate_terms WHERE term = ?").bind(term).run();
+  console.log(`🗑️ Do-not-translate term removed: ${term}`);
+  return jsonResponse({ term, deleted: true });
+}
+
+// `[{ lang, missing }]` (single text) or `[{ id, lang, missing }]` (batch) for translations that lost a term
+function violations(data, body, terms) {
+  const found = [];
+  if (body.results && Array.isArray(data.texts)) {
+    data.texts.forEach((entry, index) => {
+      const id = String(typeof entry === "string" ? index : entry?.id ?? index);
+      const sourceText = typeof entry === "string" ? entry : entry?.text;
+      for (const [lang, translation] of Object.entries(body.results[id] || {})) {
+        const missing = missingTerms(sourceText, translation, terms);
+        if (missing.length) found.push({ id, lang, missing });
+      }
+    });
+  } else if (typeof data.text === "string") {
+    for (const [lang, translation] of Object.entries(body)) {
+      if (RESPONSE_META_KEYS.includes(lang) || typeof translation !== "string") continue;
+      const missing = missingTerms(data.text, translation, terms);
+      if (missing.length) found.push({ lang, missing });
+    }
+  }
+  return found;
+}
+
+/**
+ * Wrap a translator's `translate(request, env)` so the request's `do_not_translate` terms and the
+ * default list are passed on as `data.do_not_translate` (only those occurring in the source) and
+ * every translation is checked for them (`errors.do_not_translate_violations`).
+ */
+export function withDoNotTranslate(translate) {
+  return async function translateWithDoNotTranslate(request, env) {
+    const data = await request.json();
+    const { do_not_translate: requested = [], ...forwardData } = data;
+    const forward = (body) => translate({ json: async () => body, headers: request.headers }, env);
+
+    const { terms: requestTerms, error } = normalizeTerms(requested);
+    if (error) return jsonResponse({ error }, 400);
+
+    const terms = effectiveTerms(data, requestTerms, await defaultTerms(env));
+    if (!terms.length) return forward(forwardData);
+
+    forwardData.do_not_translate = terms;
+    const response = await forward(forwardData);
+    const body = typeof response?.clone === "function"
+      ? await response.clone().json().catch(() => null)
+      : null;
+    if (!body || !response.ok) return response;
+
+    const found = violations(data, body, terms);
+    if (!found.length) return response;
+
+    console.warn("⚠️ Do-not-translate terms lost in translation:", JSON.stringify(found));
+    body.errors = { ...(body.errors || {}), do_not_translate_violations: found };
+    return new Response(JSON.stringify(body), {
+      status: response.status,
+      headers: response.headers,
+    });
+  };
+}
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import {
+  keepTermsInMarkup,
+  maskTerms,
+  missingTerms,
+  handleAddDoNotTranslateRequest,
+  handleListDoNotTranslateRequest,
+  handleDeleteDoNotTranslateRequest,
+} from './do_not_translate.js';
+import { getTranslator } from './translators.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { createTestDB } from './test_d1.js';
+import { DEEPL_ENV, GOOGLE_ENV, createRequest, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+restoreFetchAfterEach();
+
+describe('do-not-translate markup', () => {
+  it('wraps terms in plain text as escaped markup and unwraps them again', () => {
+    const keep = keepTermsInMarkup(['Ananas', 'Ananas Cloud'], 'text', '<keep>', '</keep>');
+    expect(keep.wrap('Ananas Cloud & Ananas <3')).toBe('<keep>Ananas Cloud</keep> &amp; <keep>Ananas</keep> &lt;3');
+    expect(keep.unwrap('<keep>Ananas Cloud</keep> &amp; <keep>Ananas</keep> &lt;3')).toBe('Ananas Cloud & Ananas <3');
+  });
+
+  it('only marks text between tags in HTML', () => {
+    const keep = keepTermsInMarkup(['Ananas'], 'html', '<span translate="no">', '</span>');
+    expect(keep.wrap('<a title="Ananas">Try Ananas</a>'))
+      .toBe('<a title="Ananas">Try <span translate="no">Ananas</span></a>');
+  });
+
+  it('numbers masking tokens after existing placeholder tokens', () => {
+    const { text, unmask } = maskTerms('Ananas has ⟦0⟧ files', ['Ananas']);
+    expect(text).toBe('⟦1⟧ has ⟦0⟧ files');
+    expect(unmask('⟦1⟧ tiene ⟦0⟧ archivos')).toBe('Ananas tiene ⟦0⟧ archivos');
+  });
+
+  it('matches terms case-sensitively as whole words', () => {
+    expect(missingTerms('Ananas is here', 'ananas está aquí', ['Ananas'])).toEqual(['Ananas']);
+    expect(missingTerms('Ananasse', 'Piña', ['Ananas'])).toEqual([]);
+  });
+});
+
+describe('do-not-translate terms in translation requests', () => {
+  it('sends DeepL the terms in ignored <keep> tags', async () => {
+    const env = { ...DEEPL_ENV };
+    const calls = mockFetch((body) => ({ translations: body.text.map((text) => ({ text: text.replace('Try', 'Prueba') })) }));
+
+    const response = await getTranslator('deepl').translate(createRequest({
+      text: 'Try Ananas & co', src_lang: 'eng', tgt_langs: ['spa'], do_not_translate: ['Ananas'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls[0].body).toMatchObject({
+      text: ['Try <keep>Ananas</keep> &amp; co'],
+      tag_handling: 'xml',
+      ignore_tags: ['keep'],
+    });
+    expect(body.spa).toBe('Prueba Ananas & co');
+    expect(body.errors).toBeUndefined();
+  });
+
+  it('sends Google the terms in translate="no" spans as HTML', async () => {
+    const env = { ...GOOGLE_ENV };
+    const calls = mockFetch((body) => ({
+      translations: body.contents.map((text) => ({ translatedText: text.replace('Try', 'Prueba') })),
+    }));
+
+    const response = await getTranslator('google').translate(createRequest({
+      texts: [{ id: 'cta', text: 'Try Ananas' }], src_lang: 'eng', tgt_langs: ['spa'], do_not_translate: ['Ananas'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls[0].body).toMatchObject({ contents: ['Try <span translate="no">Ananas</span>'], mimeType: 'text/html' });
+    expect(body.results.cta.spa).toBe('Prueba Ananas');
+  });
+
+  it('masks terms from M2M and applies the default list from D1', async () => {
+    const db = createTestDB();
+    await handleAddDoNotTranslateRequest(createRequest({ terms: ['Ananas'] }), { DB: db });
+    const sent = [];
+    const env = {
+      DB: db,
+      AI: {
+        run: async (model, params) => {
+          sent.push(params.text);
+          return { translated_text: params.text.replace('Ananas', 'Piña').replace('Try', 'Prueba') };
+        },
+      },
+    };
+
+    const response = await getTranslator('m2m').translate(createRequest({ text: 'Try Ananas', src_lang: 'eng', tgt_langs: ['spa'] }), env);
+    const body = await response.json();
+
+    expect(sent).toEqual(['Try ⟦0⟧']);
+    expect(body.spa).toBe('Prueba Ananas');
+  });
+
+  it('reports translations that lost a term and lets /multi fall back', async () => {
+    const env = {
+      AI: {
+        run: async (model, params) => params.requests.map((r) => ({
+          translated_text: r.target_lang === 'es' ? 'Prueba Piña' : r.text.replace('Try', 'Probier'),
+        })),
+      },
+    };
+
+    const response = await handleMultiRequest(createRequest({
+      texts: ['Try Ananas'],
+      src_lang: 'eng',
+      tgt_langs: ['spa', 'deu'],
+      translators: ['m2m'],
+      do_not_translate: ['Ananas'],
+    }), env);
+    const body = await response.json();
+
+    expect(body.results['0']).toEqual({ deu: 'Probier Ananas' });
+    expect(body.errors.do_not_translate_violations).toEqual([{ lang: 'spa', translator: 'm2m', missing: ['Ananas'] }]);
+  });
+
+  it('does not serve translations stored before a default term was added', async () => {
+    const db = createTestDB();
+    const sent = [];
+    const env = {
+      DB: db,
+      AI: {
+        run: async (model, params) => {
+          sent.push(params.text);
+          return { translated_text: params.text.replace('Ananas', 'Piña').replace('Try', 'Prueba') };
+        },
+      },
+    };
+    const translate = () => getTranslator('m2m').translate(createRequest({ text: 'Try Ananas', src_lang: 'eng', tgt_langs: ['spa'] }), env);
+
+    expect((await (await translate()).json()).spa).toBe('Prueba Piña');
+    await handleAddDoNotTranslateRequest(createRequest({ terms: ['Ananas'] }), { DB: db });
+    const body = await (await translate()).json();
+
+    expect(sent).toEqual(['Try Ananas', 'Try ⟦0⟧']);
+    expect(body.spa).toBe('Prueba Ananas');
+    expect(body.metadata.translation_memory).toEqual({ spa: 'live' });
+  });
+
+  it('loads the default list once per /multi request', async () => {
+    const db = createTestDB();
+    await handleAddDoNotTranslateRequest(createRequest({ terms: ['Ananas'] }), { DB: db });
+    const queries = [];
+    const env = {
+      DB: { ...db, prepare: (sql) => { queries.push(sql); return db.prepare(sql); } },
+      AI: {
+        run: async (model, params) => params.requests.map((r) => ({
+          translated_text: r.target_lang === 'es' ? 'Prueba Piña' : r.text.replace('Try', 'Probier'),
+        })),
+      },
+    };
+
+    const response = await handleMultiRequest(createRequest({
+      texts: ['Try Ananas'], src_lang: 'eng', tgt_langs: ['spa', 'deu'], translators: ['m2m'],
+    }), env);
+
+    expect((await response.json()).results['0']).toEqual({ deu: 'Probier Ananas' });
+    expect(queries.filter((sql) => sql.includes('do_not_translate_terms'))).toHaveLength(1);
+  });
+
+  it('rejects a malformed do_not_translate list', async () => {
+    const response = await handleMultiRequest(createRequest({ text: 'hi', tgt_langs: ['spa'], do_not_translate: 'Ananas' }), {});
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('/do-not-translate', () => {
+  it('adds, lists and removes default terms', async () => {
+    const env = { DB: createTestDB() };
+    const added = await handleAddDoNotTranslateRequest(createRequest({ terms: [' Ananas ', 'Lexi', 'Ananas'] }), env);
+    expect((await added.json()).terms.map((row) => row.term)).toEqual(['Ananas', 'Lexi']);
+
+    expect((await handleDeleteDoNotTranslateRequest('Lexi', env)).status).toBe(200);
+    expect((await handleDeleteDoNotTranslateRequest('Lexi', env)).status).toBe(404);
+    const list = await (await handleListDoNotTranslateRequest(env)).json();
+    expect(list.terms.map((row) => row.term)).toEqual(['Ananas']);
+  });
+});
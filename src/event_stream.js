@@ -0,0 +1,59 @@
+// Helpers for streaming responses as Server-Sent Events or newline-delimited JSON.
+
+const CONTENT_TYPES = {
+  sse: "text/event-stream;charset=UTF-8",
+  ndjson: "application/x-ndjson;charset=UTF-8",
+};
+
+/**
+ * Pick a streaming format from the request's Accept header.
+ * @returns {"sse"|"ndjson"|null} null when the client did not ask for a stream
+ */
+export function streamFormatFor(request) {
+  const accept = request.headers?.get?.("Accept") || "";
+  if (accept.includes("text/event-stream")) return "sse";
+  if (accept.includes("application/x-ndjson")) return "ndjson";
+  return null;
+}
+
+/**
+ * Create a streaming Response and a way to push events into it.
+ *
+ * SSE events are sent as `event: <type>` with the payload as `data`; NDJSON events are one JSON
+ * object per line with the type in a `type` field.
+ *
+ * @param {"sse"|"ndjson"} format
+ * @returns {{response: Response, send: (type: string, payload: Object) => void, close: () => Promise<void>}}
+ */
+export function createEventStream(format) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  // Writes are chained so events keep their order without making producers wait on the reader
+  let pending = Promise.resolve();
+
+  function send(type, payload) {
+    const chunk =
+      format === "sse"
+        ? `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`
+        : `${JSON.stringify({ type, ...payload })}\n`;
+    pending = pending
+      .then(() => writer.write(encoder.encode(chunk)))
+      .catch((error) => console.warn("Stream write failed (client gone?):", error.message));
+  }
+
+  async function close() {
+    await pending;
+    await writer.close().catch(() => {});
+  }
+
+  const response = new Response(readable, {
+    headers: {
+      "Content-Type": CONTENT_TYPES[format],
+      "Cache-Control": "no-cache",
+    },
+  });
+
+  return { response, send, close };
+}
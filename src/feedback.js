@@ -0,0 +1,133 @@
+// Translation feedback: ratings of a provider's translations for a language pair, stored in the
+// `translation_feedback` D1 table.
+//
+// POST /feedback takes a thumbs up or down for one provider, or the best of several providers'
+// translations of the same text (the pick counts as a thumbs up, the others as a thumbs down).
+// A /multi request with `routing: "learned"` orders the providers of each language pair by their
+// score, the mean rating from -1 to 1, once a provider has MIN_FEEDBACK_SAMPLES ratings for the
+// pair; providers with fewer count as 0, so the default order decides among them.
+// The table is created by migrations/0007_translation_feedback.sql.
+import { canonicalLanguage } from "./language_codes.js";
+import { translatorNames } from "./translator_registry.js";
+import { jsonResponse, missingDatabase } from "./http.js";
+import { LOOKUP_CHUNK_SIZE } from "./d1.js";
+
+export const ROUTING_MODES = ["default", "learned"];
+
+export const MIN_FEEDBACK_SAMPLES = 20;
+
+const RATINGS = { up: 1, down: -1 };
+
+/**
+ * Validate a request's `routing` field.
+ * @returns {{routing: "default"|"learned", error: string|null}}
+ */
+export function normalizeRouting(routing) {
+  if (routing === undefined || routing === null) return { routing: "default", error: null };
+  if (!ROUTING_MODES.includes(routing)) {
+    return { routing: "default", error: `Invalid routing: ${routing}. Must be one of: ${ROUTING_MODES.join(", ")}` };
+  }
+  return { routing, error: null };
+}
+
+/**
+ * Validate the body of POST /feedback: `{ src_lang, tgt_lang, provider, rating: "up" | "down" }`
+ * or `{ src_lang, tgt_lang, candidates: [provider, ...], best: provider }`, with optional
+ * `source_text`, `translation` and `comment`.
+ * @returns {{ratings: Array<{provider: string, src_lang: string, tgt_lang: string, rating: number}>, error: string|null}}
+ */
+export function normalizeFeedback(data) {
+  const src_lang = canonicalLanguage(data?.src_lang);
+  const tgt_lang = canonicalLanguage(data?.tgt_lang);
+  if (!src_lang) return { ratings: [], error: `Unknown src_lang: ${data?.src_lang}` };
+  if (!tgt_lang) return { ratings: [], error: `Unknown tgt_lang: ${data?.tgt_lang}` };
+  for (const field of ["source_text", "translation", "comment"]) {
+    if (data[field] !== undefined && typeof data[field] !== "string") {
+      return { ratings: [], error: `'${field}' must be a string.` };
+    }
+  }
+
+  const providers = translatorNames();
+  const unknown = (name) => !providers.includes(name);
+  if (data.best !== undefined || data.candidates !== undefined) {
+    const { candidates, best } = data;
+    if (!Array.isArray(candidates) || candidates.length < 2 || new Set(candidates).size !== candidates.length) {
+      return { ratings: [], error: "'candidates' must list at least two different providers." };
+    }
+    if (candidates.some(unknown)) {
+      return { ratings: [], error: `Unknown providers: ${candidates.filter(unknown).join(", ")}. Must be one of: ${providers.join(", ")}` };
+    }
+    if (!candidates.includes(best)) return { ratings: [], error: "'best' must be one of the 'candidates'." };
+    return {
+      ratings: candidates.map((provider) => ({ provider, src_lang, tgt_lang, rating: provider === best ? 1 : -1 })),
+      error: null,
+    };
+  }
+
+  if (unknown(data.provider)) {
+    return { ratings: [], error: `Unknown provider: ${data.provider}. Must be one of: ${providers.join(", ")}` };
+  }
+  if (!(data.rating in RATINGS)) return { ratings: [], error: "'rating' must be \"up\" or \"down\"." };
+  return { ratings: [{ provider: data.provider, src_lang, tgt_lang, rating: RATINGS[data.rating] }], error: null };
+}
+
+/**
+ * Handle POST /feedback
+ */
+export async function handleFeedbackRequest(request, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+  const { ratings, error } = normalizeFeedback(data);
+  if (error) return jsonResponse({ error }, 400);
+
+  const created_at = new Date().toISOString();
+  // With several candidates, `translation` is the one picked as best
+  const ratedTranslation = (rating) => (ratings.length === 1 || rating.rating === 1 ? data.translation ?? null : null);
+  await db.batch(ratings.map((rating) =>
+    db
+      .prepare(
+        "INSERT INTO translation_feedback (id, provider, src_lang, tgt_lang, rating, source_text, translation, comment, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      )
+      .bind(crypto.randomUUID(), rating.provider, rating.src_lang, rating.tgt_lang, rating.rating,
+        data.source_text ?? null, ratedTranslation(rating), data.comment ?? null, created_at),
+  ));
+
+  console.log(`👍 Feedback stored for ${ratings.map((r) => `${r.provider} ${r.rating > 0 ? "+" : "-"}`).join(", ")} (${ratings[0].src_lang}→${ratings[0].tgt_lang})`);
+  return jsonResponse({ ratings, created_at }, 201);
+}
+
+/**
+ * Scores of the providers with at least `minSamples` ratings for each language pair.
+ * @returns {Promise<Object<string, Object<string, {score: number, samples: number}>>>}
+ *   `{ <tgt_lang>: { <provider>: { score, samples } } }`
+ */
+export async function feedbackScores(env, { src_lang, tgt_langs, minSamples = MIN_FEEDBACK_SAMPLES }) {
+  if (!env.DB || !src_lang || !tgt_langs.length) return {};
+  try {
+    const scores = {};
+    for (let i = 0; i < tgt_langs.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = tgt_langs.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const { results: rows = [] } = await env.DB
+        .prepare(
+          `SELECT tgt_lang, provider, SUM(rating) AS total, COUNT(*) AS samples FROM translation_feedback WHERE src_lang = ? AND tgt_lang IN (${chunk.map(() => "?").join(", ")}) GROUP BY tgt_lang, provider`,
+        )
+        .bind(src_lang, ...chunk)
+        .all();
+      for (const { tgt_lang, provider, total, samples } of rows) {
+        if (samples < minSamples) continue;
+        (scores[tgt_lang] ||= {})[provider] = { score: Math.round((100 * total) / samples) / 100, samples };
+      }
+    }
+    return scores;
+  } catch (e) {
+    console.warn("Could not read the translation feedback:", e.message);
+    return {};
+  }
+}
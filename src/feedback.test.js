@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeFeedback, handleFeedbackRequest, feedbackScores } from './feedback.js';
+import { assignTranslators } from './lang_utils.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { GOOGLE_ENV, createRequest, createEnv, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+async function rate(env, feedback, times = 1) {
+  for (let i = 0; i < times; i++) await handleFeedbackRequest(createRequest({ src_lang: 'eng', tgt_lang: 'deu', ...feedback }), env);
+}
+
+restoreFetchAfterEach();
+
+describe('POST /feedback', () => {
+  it('stores a thumbs rating or the best of several providers', async () => {
+    const env = createEnv(GOOGLE_ENV);
+    const response = await handleFeedbackRequest(createRequest({
+      src_lang: 'en', tgt_lang: 'German', candidates: ['google', 'deepl', 'openai'], best: 'deepl', translation: 'Hallo',
+    }), env);
+
+    expect(response.status).toBe(201);
+    expect(env.DB.query('SELECT provider, tgt_lang, rating, translation FROM translation_feedback ORDER BY rowid')).toEqual([
+      { provider: 'google', tgt_lang: 'deu', rating: -1, translation: null },
+      { provider: 'deepl', tgt_lang: 'deu', rating: 1, translation: 'Hallo' },
+      { provider: 'openai', tgt_lang: 'deu', rating: -1, translation: null },
+    ]);
+  });
+
+  it('rejects unknown providers and ratings', () => {
+    const feedback = { src_lang: 'eng', tgt_lang: 'deu' };
+    expect(normalizeFeedback({ ...feedback, provider: 'babelfish', rating: 'up' }).error).toMatch(/Unknown provider: babelfish/);
+    expect(normalizeFeedback({ ...feedback, provider: 'deepl', rating: 5 }).error).toBe("'rating' must be \"up\" or \"down\".");
+    expect(normalizeFeedback({ ...feedback, candidates: ['deepl', 'google'], best: 'm2m' }).error).toBe("'best' must be one of the 'candidates'.");
+  });
+});
+
+describe('learned routing', () => {
+  it('only scores providers with enough ratings', async () => {
+    const env = createEnv(GOOGLE_ENV);
+    await rate(env, { provider: 'deepl', rating: 'up' }, 3);
+    await rate(env, { provider: 'deepl', rating: 'down' });
+    await rate(env, { provider: 'google', rating: 'up' });
+
+    expect(await feedbackScores(env, { src_lang: 'eng', tgt_langs: ['deu'], minSamples: 4 }))
+      .toEqual({ deu: { deepl: { score: 0.5, samples: 4 } } });
+  });
+
+  it('orders the translators of a language by score, unscored ones counting as 0', () => {
+    const scores = { deu: { deepl: { score: 0.4 }, google: { score: -0.2 } } };
+    const assignment = assignTranslators(['deu', 'fra'], ['google', 'm2m', 'deepl'], 'eng', { scores });
+
+    expect(assignment).toMatchObject({ deepl: ['deu'], google: ['fra'], m2m: [] });
+  });
+
+  it('routes /multi by feedback once a pair has enough ratings', async () => {
+    const env = createEnv(GOOGLE_ENV);
+    const calls = mockFetch();
+    await rate(env, { candidates: ['google', 'deepl'], best: 'deepl' }, 20);
+    const request = (routing) => createRequest({ text: 'Hello', src_lang: 'eng', tgt_langs: ['deu', 'fra'], routing, cache: false });
+
+    const body = await (await handleMultiRequest(request('learned'), env)).json();
+
+    expect(body.metadata.translators).toEqual({ deu: 'deepl', fra: 'google' });
+    expect(body.metadata.routing.scores).toEqual({
+      deu: { deepl: { score: 1, samples: 20 }, google: { score: -1, samples: 20 } },
+    });
+    expect(calls).toHaveLength(2);
+    expect((await handleMultiRequest(request('best'), env)).status).toBe(400);
+  });
+});
@@ -0,0 +1,203 @@
+// Structured file translation (`POST /files/<format>`).
+//
+// Each file format module parses the request's document into translatable segments (`parse`)
+// and puts one language's translations back into the same structure (`build`). The segments are
+// translated here through a batch /multi request, so files get the same routing
+// (assignTranslators), per-provider batching, fallbacks and placeholder protection as any batch.
+import { handleMultiRequest } from "./multi_translator.js";
+import { MAX_BATCH_ITEMS } from "./batch.js";
+import { canonicalizeTargets, normalizeKeyStyle, rekeyResponse } from "./language_codes.js";
+import { parseJsonDocument, buildJsonDocument } from "./json_file.js";
+import { parsePoDocument, buildPoDocument } from "./po_file.js";
+import { parseXliffDocument, buildXliffDocument } from "./xliff_file.js";
+import { parseAndroidDocument, buildAndroidDocument } from "./android_file.js";
+import {
+  parseStringsDocument,
+  buildStringsDocument,
+  parseStringsdictDocument,
+  buildStringsdictDocument,
+  parseXcstringsDocument,
+  buildXcstringsDocument,
+} from "./apple_file.js";
+import { parseSubtitlesDocument, buildSubtitlesDocument } from "./subtitles_file.js";
+import { jsonResponse } from "./http.js";
+
+/**
+ * @typedef {Object} FileFormat
+ * @property {(data: Object) => {segments: Array<{id: string, text: string}>, options?: Object, error?: string}} parse
+ *   `options` are extra /multi request fields the format needs (e.g. `protect_tags`)
+ * @property {(parsed: Object, translations: Object, lang: string, metadata: Object) => any} build
+ *   translations is `{ <segment id>: text }`; metadata is the /multi metadata (`translators`, ...)
+ */
+
+/** @type {Object<string, FileFormat>} */
+const FILE_FORMATS = {
+  json: { parse: parseJsonDocument, build: buildJsonDocument },
+  po: { parse: parsePoDocument, build: buildPoDocument },
+  pot: { parse: parsePoDocument, build: buildPoDocument },
+  xliff: { parse: parseXliffDocument, build: buildXliffDocument },
+  android: { parse: parseAndroidDocument, build: buildAndroidDocument },
+  strings: { parse: parseStringsDocument, build: buildStringsDocument },
+  stringsdict: { parse: parseStringsdictDocument, build: buildStringsdictDocument },
+  xcstrings: { parse: parseXcstringsDocument, build: buildXcstringsDocument },
+  subtitles: { parse: parseSubtitlesDocument, build: buildSubtitlesDocument },
+};
+
+// Request fields that belong to the file itself, or to the response, and are not passed on to /multi
+const FILE_FIELDS = ["document", "include", "exclude", "key_style", "target_langs"];
+
+/**
+ * Parse target languages the way /multi does (array or comma-separated string).
+ * @returns {string[]|null} null when none were given
+ */
+export function parseTargetLangs(tgt_langs) {
+  if (typeof tgt_langs === "string") tgt_langs = tgt_langs.split(",").map((l) => l.trim()).filter(Boolean);
+  return Array.isArray(tgt_langs) && tgt_langs.length ? tgt_langs : null;
+}
+
+// Errors of two chunks: lists are joined without repeats, objects merged key by key
+function mergeErrors(existing, value) {
+  if (existing === undefined) return value;
+  if (Array.isArray(existing) && Array.isArray(value)) {
+    const seen = new Set(existing.map((entry) => JSON.stringify(entry)));
+    return [...existing, ...value.filter((entry) => !seen.has(JSON.stringify(entry)))];
+  }
+  const isObject = (object) => object !== null && typeof object === "object" && !Array.isArray(object);
+  if (isObject(existing) && isObject(value)) {
+    const merged = { ...existing };
+    for (const [key, entry] of Object.entries(value)) merged[key] = mergeErrors(merged[key], entry);
+    return merged;
+  }
+  return existing;
+}
+
+/**
+ * Translate a file's segments into every target language.
+ *
+ * @param {Array<{id: string, text: string}>} segments
+ * @param {Object} data - The file request; everything except the file fields is passed on to /multi
+ * @param {Object} env
+ * @returns {Promise<{translations: Object, metadata: Object|null, errors: Object}>}
+ *   translations is `{ <lang>: { <segment id>: text } }`; segments that no translator handled are
+ *   listed per language in `errors.untranslated`. Languages are canonical codes (see language_codes.js).
+ */
+export async function translateSegments(segments, data, env) {
+  const { targets: tgt_langs } = canonicalizeTargets(parseTargetLangs(data.tgt_langs));
+  const options = Object.fromEntries(
+    Object.entries(data).filter(([key]) => !FILE_FIELDS.includes(key)),
+  );
+
+  const translations = Object.fromEntries(tgt_langs.map((lang) => [lang, {}]));
+  const errors = {};
+  let metadata = null;
+
+  for (let start = 0; start < segments.length; start += MAX_BATCH_ITEMS) {
+    const chunk = segments.slice(start, start + MAX_BATCH_ITEMS);
+    const multiRequest = { ...options, tgt_langs, texts: chunk };
+    const response = await handleMultiRequest({ json: async () => multiRequest }, env);
+    const body = await response.json();
+
+    // Validation errors apply to the whole file
+    if (response.status === 400) {
+      const error = new Error(body.error || "Invalid request.");
+      error.status = 400;
+      throw error;
+    }
+
+    // Each chunk may be routed differently; keep the first chunk's metadata plus every translator
+    if (body.metadata) {
+      metadata ??= { ...body.metadata, translators: {} };
+      Object.assign(metadata.translators, body.metadata.translators || {});
+    }
+    for (const [id, byLang] of Object.entries(body.results || {})) {
+      for (const [lang, text] of Object.entries(byLang)) {
+        if (translations[lang]) translations[lang][id] = text;
+      }
+    }
+    for (const [key, value] of Object.entries(body.errors || {})) {
+      errors[key] = mergeErrors(errors[key], value);
+    }
+  }
+
+  const untranslated = {};
+  for (const lang of tgt_langs) {
+    const missing = segments.filter(({ id }) => typeof translations[lang][id] !== "string");
+    if (missing.length) untranslated[lang] = missing.map(({ id }) => id);
+  }
+  if (Object.keys(untranslated).length) errors.untranslated = untranslated;
+
+  return { translations, metadata, errors };
+}
+
+/**
+ * Handle POST /files/<format>
+ *
+ * Body: `{ document, tgt_langs, ...format options, ...any /multi options }`.
+ * Responds with `{ documents: { <lang>: translated document }, metadata, errors? }`.
+ */
+export async function handleFilesRequest(request, env, format) {
+  const fileFormat = FILE_FORMATS[format];
+  if (!fileFormat) {
+    return jsonResponse(
+      { error: `Unsupported file format: ${format}. Must be one of: ${Object.keys(FILE_FORMATS).join(", ")}` },
+      404,
+    );
+  }
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+  if (!parseTargetLangs(data.tgt_langs)) {
+    return jsonResponse({ error: "No target languages provided." }, 400);
+  }
+
+  const parsed = fileFormat.parse(data);
+  if (parsed.error) return jsonResponse({ error: parsed.error }, 400);
+
+  // Segments are translated once per language; every submitted code gets a document under its
+  // `key_style` key, so `es` and `spa` both get one by default
+  const { keyStyle, error: keyStyleError } = normalizeKeyStyle(data.key_style);
+  if (keyStyleError) return jsonResponse({ error: keyStyleError }, 400);
+  const tgt_langs = parseTargetLangs(data.tgt_langs);
+  const { keys } = canonicalizeTargets(tgt_langs, keyStyle);
+
+  let result = { translations: {}, metadata: null, errors: {} };
+  if (parsed.segments.length) {
+    try {
+      result = await translateSegments(parsed.segments, { ...data, ...parsed.options }, env);
+    } catch (error) {
+      if (error.status === 400) return jsonResponse({ error: error.message }, 400);
+      throw error;
+    }
+  }
+
+  const documents = {};
+  for (const lang of tgt_langs) {
+    const { targets: [canonical], keys: langKeys } = canonicalizeTargets([lang], keyStyle);
+    documents[langKeys.get(canonical)] ??= fileFormat.build(
+      parsed,
+      result.translations[canonical] || {},
+      lang,
+      result.metadata || {},
+    );
+  }
+
+  const { metadata, errors } = rekeyResponse({ metadata: result.metadata, errors: result.errors }, keys);
+  if (errors.untranslated) {
+    errors.untranslated = Object.fromEntries(
+      Object.entries(errors.untranslated).map(([lang, ids]) => [keys.get(lang) ?? lang, ids]),
+    );
+  }
+  return jsonResponse({
+    documents,
+    metadata: {
+      ...(metadata || {}),
+      file_format: format,
+      segments: parsed.segments.length,
+    },
+    ...(Object.keys(errors).length ? { errors } : {}),
+  });
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { handleFilesRequest } from './files.js';
+import { keyPatternToRegExp } from './json_file.js';
+import { createRequest, mockAI } from './test_fixtures.js';
+
+// M2M tags every text with its target language
+const env = { AI: mockAI() };
+
+describe('keyPatternToRegExp', () => {
+  it('matches one key with * and any number with **', () => {
+    expect(keyPatternToRegExp('errors.*').test('errors.required')).toBe(true);
+    expect(keyPatternToRegExp('errors.*').test('errors.form.required')).toBe(false);
+    expect(keyPatternToRegExp('**.title').test('title')).toBe(true);
+    expect(keyPatternToRegExp('**.title').test('pages.home.title')).toBe(true);
+    expect(keyPatternToRegExp('nav.**').test('nav')).toBe(true);
+    expect(keyPatternToRegExp('a.**.b').test('a.x.y.b')).toBe(true);
+  });
+});
+
+describe('POST /files/json', () => {
+  const document = {
+    home: { title: 'Welcome', subtitle: 'Hello {name}' },
+    steps: [{ label: 'Start' }, { label: 'Finish' }],
+    meta: { version: 3, empty: '', url: 'https://example.com' },
+  };
+
+  it('translates string leaves into one document per language', async () => {
+    const response = await handleFilesRequest(createRequest({
+      document,
+      src_lang: 'eng',
+      tgt_langs: ['spa', 'fra'],
+      translators: ['m2m'],
+      exclude: ['meta.url'],
+    }), env, 'json');
+    const body = await response.json();
+
+    expect(body.documents.spa).toEqual({
+      home: { title: 'es:Welcome', subtitle: 'es:Hello {name}' },
+      steps: [{ label: 'es:Start' }, { label: 'es:Finish' }],
+      meta: { version: 3, empty: '', url: 'https://example.com' },
+    });
+    expect(body.documents.fra.steps[1].label).toBe('fr:Finish');
+    expect(body.metadata.segments).toBe(4);
+  });
+
+  it('only translates keys matching include patterns', async () => {
+    const response = await handleFilesRequest(createRequest({
+      document,
+      src_lang: 'eng',
+      tgt_langs: ['spa'],
+      translators: ['m2m'],
+      include: ['home.*'],
+    }), env, 'json');
+    const { documents } = await response.json();
+
+    expect(documents.spa.home.title).toBe('es:Welcome');
+    expect(documents.spa.steps[0].label).toBe('Start');
+  });
+
+  it('keys documents by key_style', async () => {
+    const request = (key_style) => createRequest({
+      document: { title: 'Welcome' }, src_lang: 'eng', tgt_langs: ['es', 'fra'], translators: ['m2m'], key_style,
+    });
+
+    const iso3 = await (await handleFilesRequest(request('iso3'), env, 'json')).json();
+    expect(iso3.documents).toEqual({ spa: { title: 'es:Welcome' }, fra: { title: 'fr:Welcome' } });
+    expect(iso3.metadata.translators).toEqual({ spa: 'm2m', fra: 'm2m' });
+    expect(iso3.errors).toBeUndefined();
+
+    const iso1 = await (await handleFilesRequest(request('iso1'), env, 'json')).json();
+    expect(iso1.documents).toEqual({ es: { title: 'es:Welcome' }, fr: { title: 'fr:Welcome' } });
+    expect((await handleFilesRequest(request('iso9'), env, 'json')).status).toBe(400);
+  });
+
+  it('returns a document for every submitted code of the same language', async () => {
+    const response = await handleFilesRequest(createRequest({
+      document: { title: 'Welcome' }, src_lang: 'eng', tgt_langs: ['es', 'spa'], translators: ['m2m'],
+    }), env, 'json');
+    const body = await response.json();
+
+    expect(body.documents).toEqual({ es: { title: 'es:Welcome' }, spa: { title: 'es:Welcome' } });
+    expect(body.errors).toBeUndefined();
+  });
+
+  it('keeps the errors of every chunk of a large document', async () => {
+    // The first chunk of texts loses the (masked) term in Spanish, the second one in French
+    const lossyEnv = {
+      AI: {
+        run: async (model, params) => params.requests.map((r) => ({
+          translated_text: (r.target_lang === 'es') === r.text.startsWith('first') ? r.text.replace(/⟦\d+⟧/, 'Piña') : r.text,
+        })),
+      },
+    };
+    const large = Object.fromEntries(Array.from({ length: 1001 }, (_, i) => [`k${i}`, `${i < 1000 ? 'first' : 'second'} Ananas ${i}`]));
+    const response = await handleFilesRequest(createRequest({
+      document: large, src_lang: 'eng', tgt_langs: ['spa', 'fra'], translators: ['m2m'], do_not_translate: ['Ananas'],
+    }), lossyEnv, 'json');
+    const { errors } = await response.json();
+
+    expect(errors.do_not_translate_violations).toEqual([
+      { lang: 'spa', translator: 'm2m', missing: ['Ananas'] },
+      { lang: 'fra', translator: 'm2m', missing: ['Ananas'] },
+    ]);
+    expect(errors.untranslated.spa).toHaveLength(1000);
+    expect(errors.untranslated.fra).toEqual(['k1000']);
+  });
+
+  it('rejects unknown formats and missing documents', async () => {
+    expect((await handleFilesRequest(createRequest({ tgt_langs: ['spa'] }), env, 'json')).status).toBe(400);
+    expect((await handleFilesRequest(createRequest({ document, tgt_langs: ['spa'] }), env, 'yaml')).status).toBe(404);
+  });
+});
@@ -0,0 +1,66 @@
+// Register control: `formality: "formal" | "informal" | "default"` on translate requests.
+//
+// Adapters list the target languages whose register they can steer in `formalityTargets`
+// (DeepL: the languages it marks `supports_formality`; OpenAI: all of them, through its prompt).
+// registerTranslator wraps every adapter with withFormality, which validates the field and reports
+// in `metadata.formality` which languages it was applied to; Google and M2M can't steer the
+// register, so every language they translate is reported under `not_applied`.
+import { baseLanguage } from "./language_tags.js";
+import { jsonResponse, targetLangs } from "./http.js";
+
+export const FORMALITIES = ["formal", "informal", "default"];
+
+/**
+ * Validate a request's `formality` field.
+ * @returns {{formality: "formal"|"informal"|"default", error: string|null}}
+ */
+export function normalizeFormality(formality) {
+  if (formality === undefined || formality === null) return { formality: "default", error: null };
+  if (!FORMALITIES.includes(formality)) {
+    return { formality: "default", error: `Invalid formality: ${formality}. Must be one of: ${FORMALITIES.join(", ")}` };
+  }
+  return { formality, error: null };
+}
+
+// Requested languages the response has a translation for
+function translatedLangs(data, body) {
+  if (body.results) {
+    const langs = new Set(Object.values(body.results).flatMap((translations) => Object.keys(translations)));
+    return targetLangs(data).filter((lang) => langs.has(lang));
+  }
+  return targetLangs(data).filter((lang) => typeof body[lang] === "string");
+}
+
+/**
+ * Wrap a translator's `translate(request, env)` so `formality` is validated and the response says
+ * where it was honored: `metadata.formality = { requested, applied: [langs], not_applied: [langs] }`.
+ * @param {Set<string>} formalityTargets - Target languages (ISO 639-3) whose register the translator controls
+ */
+export function withFormality(translate, formalityTargets) {
+  return async function translateWithFormality(request, env) {
+    const data = await request.json();
+    const { formality, error } = normalizeFormality(data.formality);
+    if (error) return jsonResponse({ error }, 400);
+
+    const response = await translate({ json: async () => data, headers: request.headers }, env);
+    if (formality === "default") return response;
+    const body = typeof response?.clone === "function"
+      ? await response.clone().json().catch(() => null)
+      : null;
+    if (!body || !response.ok) return response;
+
+    const langs = translatedLangs(data, body);
+    body.metadata = {
+      ...(body.metadata || {}),
+      formality: {
+        requested: formality,
+        applied: langs.filter((lang) => formalityTargets.has(baseLanguage(lang))),
+        not_applied: langs.filter((lang) => !formalityTargets.has(baseLanguage(lang))),
+      },
+    };
+    return new Response(JSON.stringify(body), {
+      status: response.status,
+      headers: response.headers,
+    });
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeFormality } from './formality.js';
+import { getTranslator } from './translators.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { DEEPL_ENV, GOOGLE_ENV, createRequest, mockFetch as mockTaggedFetch, taggedTranslations, restoreFetchAfterEach } from './test_fixtures.js';
+
+const env = { ...DEEPL_ENV, ...GOOGLE_ENV };
+
+// DeepL and Google answer with the text tagged by provider and target
+function mockFetch() {
+  return mockTaggedFetch((body, url) => taggedTranslations(body, url, url.includes('googleapis') ? 'google:' : 'deepl:'));
+}
+
+restoreFetchAfterEach();
+
+describe('formality', () => {
+  it('validates the request field', () => {
+    expect(normalizeFormality(undefined)).toEqual({ formality: 'default', error: null });
+    expect(normalizeFormality('formal').formality).toBe('formal');
+    expect(normalizeFormality('polite').error).toMatch(/Must be one of: formal, informal, default/);
+  });
+
+  it('sends DeepL formality only for targets that support it', async () => {
+    const calls = mockFetch();
+    const response = await getTranslator('deepl').translate(createRequest({
+      text: 'How are you?', src_lang: 'eng', tgt_langs: ['deu', 'zho'], formality: 'informal',
+    }), env);
+    const body = await response.json();
+
+    const byTarget = Object.fromEntries(calls.map(({ body }) => [body.target_lang, body.formality]));
+    expect(byTarget).toEqual({ DE: 'less', 'ZH-HANS': undefined });
+    expect(body.metadata.formality).toEqual({ requested: 'informal', applied: ['deu'], not_applied: ['zho'] });
+  });
+
+  it('reports that Google did not apply it', async () => {
+    mockFetch();
+    const response = await getTranslator('google').translate(createRequest({
+      texts: ['How are you?'], src_lang: 'eng', tgt_langs: ['deu'], formality: 'formal',
+    }), env);
+    const body = await response.json();
+
+    expect(body.metadata.formality).toEqual({ requested: 'formal', applied: [], not_applied: ['deu'] });
+  });
+
+  it('routes /multi languages to a translator that honors it', async () => {
+    mockFetch();
+    const response = await handleMultiRequest(createRequest({
+      text: 'How are you?',
+      src_lang: 'eng',
+      tgt_langs: ['deu', 'zho'],
+      translators: ['google', 'deepl'],
+      formality: 'formal',
+    }), env);
+    const body = await response.json();
+
+    expect(body.metadata.translators).toEqual({ deu: 'deepl', zho: 'google' });
+    expect(body.metadata.formality).toEqual({ requested: 'formal', applied: ['deu'], not_applied: ['zho'] });
+  });
+
+  it('rejects an unknown formality in /multi', async () => {
+    const response = await handleMultiRequest(createRequest({ text: 'hi', tgt_langs: ['deu'], formality: 'polite' }), env);
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,308 @@
+// Glossaries: term pairs per language pair, stored in the `DB` D1 binding.
+//
+// POST/GET/DELETE /glossaries manage them; a translate request picks one with `glossary_id`.
+// registerTranslator wraps every adapter with withGlossary, which loads the glossary, hands the
+// terms for each target language to the translator as `data.glossary` (DeepL and Google enforce
+// them natively, OpenAI gets them in its prompt) and then checks every translation against them,
+// whichever translator produced it. The outcome is reported in `metadata.glossary`.
+// Tables are created by migrations/0002_glossaries.sql.
+import { deleteDeepLGlossaries } from "./deepl_glossary.js";
+import { baseLanguage } from "./language_tags.js";
+import { canonicalLanguage } from "./language_codes.js";
+import { jsonResponse, missingDatabase, targetLangs } from "./http.js";
+
+const MAX_GLOSSARY_ENTRIES = 5000;
+
+const ENTRY_FIELDS = ["src_lang", "tgt_lang", "source", "target"];
+
+// Scripts written without spaces between words, where a term can't be matched on word boundaries
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Regular expression source matching a term as a whole word (any occurrence in scripts without
+ * word spacing). Needs the `u` flag.
+ */
+export function termPattern(term) {
+  const edge = (char) => (/[\p{L}\p{N}]/u.test(char) && !UNSPACED_SCRIPT.test(char));
+  const before = edge(term[0]) ? "(?<![\\p{L}\\p{N}])" : "";
+  const after = edge(term[term.length - 1]) ? "(?![\\p{L}\\p{N}])" : "";
+  return `${before}${escapeRegExp(term)}${after}`;
+}
+
+/**
+ * Whether a text contains a term, case-insensitively and as whole words (except in scripts
+ * without word spacing, where any occurrence counts).
+ */
+export function containsTerm(text, term) {
+  if (typeof text !== "string" || !term) return false;
+  return new RegExp(termPattern(term), "iu").test(text);
+}
+
+/**
+ * Validate the `entries` of a new glossary. Languages are canonicalized (see language_codes.js) to
+ * the base language, whose entries also apply to its variants (`en-GB`).
+ * @returns {{entries: Array<{src_lang: string, tgt_lang: string, source: string, target: string}>, error: string|null}}
+ */
+export function normalizeEntries(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { entries: [], error: "'entries' must be a non-empty array of { src_lang, tgt_lang, source, target }." };
+  }
+  if (entries.length > MAX_GLOSSARY_ENTRIES) {
+    return { entries: [], error: `A glossary can hold at most ${MAX_GLOSSARY_ENTRIES} entries.` };
+  }
+
+  const normalized = [];
+  const seen = new Set();
+  for (const [index, entry] of entries.entries()) {
+    const missing = ENTRY_FIELDS.filter((field) => typeof entry?.[field] !== "string" || !entry[field].trim());
+    if (missing.length) {
+      return { entries: [], error: `Entry ${index} is missing ${missing.join(", ")}.` };
+    }
+    // DeepL glossaries are sent as TSV
+    if (/[\t\r\n]/.test(entry.source + entry.target)) {
+      return { entries: [], error: `Entry ${index}: terms cannot contain tabs or line breaks.` };
+    }
+    const clean = Object.fromEntries(ENTRY_FIELDS.map((field) => [field, entry[field].trim()]));
+    for (const field of ["src_lang", "tgt_lang"]) {
+      const lang = canonicalLanguage(clean[field]);
+      if (!lang) return { entries: [], error: `Entry ${index} has an unknown ${field}: ${clean[field]}` };
+      clean[field] = baseLanguage(lang);
+    }
+    if (clean.src_lang === clean.tgt_lang) {
+      return { entries: [], error: `Entry ${index}: 'src_lang' and 'tgt_lang' must differ.` };
+    }
+    const key = `${clean.src_lang}\t${clean.tgt_lang}\t${clean.source.toLowerCase()}`;
+    if (seen.has(key)) {
+      return { entries: [], error: `Entry ${index} repeats the term "${clean.source}" for ${clean.src_lang}→${clean.tgt_lang}.` };
+    }
+    seen.add(key);
+    normalized.push(clean);
+  }
+  return { entries: normalized, error: null };
+}
+
+function languagePairs(entries) {
+  const pairs = new Map();
+  for (const { src_lang, tgt_lang } of entries) {
+    const key = `${src_lang}→${tgt_lang}`;
+    pairs.set(key, { src_lang, tgt_lang, entries: (pairs.get(key)?.entries || 0) + 1 });
+  }
+  return [...pairs.values()];
+}
+
+function glossaryFromRow(row) {
+  let entries = [];
+  try {
+    entries = JSON.parse(row.entries_json) || [];
+  } catch (e) {
+    console.error(`Glossary ${row.id} has unreadable entries:`, e.message);
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    google_glossary: row.google_glossary || null,
+    created_at: row.created_at,
+    entries,
+  };
+}
+
+/**
+ * Load a glossary with its entries, or null if there is none with that id. Callers answer with
+ * missingDatabase() themselves when there is no D1 binding.
+ */
+export async function loadGlossary(env, id) {
+  if (!env.DB) throw new Error("D1 binding 'DB' is not configured.");
+  const row = await env.DB.prepare("SELECT * FROM glossaries WHERE id = ?").bind(id).first();
+  return row ? glossaryFromRow(row) : null;
+}
+
+/**
+ * Terms of a glossary for one language pair. Without a source language, the terms of every
+ * pair into the target are used.
+ * @returns {Array<{source: string, target: string}>}
+ */
+export function glossaryTerms(glossary, src_lang, tgt_lang) {
+  return glossary.entries
+    .filter((entry) => entry.tgt_lang === tgt_lang && (!src_lang || entry.src_lang === src_lang))
+    .map(({ source, target }) => ({ source, target }));
+}
+
+/**
+ * Check one translation against the terms that occur in its source text.
+ * @returns {{applied: string[], violated: Array<{source: string, target: string}>}}
+ */
+export function checkGlossary(sourceText, translation, terms) {
+  const applied = [];
+  const violated = [];
+  for (const term of terms) {
+    if (!containsTerm(sourceText, term.source)) continue;
+    if (containsTerm(translation, term.target)) applied.push(term.source);
+    else violated.push(term);
+  }
+  return { applied, violated };
+}
+
+/**
+ * Handle POST /glossaries
+ *
+ * Body: `{ name, entries: [{ src_lang, tgt_lang, source, target }], google_glossary? }`, where
+ * `google_glossary` names a glossary already created in Google Cloud Translation (Google builds
+ * glossaries from Cloud Storage files, so they can't be created from here).
+ */
+export async function handleCreateGlossaryRequest(request, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+  if (typeof data.name !== "string" || !data.name.trim()) {
+    return jsonResponse({ error: "'name' is required." }, 400);
+  }
+  if (data.google_glossary !== undefined && (typeof data.google_glossary !== "string" || !data.google_glossary.trim())) {
+    return jsonResponse({ error: "'google_glossary' must be a Google glossary id or resource name." }, 400);
+  }
+  const { entries, error } = normalizeEntries(data.entries);
+  if (error) return jsonResponse({ error }, 400);
+
+  const id = crypto.randomUUID();
+  const created_at = new Date().toISOString();
+  await db
+    .prepare(
+      "INSERT INTO glossaries (id, name, google_glossary, entries_json, entry_count, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+    )
+    .bind(id, data.name.trim(), data.google_glossary?.trim() || null, JSON.stringify(entries), entries.length, created_at)
+    .run();
+
+  console.log(`📘 Glossary ${id} created with ${entries.length} entries`);
+  return jsonResponse(
+    {
+      id,
+      name: data.name.trim(),
+      google_glossary: data.google_glossary?.trim() || null,
+      created_at,
+      entry_count: entries.length,
+      language_pairs: languagePairs(entries),
+    },
+    201,
+  );
+}
+
+/**
+ * Handle GET /glossaries
+ */
+export async function handleListGlossariesRequest(env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  const { results: rows = [] } = await db
+    .prepare("SELECT id, name, google_glossary, entry_count, created_at FROM glossaries ORDER BY created_at")
+    .all();
+  return jsonResponse({ glossaries: rows });
+}
+
+/**
+ * Handle GET /glossaries/:id
+ */
+export async function handleGetGlossaryRequest(id, env) {
+  if (!env.DB) return missingDatabase();
+  const glossary = await loadGlossary(env, id);
+  if (!glossary) return jsonResponse({ error: `Glossary not found: ${id}` }, 404);
+  return jsonResponse({ ...glossary, language_pairs: languagePairs(glossary.entries) });
+}
+
+/**
+ * Handle DELETE /glossaries/:id
+ *
+ * Also removes the copies created at DeepL.
+ */
+export async function handleDeleteGlossaryRequest(id, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  const glossary = await loadGlossary(env, id);
+  if (!glossary) return jsonResponse({ error: `Glossary not found: ${id}` }, 404);
+
+  await deleteDeepLGlossaries(env, id);
+  await db.batch([
+    db.prepare("DELETE FROM glossary_provider_ids WHERE glossary_id = ?").bind(id),
+    db.prepare("DELETE FROM glossaries WHERE id = ?").bind(id),
+  ]);
+
+  console.log(`🗑️ Glossary ${id} deleted`);
+  return jsonResponse({ id, deleted: true });
+}
+
+// `{ <lang>: { applied, violated } }` for every language that had a term in its source text
+function glossaryReport(data, body, terms) {
+  const report = {};
+  const add = (lang, sourceText, translation, id) => {
+    const { applied, violated } = checkGlossary(sourceText, translation, terms[lang] || []);
+    if (!applied.length && !violated.length) return;
+    report[lang] ??= { applied: [], violated: [] };
+    for (const source of applied) {
+      if (!report[lang].applied.includes(source)) report[lang].applied.push(source);
+    }
+    report[lang].violated.push(...violated.map((term) => (id === undefined ? term : { id, ...term })));
+  };
+
+  if (body.results && Array.isArray(data.texts)) {
+    data.texts.forEach((entry, index) => {
+      const id = String(typeof entry === "string" ? index : entry?.id ?? index);
+      const sourceText = typeof entry === "string" ? entry : entry?.text;
+      for (const [lang, translation] of Object.entries(body.results[id] || {})) add(lang, sourceText, translation, id);
+    });
+  } else if (typeof data.text === "string") {
+    for (const lang of Object.keys(terms)) {
+      if (typeof body[lang] === "string") add(lang, data.text, body[lang]);
+    }
+  }
+  return report;
+}
+
+/**
+ * Wrap a translator's `translate(request, env)` so a request's `glossary_id` is resolved into
+ * `data.glossary = { id, name, google_glossary, terms: { <lang>: [{ source, target }] } }` and
+ * the translations are checked against it (`metadata.glossary`).
+ */
+export function withGlossary(translate) {
+  return async function translateWithGlossary(request, env) {
+    const data = await request.json();
+    // Only glossaries loaded here reach the translators
+    const { glossary: _ignored, ...forwardData } = data;
+    if (!data.glossary_id) return translate({ json: async () => forwardData, headers: request.headers }, env);
+    if (!env.DB) return missingDatabase();
+
+    const glossary = await loadGlossary(env, data.glossary_id);
+    if (!glossary) return jsonResponse({ error: `Glossary not found: ${data.glossary_id}` }, 400);
+
+    // Variants (`en-GB`) use the entries for their language
+    const terms = Object.fromEntries(
+      targetLangs(data).map((lang) => [lang, glossaryTerms(glossary, data.src_lang, baseLanguage(lang))]),
+    );
+    forwardData.glossary = { id: glossary.id, name: glossary.name, google_glossary: glossary.google_glossary, terms };
+
+    const response = await translate({ json: async () => forwardData, headers: request.headers }, env);
+    const body = typeof response?.clone === "function"
+      ? await response.clone().json().catch(() => null)
+      : null;
+    if (!body || !response.ok) return response;
+
+    const report = glossaryReport(data, body, terms);
+    const violations = Object.values(report).reduce((count, { violated }) => count + violated.length, 0);
+    if (violations) console.warn(`⚠️ ${violations} glossary term(s) not used in glossary ${glossary.id}`);
+    body.metadata = { ...(body.metadata || {}), glossary: { id: glossary.id, terms: report } };
+
+    return new Response(JSON.stringify(body), {
+      status: response.status,
+      headers: response.headers,
+    });
+  };
+}
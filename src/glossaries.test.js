@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import {
+  containsTerm,
+  checkGlossary,
+  handleCreateGlossaryRequest,
+  handleListGlossariesRequest,
+  handleGetGlossaryRequest,
+  handleDeleteGlossaryRequest,
+} from './glossaries.js';
+import { getTranslator } from './translators.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { createTestDB } from './test_d1.js';
+import { createRequest, createEnv, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+const ENTRIES = [
+  { src_lang: 'eng', tgt_lang: 'deu', source: 'dashboard', target: 'Übersicht' },
+  { src_lang: 'eng', tgt_lang: 'deu', source: 'Ananas Cloud', target: 'Ananas Cloud' },
+  { src_lang: 'eng', tgt_lang: 'spa', source: 'dashboard', target: 'panel' },
+];
+
+async function createGlossary(env, data = { name: 'Product', entries: ENTRIES }) {
+  return (await handleCreateGlossaryRequest(createRequest(data), env)).json();
+}
+
+restoreFetchAfterEach();
+
+describe('glossary term checks', () => {
+  it('matches whole words case-insensitively, and any occurrence in unspaced scripts', () => {
+    expect(containsTerm('Open the Dashboard now', 'dashboard')).toBe(true);
+    expect(containsTerm('dashboards', 'dashboard')).toBe(false);
+    expect(containsTerm('ダッシュボードを開く', 'ダッシュボード')).toBe(true);
+  });
+
+  it('reports applied and violated terms that occur in the source', () => {
+    const terms = ENTRIES.filter((e) => e.tgt_lang === 'deu');
+    expect(checkGlossary('Open the dashboard', 'Öffne das Dashboard', terms)).toEqual({
+      applied: [],
+      violated: [{ src_lang: 'eng', tgt_lang: 'deu', source: 'dashboard', target: 'Übersicht' }],
+    });
+    expect(checkGlossary('Open the dashboard', 'Öffne die Übersicht', terms).applied).toEqual(['dashboard']);
+  });
+});
+
+describe('/glossaries', () => {
+  it('creates, lists, reads and deletes glossaries', async () => {
+    const env = { DB: createTestDB() };
+    const created = await createGlossary(env);
+    expect(created.entry_count).toBe(3);
+    expect(created.language_pairs).toEqual([
+      { src_lang: 'eng', tgt_lang: 'deu', entries: 2 },
+      { src_lang: 'eng', tgt_lang: 'spa', entries: 1 },
+    ]);
+
+    const list = await (await handleListGlossariesRequest(env)).json();
+    expect(list.glossaries.map((g) => g.id)).toEqual([created.id]);
+
+    const glossary = await (await handleGetGlossaryRequest(created.id, env)).json();
+    expect(glossary.entries).toHaveLength(3);
+
+    expect((await handleDeleteGlossaryRequest(created.id, env)).status).toBe(200);
+    expect((await handleGetGlossaryRequest(created.id, env)).status).toBe(404);
+  });
+
+  it('rejects incomplete and duplicate entries', async () => {
+    const env = { DB: createTestDB() };
+    const missing = await handleCreateGlossaryRequest(createRequest({ name: 'x', entries: [{ src_lang: 'eng', source: 'a' }] }), env);
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).error).toMatch(/tgt_lang, target/);
+
+    const duplicate = await handleCreateGlossaryRequest(createRequest({ name: 'x', entries: [ENTRIES[0], { ...ENTRIES[0], source: 'Dashboard' }] }), env);
+    expect((await duplicate.json()).error).toMatch(/repeats/);
+  });
+
+  it('canonicalizes entry languages and rejects unknown or equal ones', async () => {
+    const env = { DB: createTestDB() };
+    const { id } = await createGlossary(env, { name: 'Product', entries: [{ src_lang: 'en', tgt_lang: 'de-AT', source: 'dashboard', target: 'Übersicht' }] });
+    const glossary = await (await handleGetGlossaryRequest(id, env)).json();
+    expect(glossary.entries[0]).toMatchObject({ src_lang: 'eng', tgt_lang: 'deu' });
+
+    const unknown = await handleCreateGlossaryRequest(createRequest({ name: 'x', entries: [{ ...ENTRIES[0], tgt_lang: 'zz' }] }), env);
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).error).toBe('Entry 0 has an unknown tgt_lang: zz');
+    const same = await handleCreateGlossaryRequest(createRequest({ name: 'x', entries: [{ ...ENTRIES[0], tgt_lang: 'en' }] }), env);
+    expect(same.status).toBe(400);
+  });
+});
+
+describe('glossaries in translation requests', () => {
+  it('creates a DeepL glossary once per language pair and passes its id', async () => {
+    const env = createEnv();
+    const { id } = await createGlossary(env);
+
+    const calls = mockFetch((body, url) => (url.endsWith('/glossaries')
+      ? { glossary_id: 'deepl-glossary-1' }
+      : { translations: [{ text: 'Öffne die Übersicht' }] }));
+
+    const deepl = getTranslator('deepl');
+    const request = (cache) => createRequest({ text: 'Open the dashboard', src_lang: 'eng', tgt_langs: ['deu'], glossary_id: id, cache });
+    const report = { id, terms: { deu: { applied: ['dashboard'], violated: [] } } };
+    for (let i = 0; i < 2; i++) {
+      const body = await (await deepl.translate(request(false), env)).json();
+      expect(body.metadata.glossary).toEqual(report);
+    }
+    // Translations served from the memory are checked like live ones
+    await deepl.translate(request(true), env);
+    const cached = await (await deepl.translate(request(true), env)).json();
+    expect(cached.metadata.translation_memory).toEqual({ deu: 'cache' });
+    expect(cached.metadata.glossary).toEqual(report);
+
+    const glossaryCalls = calls.filter((call) => call.url.endsWith('/glossaries'));
+    expect(glossaryCalls).toHaveLength(1);
+    expect(glossaryCalls[0].body).toMatchObject({
+      source_lang: 'EN',
+      target_lang: 'DE',
+      entries: 'dashboard\tÜbersicht\nAnanas Cloud\tAnanas Cloud',
+      entries_format: 'tsv',
+    });
+    expect(calls.filter((call) => call.url.endsWith('/translate')).map((call) => call.body.glossary_id))
+      .toEqual(['deepl-glossary-1', 'deepl-glossary-1', 'deepl-glossary-1']);
+    expect(env.DB.query('SELECT * FROM glossary_provider_ids')).toHaveLength(1);
+  });
+
+  it('reports M2M output that misses a term in /multi metadata', async () => {
+    const env = {
+      DB: createTestDB(),
+      AI: {
+        run: async (model, params) => params.requests.map((r) => ({
+          translated_text: r.text.replace('dashboard', r.target_lang === 'es' ? 'panel' : 'Dashboard'),
+        })),
+      },
+    };
+    const { id } = await createGlossary(env);
+
+    const response = await handleMultiRequest(createRequest({
+      texts: [{ id: 'title', text: 'Your dashboard' }],
+      src_lang: 'eng',
+      tgt_langs: ['spa', 'deu'],
+      translators: ['m2m'],
+      glossary_id: id,
+    }), env);
+    const body = await response.json();
+
+    expect(body.metadata.glossary).toEqual({
+      id,
+      terms: {
+        spa: { applied: ['dashboard'], violated: [] },
+        deu: { applied: [], violated: [{ id: 'title', source: 'dashboard', target: 'Übersicht' }] },
+      },
+    });
+  });
+
+  it('applies a glossary created with ISO 639-1 codes', async () => {
+    const env = {
+      DB: createTestDB(),
+      AI: { run: async (model, params) => ({ translated_text: 'Öffne die Übersicht' }) },
+    };
+    const { id } = await createGlossary(env, { name: 'Product', entries: [{ src_lang: 'en', tgt_lang: 'de', source: 'dashboard', target: 'Übersicht' }] });
+
+    const response = await getTranslator('m2m').translate(createRequest({ text: 'Open the dashboard', src_lang: 'en', tgt_langs: ['de'], glossary_id: id }), env);
+    const body = await response.json();
+
+    expect(body.metadata.glossary.terms).toEqual({ de: { applied: ['dashboard'], violated: [] } });
+  });
+
+  it('rejects an unknown glossary id', async () => {
+    const env = { DB: createTestDB() };
+    const response = await handleMultiRequest(createRequest({ text: 'hi', tgt_langs: ['spa'], glossary_id: 'nope' }), env);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Glossary not found: nope');
+
+    const direct = await getTranslator('m2m').translate(createRequest({ text: 'hi', src_lang: 'eng', tgt_langs: ['spa'], glossary_id: 'nope' }), env);
+    expect(direct.status).toBe(400);
+  });
+
+  it('answers with a JSON error without the D1 binding', async () => {
+    const request = () => createRequest({ text: 'hi', src_lang: 'eng', tgt_langs: ['spa'], glossary_id: 'g1' });
+    for (const response of [await handleMultiRequest(request(), {}), await getTranslator('m2m').translate(request(), {})]) {
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({ error: "D1 binding 'DB' is not configured." });
+    }
+  });
+});
@@ -1,6 +1,6 @@
-import wikidataLanguages from './wikidata-languages.json' with { type: 'json' };
 import googleTranslateSupport from './google-translate-support.json' with { type: 'json' };
 import { getGoogleCredentials } from './google_auth.js';
+import { getISO3FromISO2 } from './language_codes.js';
 
 // Build reverse mapping from Google Translate codes back to ISO 639-3
 const googleReverseMap = {};
@@ -8,12 +8,6 @@ Object.entries(googleTranslateSupport).forEach(([key, value]) => {
     googleReverseMap[value] = key;
 });
 
-// Helper function to get ISO 639-3 from ISO 639-1 code
-export function getISO3FromISO2(iso2) {
-    const found = wikidataLanguages.find(lang => lang.iso1?.toLowerCase() === iso2.toLowerCase());
-    return found?.iso || null;
-}
-
 // Function dedicated to Google Translate language detection only
 export async function detect_language_with_google(text, env) {
     // Get Google credentials
@@ -1,6 +1,20 @@
-import wikidataLanguages from './wikidata-languages.json' assert { type: 'json' };
 import googleTranslateSupport from './google-translate-support.json' assert { type: 'json' };
 import { getGoogleCredentials } from './google_auth.js';
+import { detect_language_with_google } from './google_detector.js';
+import { getISO2ForModel, getISO3FromISO2 } from './language_codes.js';
+import { registerTranslator } from './translator_registry.js';
+import { normalizeTexts, chunkItems, addBatchTranslations } from './batch.js';
+import { normalizeFormat, ensureWellFormed } from './html_format.js';
+import { keepTermsInMarkup, mapBatchResults } from './do_not_translate.js';
+import { isLanguageTag, variantMatcher } from './language_tags.js';
+
+const MIME_TYPES = { text: 'text/plain', html: 'text/html' };
+
+// Google accepts up to 1024 strings and recommends under 30k codepoints per request
+const GOOGLE_BATCH_LIMITS = { maxItems: 128, maxChars: 25000 };
+
+// Glossaries are regional resources; ids without a full resource name are looked up here
+const GOOGLE_GLOSSARY_LOCATION = 'us-central1';
 
 // Build reverse mapping from Google Translate codes back to ISO 639-3
 const googleReverseMap = {};
@@ -8,32 +22,118 @@ Object.entries(googleTranslateSupport).forEach(([key, value]) => {
     googleReverseMap[value] = key;
 });
 
+// Regional targets Google translates into, for BCP 47 tags (zh-Hant → zh-TW)
+const GOOGLE_VARIANTS = ['zh-CN', 'zh-TW', 'pt-BR', 'pt-PT', 'fr-CA'];
+const getGoogleVariantCode = variantMatcher(GOOGLE_VARIANTS);
+
 // Map ISO 639-3 codes to Google Translate language codes
 function getGoogleTranslateCode(iso3Code) {
     return googleTranslateSupport[iso3Code] || null;
 }
 
-// Helper function to get ISO 639-3 from ISO 639-1 code
-export function getISO3FromISO2(iso2) {
-    const found = wikidataLanguages.find(lang => lang.iso1?.toLowerCase() === iso2.toLowerCase());
-    return found?.iso || null;
-}
-
-// Helper function to map and filter languages for Google Translate
-function mapAndFilterLanguages(targetLangs3, mapFunction, supportedSet) {
-    const supported = [];
+// Group the requested target codes by the Google code they map to: `{ 'zh-TW': ['zh-Hant'], de: ['deu'] }`
+function mapAndFilterLanguages(targetLangs3, supportedSet) {
+    const targets = {};
     const unsupported = [];
 
-    for (const lang3 of targetLangs3) {
-        const mappedCode = mapFunction(lang3);
+    for (const lang of targetLangs3) {
+        const mappedCode = isLanguageTag(lang) ? getGoogleVariantCode(lang) : getGoogleTranslateCode(lang);
         if (mappedCode && supportedSet.has(mappedCode)) {
-            supported.push(mappedCode);
+            (targets[mappedCode] ||= []).push(lang);
         } else {
-            unsupported.push(lang3);
+            unsupported.push(lang);
+        }
+    }
+
+    return { targets, unsupported };
+}
+
+// POST one translateText payload, throwing with Google's error message on failure
+async function requestGoogle(endpoint, headers, payload) {
+    const apiResponse = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+    });
+
+    if (!apiResponse.ok) {
+        let errorDetails = `Google Translate API Error (${apiResponse.status})`;
+        try {
+            const rawErrorText = await apiResponse.text();
+            if (rawErrorText && rawErrorText.trim() !== '') {
+                try {
+                    const errorJson = JSON.parse(rawErrorText);
+                    if (errorJson?.error?.message) {
+                        errorDetails = errorJson.error.message;
+                    } else {
+                        errorDetails = rawErrorText.trim();
+                    }
+                } catch (jsonError) {
+                    errorDetails = rawErrorText.trim();
+                }
+            }
+        } catch (readError) {
+            console.error("Failed to read Google Translate error response:", readError);
         }
+        throw new Error(`Google Translate API request failed for ${payload.targetLanguageCode}: ${errorDetails}`);
     }
 
-    return { supported, unsupported };
+    return apiResponse.json();
+}
+
+// Regional endpoint and glossaryConfig for a request's Google glossary (see withGlossary), or null.
+// Google only applies a glossary when the source language is given.
+function googleGlossaryRequest(glossary, projectId, sourceLanguageCode) {
+    if (!glossary?.google_glossary || !sourceLanguageCode) return null;
+    const name = glossary.google_glossary.startsWith('projects/')
+        ? glossary.google_glossary
+        : `projects/${projectId}/locations/${GOOGLE_GLOSSARY_LOCATION}/glossaries/${glossary.google_glossary}`;
+    const location = name.match(/\/locations\/([^/]+)\//)?.[1] || GOOGLE_GLOSSARY_LOCATION;
+    return {
+        endpoint: `https://translate.googleapis.com/v3/projects/${projectId}/locations/${location}:translateText`,
+        glossaryConfig: { glossary: name, ignoreCase: true },
+    };
+}
+
+// Translate batch items into every target (`{ <Google code>: [requested codes] }`), chunked to
+// Google's per-request limits.
+// A failed chunk is reported in `failed` and does not fail the other chunks.
+async function translateBatch(items, targets, sourceLanguageCode, format, endpoint, headers, glossaryConfig = null) {
+    const results = {};
+    const failed = [];
+    let detectedSource = null;
+    const chunks = chunkItems(items, GOOGLE_BATCH_LIMITS);
+
+    await Promise.all(Object.entries(targets).flatMap(([targetLangGoogle, requested]) => chunks.map(async (chunk) => {
+        const payload = {
+            contents: chunk.map(item => item.text),
+            targetLanguageCode: targetLangGoogle,
+            mimeType: MIME_TYPES[format]
+        };
+        if (sourceLanguageCode) payload.sourceLanguageCode = sourceLanguageCode;
+        if (glossaryConfig) payload.glossaryConfig = glossaryConfig;
+
+        try {
+            const result = await requestGoogle(endpoint, headers, payload);
+            const translations = result.glossaryTranslations || result.translations;
+            const byId = {};
+            chunk.forEach((item, index) => {
+                const translation = translations?.[index];
+                if (translation?.translatedText !== undefined) {
+                    byId[item.id] = format === 'html' ? ensureWellFormed(translation.translatedText) : translation.translatedText;
+                }
+                if (!detectedSource && translation?.detectedLanguageCode) {
+                    detectedSource = translation.detectedLanguageCode;
+                }
+            });
+            for (const lang of requested) addBatchTranslations(results, lang, byId);
+        } catch (error) {
+            console.error(`Google batch chunk failed for ${targetLangGoogle}:`, error.message);
+            for (const lang of requested) failed.push({ lang, ids: chunk.map(item => item.id), error: error.message });
+        }
+    })));
+
+    return { results, failed, detectedSource };
 }
 
 // Function dedicated to Google Translate translation logic
@@ -59,7 +159,26 @@ export async function translate_with_google(request, env, getISO2ForModel) {
         const data = await request.json();
         const inputText = data.text;
 
-        if (!inputText) {
+        const { format, error: formatError } = normalizeFormat(data.format);
+        if (formatError) {
+            return new Response(JSON.stringify({ error: formatError }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+            });
+        }
+
+        // Batch mode: `texts: [...]` instead of `text`
+        let batchItems = null;
+        if (data.texts !== undefined) {
+            const { items, error } = normalizeTexts(data.texts);
+            if (error) {
+                return new Response(JSON.stringify({ error }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+                });
+            }
+            batchItems = items;
+        } else if (!inputText) {
             return new Response(JSON.stringify({ error: "Missing 'text' field in request body." }), {
                 status: 400,
                 headers: { 'Content-Type': 'application/json;charset=UTF-8' }
@@ -111,9 +230,9 @@ export async function translate_with_google(request, env, getISO2ForModel) {
             });
         }
 
-        const supportedTargetsSet = new Set(Object.values(googleTranslateSupport));
-        const { supported: supportedTargetCodes, unsupported: unsupportedTargets } =
-            mapAndFilterLanguages(targetLangs3, getGoogleTranslateCode, supportedTargetsSet);
+        const supportedTargetsSet = new Set([...Object.values(googleTranslateSupport), ...GOOGLE_VARIANTS]);
+        const { targets, unsupported: unsupportedTargets } = mapAndFilterLanguages(targetLangs3, supportedTargetsSet);
+        const supportedTargetCodes = Object.keys(targets);
 
         // If NO valid targets could be mapped, return error
         if (supportedTargetCodes.length === 0) {
@@ -142,54 +261,70 @@ export async function translate_with_google(request, env, getISO2ForModel) {
         // Debug logging
         console.log("Google Translate Request Headers:", JSON.stringify(headersToSend, null, 2));
 
+        // With a Google glossary, requests go to the glossary's regional endpoint
+        const glossaryRequest = googleGlossaryRequest(data.glossary, projectId, sourceLanguageCode);
+        const endpoint = glossaryRequest?.endpoint || GOOGLE_TRANSLATE_ENDPOINT;
+
+        // Do-not-translate terms go in translate="no" spans, which only work when the text is sent as HTML
+        const keep = data.do_not_translate?.length
+            ? keepTermsInMarkup(data.do_not_translate, format, '<span translate="no">', '</span>')
+            : null;
+        const requestFormat = keep ? 'html' : format;
+
+        if (batchItems) {
+            const items = keep ? batchItems.map(item => ({ ...item, text: keep.wrap(item.text) })) : batchItems;
+            const { results, failed, detectedSource } = await translateBatch(
+                items, targets, sourceLanguageCode, requestFormat, endpoint, headersToSend,
+                glossaryRequest?.glossaryConfig);
+            if (keep) mapBatchResults(results, keep.unwrap);
+
+            const metadata = {
+                src_lang: srcLang3 || null,
+                language_definition: languageDefinition,
+                translator: 'google',
+                detected_source_language: detectedSource
+                    ? googleReverseMap[detectedSource] || getISO3FromISO2(detectedSource) || detectedSource
+                    : null
+            };
+            const errors = {};
+            if (unsupportedTargets.length) errors.unsupported_target_langs = unsupportedTargets;
+            if (unsupportedSourceLang) errors.unsupported_source_lang = unsupportedSourceLang;
+            if (failed.length) errors.failed_translations = failed;
+
+            return new Response(JSON.stringify({
+                results,
+                metadata,
+                ...(Object.keys(errors).length ? { errors } : {})
+            }), {
+                headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+            });
+        }
+
         // Send one request per target language (similar to DeepL pattern)
         const translations = await Promise.all(supportedTargetCodes.map(async (targetLangGoogle) => {
             const requestPayload = {
-                contents: [inputText],
+                contents: [keep ? keep.wrap(inputText) : inputText],
                 targetLanguageCode: targetLangGoogle,
-                mimeType: 'text/plain'
+                mimeType: MIME_TYPES[requestFormat]
             };
             
             // Only add source language if it was provided and supported
             if (sourceLanguageCode) {
                 requestPayload.sourceLanguageCode = sourceLanguageCode;
             }
+            if (glossaryRequest) {
+                requestPayload.glossaryConfig = glossaryRequest.glossaryConfig;
+            }
 
             console.log("Google Translate Request Payload:", JSON.stringify(requestPayload, null, 2));
 
-            const apiResponse = await fetch(GOOGLE_TRANSLATE_ENDPOINT, {
-                method: 'POST',
-                headers: headersToSend,
-                body: JSON.stringify(requestPayload),
-            });
-
-            if (!apiResponse.ok) {
-                let errorDetails = `Google Translate API Error (${apiResponse.status})`;
-                try {
-                    const rawErrorText = await apiResponse.text();
-                    if (rawErrorText && rawErrorText.trim() !== '') {
-                        try {
-                            const errorJson = JSON.parse(rawErrorText);
-                            if (errorJson?.error?.message) {
-                                errorDetails = errorJson.error.message;
-                            } else {
-                                errorDetails = rawErrorText.trim();
-                            }
-                        } catch (jsonError) {
-                            errorDetails = rawErrorText.trim();
-                        }
-                    }
-                } catch (readError) {
-                    console.error("Failed to read Google Translate error response:", readError);
-                }
-                throw new Error(`Google Translate API request failed for ${targetLangGoogle}: ${errorDetails}`);
-            }
-
-            const result = await apiResponse.json();
+            const result = await requestGoogle(endpoint, headersToSend, requestPayload);
+            const translation = (result.glossaryTranslations || result.translations)[0];
+            const text = requestFormat === 'html' ? ensureWellFormed(translation?.translatedText) : translation?.translatedText;
             return {
                 lang: targetLangGoogle,
-                text: result.translations[0]?.translatedText,
-                detectedSourceLanguage: result.translations[0]?.detectedLanguageCode
+                text: keep ? keep.unwrap(text) : text,
+                detectedSourceLanguage: translation?.detectedLanguageCode
             };
         }));
 
@@ -206,14 +341,9 @@ export async function translate_with_google(request, env, getISO2ForModel) {
 
         let firstDetectedSource = null;
         translations.forEach(({ lang, text, detectedSourceLanguage }) => {
-            // Map Google Translate code back to 3-letter code
-            const targetLang3 = googleReverseMap[lang] || getISO3FromISO2(lang);
-            if (targetLang3) {
-                responseObj[targetLang3] = text;
-            } else {
-                // Handle cases where reverse mapping fails
-                console.warn(`Could not map Google Translate code ${lang} back to ISO 639-3.`);
-                responseObj[`unknown_target_${lang}`] = text;
+            // Key each translation by the code(s) it was requested as ('deu', 'zh-Hant')
+            for (const requested of targets[lang]) {
+                responseObj[requested] = text;
             }
 
             // Capture the first detected source language
@@ -260,3 +390,17 @@ export async function translate_with_google(request, env, getISO2ForModel) {
         });
     }
 }
+
+const googleLanguages = new Set(Object.keys(googleTranslateSupport));
+
+registerTranslator({
+    name: 'google',
+    label: 'Google',
+    sources: googleLanguages,
+    targets: googleLanguages,
+    translate: (request, env) => translate_with_google(request, env, getISO2ForModel),
+    variantCode: getGoogleVariantCode,
+    detect: detect_language_with_google,
+    // Google is the only detector that reports a confidence
+    detectionWeight: 1,
+});
@@ -0,0 +1,139 @@
+// Helpers for `format: "html"` requests.
+//
+// Google and DeepL handle markup natively; M2M only sees plain text, so its input is split into
+// text nodes that are translated one by one and put back into the original markup. Every
+// provider's output goes through ensureWellFormed so a mangled answer never leaves unbalanced tags.
+
+export const FORMATS = ["text", "html"];
+
+// Content of these elements is left untranslated
+export const IGNORED_TAGS = ["code", "pre", "script", "style"];
+
+const VOID_TAGS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\/?[a-zA-Z][^>]*>/g;
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'", "&nbsp;": " " };
+
+/**
+ * Validate a request's `format` field.
+ * @returns {{format: "text"|"html", error: string|null}}
+ */
+export function normalizeFormat(format) {
+    if (format === undefined || format === null) return { format: "text", error: null };
+    if (!FORMATS.includes(format)) {
+        return { format: "text", error: `Invalid format: ${format}. Must be one of: ${FORMATS.join(", ")}` };
+    }
+    return { format, error: null };
+}
+
+// Split markup into `{ type: "tag" | "text", value, name?, closing?, selfClosing? }` tokens
+function tokenize(html) {
+    const tokens = [];
+    let last = 0;
+    for (const match of html.matchAll(TOKEN_PATTERN)) {
+        if (match.index > last) tokens.push({ type: "text", value: html.slice(last, match.index) });
+        const value = match[0];
+        const name = value.match(/^<\/?([a-zA-Z][\w:-]*)/)?.[1]?.toLowerCase() || null;
+        tokens.push({
+            type: "tag",
+            value,
+            name,
+            closing: value.startsWith("</"),
+            selfClosing: value.endsWith("/>") || VOID_TAGS.has(name),
+        });
+        last = match.index + value.length;
+    }
+    if (last < html.length) tokens.push({ type: "text", value: html.slice(last) });
+    return tokens;
+}
+
+export function decodeEntities(text) {
+    return text
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity])
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)));
+}
+
+export function escapeText(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Pull the translatable text nodes out of an HTML snippet.
+ *
+ * Returns the node texts (entities decoded, surrounding whitespace trimmed) and a `rebuild`
+ * function that puts translations of those texts back into the original markup.
+ *
+ * @param {string} html
+ * @returns {{segments: string[], rebuild: (translations: string[]) => string}}
+ */
+export function extractTextSegments(html) {
+    const tokens = tokenize(html);
+    const segments = [];
+    const slots = [];
+    let ignoredDepth = 0;
+
+    for (const [position, token] of tokens.entries()) {
+        if (token.type === "tag") {
+            if (IGNORED_TAGS.includes(token.name) && !token.selfClosing) {
+                ignoredDepth = Math.max(0, ignoredDepth + (token.closing ? -1 : 1));
+            }
+            continue;
+        }
+        const text = decodeEntities(token.value);
+        if (ignoredDepth > 0 || !text.trim()) continue;
+        const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        slots.push({ position, leading, trailing });
+        segments.push(core);
+    }
+
+    function rebuild(translations) {
+        const output = tokens.map((token) => token.value);
+        slots.forEach(({ position, leading, trailing }, index) => {
+            output[position] = escapeText(`${leading}${translations[index] ?? segments[index]}${trailing}`);
+        });
+        return ensureWellFormed(output.join(""));
+    }
+
+    return { segments, rebuild };
+}
+
+/**
+ * Plain text of an HTML snippet, for language detection.
+ */
+export function htmlToText(html) {
+    return extractTextSegments(html).segments.join(" ");
+}
+
+/**
+ * Balance an HTML snippet: close tags left open, drop closing tags that were never opened and
+ * escape stray angle brackets in text.
+ */
+export function ensureWellFormed(html) {
+    if (typeof html !== "string") return html;
+    const open = [];
+    let output = "";
+
+    for (const token of tokenize(html)) {
+        if (token.type === "text") {
+            output += token.value.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        } else if (!token.name || token.selfClosing) {
+            output += token.value;
+        } else if (!token.closing) {
+            open.push(token.name);
+            output += token.value;
+        } else if (open.includes(token.name)) {
+            // Close anything opened inside this element first
+            while (open.length) {
+                const name = open.pop();
+                output += `</${name}>`;
+                if (name === token.name) break;
+            }
+        }
+    }
+
+    while (open.length) output += `</${open.pop()}>`;
+    return output;
+}
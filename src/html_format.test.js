@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeFormat, extractTextSegments, htmlToText, ensureWellFormed } from './html_format.js';
+
+describe('normalizeFormat', () => {
+  it('defaults to text and rejects unknown formats', () => {
+    expect(normalizeFormat(undefined)).toEqual({ format: 'text', error: null });
+    expect(normalizeFormat('html').format).toBe('html');
+    expect(normalizeFormat('markdown').error).toMatch(/Invalid format/);
+  });
+});
+
+describe('extractTextSegments', () => {
+  it('extracts text nodes and rebuilds the markup around translations', () => {
+    const { segments, rebuild } = extractTextSegments('<p>Hello <b>world</b> &amp; you</p><code>x = 1</code>');
+    expect(segments).toEqual(['Hello', 'world', '& you']);
+    expect(rebuild(['Hola', 'mundo', '& tú'])).toBe('<p>Hola <b>mundo</b> &amp; tú</p><code>x = 1</code>');
+  });
+
+  it('keeps attributes and void elements untouched', () => {
+    const { segments, rebuild } = extractTextSegments('<a href="/x" title="Home">Home</a><br>Next');
+    expect(segments).toEqual(['Home', 'Next']);
+    expect(rebuild(['Inicio', 'Siguiente'])).toBe('<a href="/x" title="Home">Inicio</a><br>Siguiente');
+  });
+
+  it('gives plain text for detection', () => {
+    expect(htmlToText('<p>Guten <i>Tag</i></p>')).toBe('Guten Tag');
+  });
+});
+
+describe('ensureWellFormed', () => {
+  it('closes open tags and drops stray closing tags', () => {
+    expect(ensureWellFormed('<p>Hola <b>mundo</p></i>')).toBe('<p>Hola <b>mundo</b></p>');
+    expect(ensureWellFormed('<div>a < b')).toBe('<div>a &lt; b</div>');
+  });
+});
@@ -0,0 +1,23 @@
+// Request and response helpers shared by the JSON endpoints and the translator wrappers.
+
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json;charset=UTF-8" },
+  });
+}
+
+export function missingDatabase() {
+  return jsonResponse({ error: "D1 binding 'DB' is not configured." }, 500);
+}
+
+/**
+ * A request's target languages as given: `tgt_langs` (or `target_langs`), an array or a
+ * comma-separated string.
+ * @returns {string[]}
+ */
+export function targetLangs(data) {
+  const tgt_langs = data.tgt_langs ?? data.target_langs;
+  if (typeof tgt_langs === "string") return tgt_langs.split(",").map((lang) => lang.trim()).filter(Boolean);
+  return Array.isArray(tgt_langs) ? tgt_langs : [];
+}
@@ -1,24 +1,28 @@
 // Updated Worker script using native Cloudflare Workers AI binding
-import wikidataLanguages from './wikidata-languages.json';
-import { translate_with_m2m } from './m2m_translator.js';
-import { translate_with_deepl } from './deepl_translator.js'; // Import the new function
-import { translate_with_google } from './google_translator.js'; // Import Google Translate function
-import { handleGptRequest } from './openai.js';
+import { getTranslator } from './translators.js';
 import { handleMultiRequest } from './multi_translator.js';
 import { handleStatusRequest } from './status.js';
-
-// Create mapping for converting 3-digit to 2-digit codes for m2m100 model compatibility
-const ISO3_TO_ISO2_MAP = wikidataLanguages.reduce((acc, lang) => {
-  if (lang.iso && lang.iso1) {
-    acc[lang.iso] = lang.iso1;
-  }
-  return acc;
-}, {});
-
-// Convert iso3 to iso2 for model compatibility (used by both translators)
-function getISO2ForModel(iso3) {
-  return ISO3_TO_ISO2_MAP[iso3] || null; // Return null if no mapping found
-}
+import { handleDetectRequest } from './detect.js';
+import { handleCreateJobRequest, handleGetJobRequest, handleDeleteJobRequest, resumeJobs } from './jobs.js';
+import { handleFilesRequest } from './files.js';
+import {
+  handleCreateGlossaryRequest,
+  handleListGlossariesRequest,
+  handleGetGlossaryRequest,
+  handleDeleteGlossaryRequest,
+} from './glossaries.js';
+import {
+  handleListDoNotTranslateRequest,
+  handleAddDoNotTranslateRequest,
+  handleDeleteDoNotTranslateRequest,
+} from './do_not_translate.js';
+import {
+  handlePutCorrectionRequest,
+  handleListCorrectionsRequest,
+  handleDeleteCorrectionRequest,
+} from './corrections.js';
+import { handleFeedbackRequest } from './feedback.js';
+import { getISO2ForModel } from './language_codes.js';
 
 function handleGetRequest() {
   return new Response(JSON.stringify({
@@ -173,7 +177,7 @@ export default {
     // Add CORS headers for cross-origin requests
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, api_key, Authorization' // Allow Authorization for DeepL key potentially
     };
 
@@ -187,6 +191,11 @@ export default {
     let response;
     const url = new URL(request.url);
     const pathname = url.pathname;
+    const jobId = pathname.match(/^\/jobs\/([^/]+)$/)?.[1];
+    const fileFormat = pathname.match(/^\/files\/([^/]+)$/)?.[1];
+    const glossaryId = pathname.match(/^\/glossaries\/([^/]+)$/)?.[1];
+    const doNotTranslateTerm = pathname.match(/^\/do-not-translate\/([^/]+)$/)?.[1];
+    const correctionId = pathname.match(/^\/corrections\/([^/]+)$/)?.[1];
 
     try {
       if (request.method === "GET" && pathname === "/") {
@@ -194,22 +203,45 @@ export default {
       } else if (request.method === "POST" && pathname === "/") {
         // Keep '/' POST route using the original m2m logic via handlePostRequest
         response = await handlePostRequest(request, env);
-      } else if (request.method === "POST" && pathname === "/m2m") {
-        // Route '/m2m' POST to the dedicated m2m translator function
-        response = await translate_with_m2m(request, env, getISO2ForModel);
-      } else if (request.method === "POST" && pathname === "/deepl") {
-        // Route '/deepl' POST to the new deepl translator function
-        response = await translate_with_deepl(request, env, getISO2ForModel);
-      } else if (request.method === "POST" && pathname === "/google") {
-        // Route '/google' POST to the Google Translate function
-        response = await translate_with_google(request, env, getISO2ForModel);
       } else if (request.method === "POST" && pathname === "/test") { // Add the new test route
         response = await handleTestRequest(env);
-      } else if (request.method === "POST" && pathname === "/openai") {
-        // Use handleGptRequest from openai.js
-        response = await handleGptRequest(request, env);
+      } else if (request.method === "POST" && getTranslator(pathname.slice(1))?.translate) {
+        // Per-provider routes ('/deepl', '/google', '/m2m', '/openai', ...) come from the translator registry
+        response = await getTranslator(pathname.slice(1)).translate(request, env);
       } else if (request.method === "POST" && pathname === "/multi") {
         response = await handleMultiRequest(request, env);
+      } else if (request.method === "POST" && pathname === "/detect") {
+        response = await handleDetectRequest(request, env);
+      } else if (request.method === "POST" && fileFormat) {
+        response = await handleFilesRequest(request, env, fileFormat);
+      } else if (request.method === "POST" && pathname === "/jobs") {
+        response = await handleCreateJobRequest(request, env, ctx);
+      } else if (request.method === "GET" && jobId) {
+        response = await handleGetJobRequest(jobId, env, ctx);
+      } else if (request.method === "DELETE" && jobId) {
+        response = await handleDeleteJobRequest(jobId, env);
+      } else if (request.method === "POST" && pathname === "/glossaries") {
+        response = await handleCreateGlossaryRequest(request, env);
+      } else if (request.method === "GET" && pathname === "/glossaries") {
+        response = await handleListGlossariesRequest(env);
+      } else if (request.method === "GET" && glossaryId) {
+        response = await handleGetGlossaryRequest(glossaryId, env);
+      } else if (request.method === "DELETE" && glossaryId) {
+        response = await handleDeleteGlossaryRequest(glossaryId, env);
+      } else if (request.method === "GET" && pathname === "/do-not-translate") {
+        response = await handleListDoNotTranslateRequest(env);
+      } else if (request.method === "POST" && pathname === "/do-not-translate") {
+        response = await handleAddDoNotTranslateRequest(request, env);
+      } else if (request.method === "DELETE" && doNotTranslateTerm) {
+        response = await handleDeleteDoNotTranslateRequest(decodeURIComponent(doNotTranslateTerm), env);
+      } else if (request.method === "PUT" && pathname === "/corrections") {
+        response = await handlePutCorrectionRequest(request, env);
+      } else if (request.method === "GET" && pathname === "/corrections") {
+        response = await handleListCorrectionsRequest(request, env);
+      } else if (request.method === "DELETE" && correctionId) {
+        response = await handleDeleteCorrectionRequest(decodeURIComponent(correctionId), env);
+      } else if (request.method === "POST" && pathname === "/feedback") {
+        response = await handleFeedbackRequest(request, env);
       } else if (request.method === "GET" && pathname === "/status") {
         response = await handleStatusRequest(request, env);
       } else {
@@ -249,5 +281,12 @@ export default {
         }
       });
     }
+  },
+
+  // Cron trigger (wrangler.toml): picks up translation jobs whose background work was cut off
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(resumeJobs(env).then((resumed) => {
+      if (resumed.length) console.log(`⏰ Resumed ${resumed.length} stalled job(s)`);
+    }));
   }
-};
\ No newline at end of file
+};
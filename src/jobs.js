@@ -0,0 +1,336 @@
+// Asynchronous translation jobs stored in the `DB` D1 binding.
+//
+// POST /jobs takes the same body as a batch /multi request and answers right away with a job id.
+// The texts are then translated chunk by chunk through handleMultiRequest in the background
+// (ctx.waitUntil), and every chunk's results are written to D1 as soon as it finishes, so
+// GET /jobs/:id can report partial results while the job is still running.
+//
+// The background work ends shortly after the response is sent, so a long job is usually cut off
+// part way. A job that stored nothing for STALE_JOB_SECONDS is stalled: the cron trigger
+// (resumeJobs, see wrangler.toml) and GET /jobs/:id pick it up again where it stopped, and one
+// that still stores nothing after MAX_JOB_RESUMES pick-ups is marked failed.
+// Tables are created by migrations/0001_translation_jobs.sql and 0008_translation_job_attempts.sql.
+import { handleMultiRequest, validateMultiOptions } from "./multi_translator.js";
+import { normalizeTexts } from "./batch.js";
+import { canonicalizeTargets, normalizeKeyStyle } from "./language_codes.js";
+import { jsonResponse, missingDatabase } from "./http.js";
+
+// Texts per handleMultiRequest call
+const JOB_CHUNK_SIZE = 50;
+
+const STALE_JOB_SECONDS = 120;
+const MAX_JOB_RESUMES = 3;
+
+// Stalled jobs picked up per cron run
+const RESUME_BATCH_SIZE = 5;
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+async function getJobRow(db, id) {
+  return db.prepare("SELECT * FROM translation_jobs WHERE id = ?").bind(id).first();
+}
+
+function runInBackground(processing, ctx) {
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(processing);
+    return null;
+  }
+  return processing;
+}
+
+/**
+ * Handle POST /jobs
+ *
+ * Body: a batch /multi request (`texts`, `tgt_langs`, plus any /multi options).
+ * Responds 202 with `{ id, status, total_items, status_url }`.
+ */
+export async function handleCreateJobRequest(request, env, ctx) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: "Request body must be valid JSON." }, 400);
+  }
+
+  const { items, error } = normalizeTexts(data.texts);
+  if (error) return jsonResponse({ error }, 400);
+
+  let tgt_langs = data.tgt_langs;
+  if (typeof tgt_langs === "string") tgt_langs = tgt_langs.split(",").map((l) => l.trim());
+  if (!Array.isArray(tgt_langs) || tgt_langs.length === 0) {
+    return jsonResponse({ error: "No target languages provided." }, 400);
+  }
+  const invalid = await validateMultiOptions(data, env);
+  if (invalid) return jsonResponse({ error: invalid.error }, invalid.status);
+
+  const id = crypto.randomUUID();
+  const { texts, ...options } = data;
+  const jobRequest = { ...options, tgt_langs };
+
+  await db.batch([
+    db
+      .prepare(
+        "INSERT INTO translation_jobs (id, status, request_json, total_items) VALUES (?, 'queued', ?, ?)",
+      )
+      .bind(id, JSON.stringify(jobRequest), items.length),
+    ...items.map((item, position) =>
+      db
+        .prepare(
+          "INSERT INTO translation_job_items (job_id, item_id, position, text) VALUES (?, ?, ?, ?)",
+        )
+        .bind(id, item.id, position, item.text),
+    ),
+  ]);
+
+  console.log(`📥 Job ${id} queued with ${items.length} texts`);
+
+  await runInBackground(processJob(id, env), ctx);
+
+  return jsonResponse(
+    { id, status: "queued", total_items: items.length, status_url: `/jobs/${id}` },
+    202,
+  );
+}
+
+/**
+ * Handle GET /jobs/:id
+ *
+ * Reports the job status, progress and every result stored so far, keyed like a batch /multi
+ * response: `results: { <item id>: { <lang>: text } }`, `errors: { <item id>: {...} }`.
+ * A stalled job is picked up again in the background.
+ */
+export async function handleGetJobRequest(id, env, ctx) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  let job = await getJobRow(db, id);
+  if (!job) return jsonResponse({ error: `Job not found: ${id}` }, 404);
+  if (await claimStalledJob(db, job)) {
+    await runInBackground(resumeJob(job.id, env), ctx);
+    job = await getJobRow(db, id);
+  }
+
+  const { results: rows = [] } = await db
+    .prepare(
+      "SELECT item_id, status, results_json, errors_json FROM translation_job_items WHERE job_id = ? ORDER BY position",
+    )
+    .bind(id)
+    .all();
+
+  const results = {};
+  const errors = {};
+  for (const row of rows) {
+    const itemResults = parseJson(row.results_json);
+    const itemErrors = parseJson(row.errors_json);
+    if (itemResults && Object.keys(itemResults).length) results[row.item_id] = itemResults;
+    if (itemErrors) errors[row.item_id] = itemErrors;
+  }
+
+  return jsonResponse({
+    id: job.id,
+    status: job.status,
+    progress: {
+      total: job.total_items,
+      completed: job.completed_items,
+      failed: job.failed_items,
+    },
+    results,
+    ...(Object.keys(errors).length ? { errors } : {}),
+    metadata: parseJson(job.metadata_json, {}),
+    ...(job.error ? { error: job.error } : {}),
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  });
+}
+
+/**
+ * Handle DELETE /jobs/:id
+ *
+ * Cancels a queued or running job. Chunks already in flight still store their results, but no
+ * further chunks are started.
+ */
+export async function handleDeleteJobRequest(id, env) {
+  const db = env.DB;
+  if (!db) return missingDatabase();
+
+  const job = await getJobRow(db, id);
+  if (!job) return jsonResponse({ error: `Job not found: ${id}` }, 404);
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return jsonResponse({ error: `Job is already ${job.status}.`, id, status: job.status }, 409);
+  }
+
+  await db
+    .prepare(
+      "UPDATE translation_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('queued', 'running')",
+    )
+    .bind(id)
+    .run();
+
+  console.log(`🛑 Job ${id} cancelled`);
+  return jsonResponse({ id, status: "cancelled" });
+}
+
+// Store one chunk's /multi answer on its items and bump the job's progress counters.
+// `langs` are the keys of the response (see key_style in language_codes.js).
+async function storeChunkResults(db, jobId, chunk, langs, body, ok) {
+  let completed = 0;
+  let failed = 0;
+
+  const statements = chunk.map((item) => {
+    const itemResults = ok ? body.results?.[item.id] || {} : {};
+    const missingLangs = langs.filter((lang) => typeof itemResults[lang] !== "string");
+    const itemErrors = missingLangs.length
+      ? { missing_langs: missingLangs, ...(ok ? {} : { error: body.error || "Translation failed" }) }
+      : null;
+    const status = Object.keys(itemResults).length ? "done" : "failed";
+    if (status === "done") completed++;
+    else failed++;
+
+    return db
+      .prepare(
+        "UPDATE translation_job_items SET status = ?, results_json = ?, errors_json = ? WHERE job_id = ? AND item_id = ?",
+      )
+      .bind(status, JSON.stringify(itemResults), itemErrors ? JSON.stringify(itemErrors) : null, jobId, item.id);
+  });
+
+  statements.push(
+    db
+      .prepare(
+        "UPDATE translation_jobs SET completed_items = completed_items + ?, failed_items = failed_items + ?, metadata_json = COALESCE(metadata_json, ?), attempts = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      )
+      .bind(completed, failed, body.metadata ? JSON.stringify(body.metadata) : null, jobId),
+  );
+
+  await db.batch(statements);
+}
+
+/**
+ * Translate a job's pending items chunk by chunk until it is done or cancelled.
+ * Safe to call again for a job that was interrupted: only pending items are picked up.
+ */
+export async function processJob(jobId, env) {
+  const db = env.DB;
+  const job = await getJobRow(db, jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+  const jobRequest = parseJson(job.request_json, {});
+  const { keys } = canonicalizeTargets(jobRequest.tgt_langs, normalizeKeyStyle(jobRequest.key_style).keyStyle);
+  const responseKeys = [...keys.values()];
+
+  await db
+    .prepare(
+      "UPDATE translation_jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'",
+    )
+    .bind(jobId)
+    .run();
+
+  try {
+    const { results: pending = [] } = await db
+      .prepare(
+        "SELECT item_id, text FROM translation_job_items WHERE job_id = ? AND status = 'pending' ORDER BY position",
+      )
+      .bind(jobId)
+      .all();
+
+    for (let start = 0; start < pending.length; start += JOB_CHUNK_SIZE) {
+      const current = await getJobRow(db, jobId);
+      if (current?.status === "cancelled") {
+        console.log(`🛑 Job ${jobId} stopped after cancellation`);
+        return;
+      }
+
+      const chunk = pending
+        .slice(start, start + JOB_CHUNK_SIZE)
+        .map((row) => ({ id: row.item_id, text: row.text }));
+      const chunkRequest = { ...jobRequest, texts: chunk };
+      const response = await handleMultiRequest({ json: async () => chunkRequest }, env);
+      const body = await response.json();
+
+      await storeChunkResults(db, jobId, chunk, responseKeys, body, response.ok);
+      console.log(`✅ Job ${jobId}: ${Math.min(start + JOB_CHUNK_SIZE, pending.length)}/${pending.length} texts processed`);
+    }
+
+    const finished = await getJobRow(db, jobId);
+    const status = finished.failed_items === finished.total_items ? "failed" : "completed";
+    await db
+      .prepare(
+        "UPDATE translation_jobs SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'",
+      )
+      .bind(status, jobId)
+      .run();
+  } catch (error) {
+    console.error(`❌ Job ${jobId} failed:`, error);
+    await db
+      .prepare(
+        "UPDATE translation_jobs SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'",
+      )
+      .bind(error.message, jobId)
+      .run();
+  }
+}
+
+// Take over a queued or running job that stored nothing for STALE_JOB_SECONDS. Only one caller
+// wins the update, so a job is never resumed twice at once.
+async function claimStalledJob(db, job) {
+  if (FINISHED_STATUSES.includes(job.status)) return false;
+  const { meta } = await db
+    .prepare(
+      `UPDATE translation_jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('queued', 'running') AND updated_at = ? AND updated_at <= datetime('now', '-${STALE_JOB_SECONDS} seconds')`,
+    )
+    .bind(job.id, job.updated_at)
+    .run();
+  return meta?.changes === 1;
+}
+
+// Continue a claimed job, or fail it when MAX_JOB_RESUMES pick-ups in a row stored nothing
+async function resumeJob(jobId, env) {
+  const db = env.DB;
+  const job = await getJobRow(db, jobId);
+  if (job.attempts > MAX_JOB_RESUMES) {
+    console.error(`❌ Job ${jobId} made no progress in ${MAX_JOB_RESUMES} resumed runs`);
+    await db
+      .prepare(
+        "UPDATE translation_jobs SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'",
+      )
+      .bind(`Job made no progress in ${MAX_JOB_RESUMES} resumed runs.`, jobId)
+      .run();
+    return;
+  }
+  console.log(`🔁 Job ${jobId} resumed (attempt ${job.attempts})`);
+  await processJob(jobId, env);
+}
+
+/**
+ * Pick up stalled jobs, oldest first. Run by the cron trigger (`scheduled` in index.js).
+ * @returns {Promise<string[]>} Ids of the jobs that were picked up
+ */
+export async function resumeJobs(env) {
+  const db = env.DB;
+  if (!db) return [];
+
+  const { results: stalled = [] } = await db
+    .prepare(
+      `SELECT id, status, updated_at FROM translation_jobs WHERE status IN ('queued', 'running') AND updated_at <= datetime('now', '-${STALE_JOB_SECONDS} seconds') ORDER BY updated_at LIMIT ${RESUME_BATCH_SIZE}`,
+    )
+    .all();
+
+  const resumed = [];
+  for (const job of stalled) {
+    if (!(await claimStalledJob(db, job))) continue;
+    resumed.push(job.id);
+    await resumeJob(job.id, env);
+  }
+  return resumed;
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { handleCreateJobRequest, handleGetJobRequest, handleDeleteJobRequest, resumeJobs } from './jobs.js';
+import { createTestDB } from './test_d1.js';
+import { createRequest, mockAI } from './test_fixtures.js';
+
+function createEnv(db) {
+  return { DB: db, AI: mockAI((text, lang) => `${text}-${lang}`) };
+}
+
+// A running job cut off after its first text, last updated `age` ago
+function insertStalledJob(db, age = '-10 minutes') {
+  const id = crypto.randomUUID();
+  const request = { src_lang: 'eng', tgt_langs: ['spa'], translators: ['m2m'] };
+  db.query(
+    "INSERT INTO translation_jobs (id, status, request_json, total_items, completed_items, updated_at) VALUES (?, 'running', ?, 2, 1, datetime('now', ?))",
+    id, JSON.stringify(request), age,
+  );
+  db.query("INSERT INTO translation_job_items (job_id, item_id, position, text, status, results_json) VALUES (?, '0', 0, 'Hello', 'done', ?)",
+    id, JSON.stringify({ spa: 'Hola' }));
+  db.query("INSERT INTO translation_job_items (job_id, item_id, position, text) VALUES (?, '1', 1, 'World')", id);
+  return id;
+}
+
+describe('translation jobs', () => {
+  it('queues a job, processes it in the background and reports results', async () => {
+    const db = createTestDB();
+    const env = createEnv(db);
+    const background = [];
+    const ctx = { waitUntil: (promise) => background.push(promise) };
+
+    const created = await handleCreateJobRequest(createRequest({
+      texts: [{ id: 'a', text: 'Hello' }, 'World'],
+      src_lang: 'eng',
+      tgt_langs: ['spa'],
+      translators: ['m2m'],
+    }), env, ctx);
+    expect(created.status).toBe(202);
+    const { id, total_items } = await created.json();
+    expect(total_items).toBe(2);
+
+    await Promise.all(background);
+
+    const job = await (await handleGetJobRequest(id, env)).json();
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ total: 2, completed: 2, failed: 0 });
+    expect(job.results).toEqual({ a: { spa: 'Hello-es' }, 1: { spa: 'World-es' } });
+  });
+
+  it('cancels a queued job and refuses to cancel it twice', async () => {
+    const db = createTestDB();
+    const env = createEnv(db);
+    const created = await handleCreateJobRequest(createRequest({
+      texts: ['Hello'],
+      tgt_langs: ['spa'],
+    }), env, { waitUntil: () => {} });
+    const { id } = await created.json();
+
+    const cancelled = await handleDeleteJobRequest(id, env);
+    expect((await cancelled.json()).status).toBe('cancelled');
+    expect((await handleDeleteJobRequest(id, env)).status).toBe(409);
+  });
+
+  it('returns 404 for unknown jobs and 400 for requests without texts', async () => {
+    const env = createEnv(createTestDB());
+    expect((await handleGetJobRequest('missing', env)).status).toBe(404);
+    const res = await handleCreateJobRequest(createRequest({ text: 'Hello', tgt_langs: ['spa'] }), env);
+    expect(res.status).toBe(400);
+  });
+
+  it('checks the /multi options before queueing a job', async () => {
+    const env = createEnv(createTestDB());
+    const invalid = [{ mode: 'fastest' }, { format: 'pdf' }, { formality: 'casual' }, { fuzzy: { threshold: 0 } }, { glossary_id: 'missing' }];
+    for (const options of invalid) {
+      const res = await handleCreateJobRequest(createRequest({ texts: ['Hello'], tgt_langs: ['spa'], ...options }), env);
+      expect(res.status).toBe(400);
+    }
+    expect(env.DB.query('SELECT COUNT(*) AS n FROM translation_jobs')[0].n).toBe(0);
+  });
+
+  it('counts results under the response keys of key_style', async () => {
+    const env = createEnv(createTestDB());
+    const created = await handleCreateJobRequest(createRequest({
+      texts: ['Hello'], src_lang: 'eng', tgt_langs: ['es'], key_style: 'iso3', translators: ['m2m'],
+    }), env);
+    const job = await (await handleGetJobRequest((await created.json()).id, env)).json();
+
+    expect(job.results).toEqual({ 0: { spa: 'Hello-es' } });
+    expect(job.errors).toBeUndefined();
+  });
+});
+
+describe('stalled jobs', () => {
+  it('are picked up by the cron trigger where they stopped', async () => {
+    const env = createEnv(createTestDB());
+    const id = insertStalledJob(env.DB);
+    const busy = insertStalledJob(env.DB, '-10 seconds');
+
+    expect(await resumeJobs(env)).toEqual([id]);
+    const job = await (await handleGetJobRequest(id, env)).json();
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ total: 2, completed: 2, failed: 0 });
+    expect(job.results).toEqual({ 0: { spa: 'Hola' }, 1: { spa: 'World-es' } });
+    expect((await (await handleGetJobRequest(busy, env)).json()).progress.completed).toBe(1);
+  });
+
+  it('are resumed when their status is read', async () => {
+    const env = createEnv(createTestDB());
+    const id = insertStalledJob(env.DB);
+    const background = [];
+
+    await handleGetJobRequest(id, env, { waitUntil: (promise) => background.push(promise) });
+    await Promise.all(background);
+
+    expect((await (await handleGetJobRequest(id, env)).json()).status).toBe('completed');
+    expect(await resumeJobs(env)).toEqual([]);
+  });
+
+  it('fail once resuming them stores nothing', async () => {
+    const env = createEnv(createTestDB());
+    const id = insertStalledJob(env.DB);
+    env.DB.query('UPDATE translation_jobs SET attempts = 3 WHERE id = ?', id);
+
+    await resumeJobs(env);
+    const job = await (await handleGetJobRequest(id, env)).json();
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('Job made no progress in 3 resumed runs.');
+    expect(job.progress.completed).toBe(1);
+  });
+});
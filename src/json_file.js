@@ -0,0 +1,87 @@
+// Nested JSON locale files (`en.json`) for POST /files/json.
+//
+// Every string leaf is a segment whose id is its dot-separated key path (`home.title`,
+// `steps.0.label`). Non-string leaves and empty strings are copied unchanged.
+
+/**
+ * Compile a key pattern into a RegExp over dot-separated paths.
+ * `*` matches one key, `**` any number of keys: `errors.*`, `**.title`, `nav.**`.
+ */
+export function keyPatternToRegExp(pattern) {
+    const parts = pattern.split('.');
+    let source = '';
+    parts.forEach((part, index) => {
+        const first = index === 0;
+        const last = index === parts.length - 1;
+        if (part === '**') {
+            // Zero or more keys: `**.b` matches `b`, `a.**` matches `a`
+            if (first && last) source += '.*';
+            else if (last) source += '(?:\\..*)?';
+            else source += first ? '(?:[^.]+\\.)*' : '\\.(?:[^.]+\\.)*';
+            return;
+        }
+        if (!first && parts[index - 1] !== '**') source += '\\.';
+        source += part.split('*').map(literal => literal.replace(/[|\\{}()[\]^$+?.]/g, '\\$&')).join('[^.]*');
+    });
+    return new RegExp(`^${source}$`);
+}
+
+function toPatternList(patterns) {
+    if (patterns === undefined || patterns === null) return null;
+    return (Array.isArray(patterns) ? patterns : [patterns]).map(keyPatternToRegExp);
+}
+
+// Walk the document and collect `{ path, value }` for every leaf
+function collectLeaves(node, path, leaves) {
+    if (Array.isArray(node)) {
+        node.forEach((child, index) => collectLeaves(child, [...path, String(index)], leaves));
+    } else if (node && typeof node === 'object') {
+        for (const [key, child] of Object.entries(node)) collectLeaves(child, [...path, key], leaves);
+    } else {
+        leaves.push({ path, value: node });
+    }
+    return leaves;
+}
+
+/**
+ * Parse a /files/json request into segments.
+ * @param {{document: Object, include?: string|string[], exclude?: string|string[]}} data
+ */
+export function parseJsonDocument(data) {
+    const { document } = data;
+    if (!document || typeof document !== 'object') {
+        return { segments: [], error: "'document' must be a JSON object or array." };
+    }
+
+    let include, exclude;
+    try {
+        include = toPatternList(data.include);
+        exclude = toPatternList(data.exclude);
+    } catch (e) {
+        return { segments: [], error: `Invalid key pattern: ${e.message}` };
+    }
+
+    const segments = [];
+    for (const { path, value } of collectLeaves(document, [], [])) {
+        if (typeof value !== 'string' || !value.trim()) continue;
+        const id = path.join('.');
+        if (include && !include.some(pattern => pattern.test(id))) continue;
+        if (exclude?.some(pattern => pattern.test(id))) continue;
+        segments.push({ id, text: value, path });
+    }
+    return { segments, document };
+}
+
+/**
+ * Copy the document with translated string leaves. Untranslated leaves keep their source text.
+ */
+export function buildJsonDocument(parsed, translations) {
+    const output = structuredClone(parsed.document);
+    for (const { id, path } of parsed.segments) {
+        if (typeof translations[id] !== 'string') continue;
+        let node = output;
+        for (const key of path.slice(0, -1)) node = node[key];
+        node[path[path.length - 1]] = translations[id];
+    }
+    return output;
+}
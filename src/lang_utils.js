@@ -1,67 +1,55 @@
 import wikidataLanguages from './wikidata-languages.json' assert { type: 'json' };
-import deeplTargets from './deepl-targets.json' assert { type: 'json' };
-import m2mSupport from './m2m-support.json' assert { type: 'json' };
-import googleTranslateSupport from './google-translate-support.json' assert { type: 'json' };
+import { getTranslator, translatorNames } from './translator_registry.js';
+import { parseLanguageTag, baseLanguage } from './language_tags.js';
 
-export const ISO3_TO_ISO2_MAP = wikidataLanguages.reduce((acc, lang) => {
-    if (lang.iso && lang.iso1) {
-        acc[lang.iso] = lang.iso1;
-    }
-    return acc;
-}, {});
-
-export const ISO2_TO_ISO3_MAP = wikidataLanguages.reduce((acc, lang) => {
-    if (lang.iso && lang.iso1) {
-        acc[lang.iso1.toUpperCase()] = lang.iso;
-    }
-    return acc;
-}, {});
-
-export function getISO2ForModel(iso3) {
-    return ISO3_TO_ISO2_MAP[iso3] || null;
-}
-
-export function getISO3FromISO2(iso2) {
-    return ISO2_TO_ISO3_MAP[iso2.toUpperCase()] || null;
-}
-
-// Build sets of supported 2-letter codes for DeepL (lowercase)
-const deeplSupported = new Set(
-  deeplTargets
-    .map(l => l.language.split('-')[0].toLowerCase()) // e.g. EN-GB -> en
-    .filter(Boolean)
-);
-const m2mSupported = new Set(Object.keys(m2mSupport));
-const googleSupported = new Set(Object.keys(googleTranslateSupport));
-const openaiSupported = new Set(
-  wikidataLanguages.map(l => l.iso).filter(Boolean)
-);
-
-export function assignTranslators(tgt_langs, translator_order = ['deepl', 'google', 'm2m', 'openai']) {
+/**
+ * Assign each target language to the first translator (in `translator_order`) that supports it.
+ * When `src_lang` is known, a translator is only picked if it supports the full source→target pair.
+ * BCP 47 variant tags (`en-GB`) only go to translators that can write that variant.
+ *
+ * @param {string[]} tgt_langs - ISO 639-3 target codes or BCP 47 tags (defaults to every known language)
+ * @param {string[]} translator_order - Registered translator names, highest priority first
+ * @param {string|null} src_lang - ISO 639-3 source code given by the user or detected
+ * @param {{preferFormality?: boolean, scores?: Object, everyTranslator?: boolean}} [options] -
+ *   preferFormality puts translators that can set the register of a language (`formalityTargets`)
+ *   ahead of the others for that language; `scores` (`{ <tgt_lang>: { <translator>: { score } } }`,
+ *   see feedback.js) then orders the translators of each language by feedback score, unscored ones
+ *   counting as 0; everyTranslator assigns each language to every translator that supports it
+ * @returns {Object} `{ <translator>: [codes], unsupported: [codes], unsupported_pairs: [{src_lang, tgt_lang, reason}] }`
+ */
+export function assignTranslators(tgt_langs, translator_order = translatorNames(), src_lang = null, { preferFormality = false, scores = {}, everyTranslator = false } = {}) {
   // If no tgt_langs provided, use all 3-letter codes from wikidataLanguages
   if (!tgt_langs || tgt_langs.length === 0) {
     tgt_langs = wikidataLanguages.map(l => l.iso).filter(Boolean);
   }
-  const result = { deepl: [], google: [], m2m: [], openai: [], unsupported: [] };
-  const supportMap = {
-    deepl: deeplSupported,
-    google: googleSupported,
-    m2m: m2mSupported,
-    openai: openaiSupported
-  };
+  const adapters = translator_order.map(name => getTranslator(name)).filter(Boolean);
+  const result = { unsupported: [], unsupported_pairs: [] };
+  for (const adapter of adapters) result[adapter.name] = [];
+
+  const sourceSupported = !src_lang || adapters.some(adapter => adapter.sources.has(src_lang));
 
   for (const code of tgt_langs) {
-    const iso2 = ISO3_TO_ISO2_MAP[code];
-    const assigned = translator_order.find(tr =>
-      (tr === 'deepl' && iso2 && supportMap.deepl.has(iso2.toLowerCase())) ||
-      (tr === 'google' && supportMap.google.has(code)) ||
-      (tr === 'm2m' && iso2 && supportMap.m2m.has(iso2)) ||
-      (tr === 'openai' && supportMap.openai.has(code))
-    );
-    if (assigned) {
-      result[assigned].push(code);
-    } else {
+    const candidates = parseLanguageTag(code)
+      ? adapters.filter(adapter => Boolean(adapter.variantCode?.(code)))
+      : adapters.filter(adapter => adapter.targets.has(code));
+    const honors = adapter => Number(preferFormality && (adapter.formalityTargets?.has(baseLanguage(code)) ?? false));
+    const score = adapter => scores[code]?.[adapter.name]?.score ?? 0;
+    candidates.sort((a, b) => honors(b) - honors(a) || score(b) - score(a));
+    if (candidates.length === 0) {
       result.unsupported.push(code);
+      continue;
+    }
+    const accepting = src_lang ? candidates.filter(adapter => adapter.sources.has(src_lang)) : candidates;
+    if (accepting.length) {
+      for (const adapter of everyTranslator ? accepting : accepting.slice(0, 1)) result[adapter.name].push(code);
+    } else {
+      result.unsupported_pairs.push({
+        src_lang,
+        tgt_lang: code,
+        reason: sourceSupported
+          ? `Translators supporting ${code} (${candidates.map(a => a.name).join(', ')}) do not accept source language ${src_lang}.`
+          : `Source language ${src_lang} is not supported by any translator.`
+      });
     }
   }
   return result;
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import './translators.js';
+import { assignTranslators } from './lang_utils.js';
+
+describe('assignTranslators', () => {
+  it('assigns targets by priority when no source language is known', () => {
+    const assignment = assignTranslators(['deu', 'spa'], ['deepl', 'google', 'm2m', 'openai']);
+    expect(assignment.deepl).toEqual(['deu', 'spa']);
+    expect(assignment.unsupported).toEqual([]);
+    expect(assignment.unsupported_pairs).toEqual([]);
+  });
+
+  it('skips translators that do not accept the source language', () => {
+    // DeepL supports German as a target but not Tagalog as a source
+    const assignment = assignTranslators(['deu'], ['deepl', 'google', 'm2m', 'openai'], 'tgl');
+    expect(assignment.deepl).toEqual([]);
+    expect(assignment.google).toEqual(['deu']);
+  });
+
+  it('reports pairs that no translator supports', () => {
+    const assignment = assignTranslators(['deu'], ['deepl'], 'tgl');
+    expect(assignment.deepl).toEqual([]);
+    expect(assignment.unsupported_pairs).toHaveLength(1);
+    expect(assignment.unsupported_pairs[0]).toMatchObject({ src_lang: 'tgl', tgt_lang: 'deu' });
+    expect(assignment.unsupported_pairs[0].reason).toMatch(/tgl/);
+  });
+
+  it('keeps targets no translator supports in unsupported', () => {
+    const assignment = assignTranslators(['zzz'], ['deepl', 'google'], 'eng');
+    expect(assignment.unsupported).toEqual(['zzz']);
+    expect(assignment.unsupported_pairs).toEqual([]);
+  });
+});
@@ -0,0 +1,221 @@
+// Language codes as callers send them, canonicalized.
+//
+// ISO 639-3 (`deu`) is the code used everywhere inside the worker. Requests may also name a
+// language with ISO 639-1 (`de`), ISO 639-2/B (`ger`), a BCP 47 tag (`en-GB`, `zh-Hant`,
+// see language_tags.js) or its English or native name (`German`, `Deutsch`). The individual language
+// that stands for a macrolanguage resolves to the macrolanguage (`cmn` → `zho`, `arb` → `ara`),
+// since that is the code the providers list; other members (`yue`) stay themselves.
+// registerTranslator wraps every adapter with withLanguageCodes, and /multi canonicalizes its own
+// request, so `key_style` ("submitted", "iso3" or "iso1") picks the keys of every response.
+import wikidataLanguages from './wikidata-languages.json';
+import { parseLanguageTag } from './language_tags.js';
+import { jsonResponse, targetLangs } from './http.js';
+
+export const KEY_STYLES = ['submitted', 'iso3', 'iso1'];
+
+export const ISO3_TO_ISO2_MAP = wikidataLanguages.reduce((acc, lang) => {
+    if (lang.iso && lang.iso1) {
+        acc[lang.iso] = lang.iso1;
+    }
+    return acc;
+}, {});
+
+export const ISO2_TO_ISO3_MAP = wikidataLanguages.reduce((acc, lang) => {
+    if (lang.iso && lang.iso1) {
+        acc[lang.iso1.toUpperCase()] = lang.iso;
+    }
+    return acc;
+}, {});
+
+const KNOWN_ISO3 = new Set(wikidataLanguages.map(lang => lang.iso).filter(Boolean));
+
+// ISO 639-2/B codes that differ from ISO 639-3
+const ISO639_2B = {
+    alb: 'sqi', arm: 'hye', baq: 'eus', bur: 'mya', chi: 'zho', cze: 'ces', dut: 'nld',
+    fre: 'fra', geo: 'kat', ger: 'deu', gre: 'ell', ice: 'isl', mac: 'mkd', mao: 'mri',
+    may: 'msa', per: 'fas', rum: 'ron', slo: 'slk', tib: 'bod', wel: 'cym',
+};
+
+// The standard variety of a macrolanguage and the macrolanguage it resolves to
+const MACROLANGUAGES = {
+    cmn: 'zho', arb: 'ara', zsm: 'msa', pes: 'fas', swh: 'swa', azj: 'aze', uzn: 'uzb',
+    pbu: 'pus', ekk: 'est', lvs: 'lav', khk: 'mon', als: 'sqi', npi: 'nep', plt: 'mlg',
+    gaz: 'orm', ydd: 'yid',
+};
+
+// English and native names, lower-cased; the first language listed keeps a shared name
+const NAMES = wikidataLanguages.reduce((acc, lang) => {
+    for (const name of [lang.langLabel, ...(lang.nativeNames || [])]) {
+        const key = name?.toLowerCase();
+        if (key && lang.iso && !(key in acc)) acc[key] = lang.iso;
+    }
+    return acc;
+}, {});
+
+export function getISO2ForModel(iso3) {
+    return ISO3_TO_ISO2_MAP[iso3] || null;
+}
+
+export function getISO3FromISO2(iso2) {
+    return ISO2_TO_ISO3_MAP[iso2.toUpperCase()] || null;
+}
+
+/**
+ * Build a set of ISO 639-3 codes from a list of ISO 639-1 codes (case-insensitive).
+ * Used by the translator adapters to describe which languages they support.
+ */
+export function iso3SetFromISO2(iso2Codes) {
+    const wanted = new Set(iso2Codes.filter(Boolean).map(c => c.toLowerCase()));
+    return new Set(
+        wikidataLanguages
+            .filter(l => l.iso && l.iso1 && wanted.has(l.iso1.toLowerCase()))
+            .map(l => l.iso)
+    );
+}
+
+function resolveMacrolanguage(iso3) {
+    const macro = MACROLANGUAGES[iso3];
+    return macro && KNOWN_ISO3.has(macro) ? macro : iso3;
+}
+
+/**
+ * Canonical code for a language given in any accepted form: ISO 639-3 for a language
+ * (`de`, `ger`, `Deutsch` → `deu`), the canonical BCP 47 tag for a variant (`en_gb` → `en-GB`).
+ * @returns {string|null} null when the code isn't recognized
+ */
+export function canonicalLanguage(code) {
+    if (typeof code !== 'string' || !code.trim()) return null;
+    const trimmed = code.trim();
+    const lower = trimmed.toLowerCase();
+
+    if (/^[a-z]{2}$/.test(lower)) {
+        const iso3 = getISO3FromISO2(lower);
+        return iso3 ? resolveMacrolanguage(iso3) : null;
+    }
+    if (/^[a-z]{3}$/.test(lower)) {
+        const iso3 = ISO639_2B[lower] || lower;
+        if (KNOWN_ISO3.has(iso3)) return resolveMacrolanguage(iso3);
+    }
+    if (NAMES[lower]) return resolveMacrolanguage(NAMES[lower]);
+    return parseLanguageTag(trimmed)?.tag ?? null;
+}
+
+/**
+ * Validate a request's `key_style` field.
+ * @returns {{keyStyle: "submitted"|"iso3"|"iso1", error: string|null}}
+ */
+export function normalizeKeyStyle(keyStyle) {
+    if (keyStyle === undefined || keyStyle === null) return { keyStyle: 'submitted', error: null };
+    if (!KEY_STYLES.includes(keyStyle)) {
+        return { keyStyle: 'submitted', error: `Invalid key_style: ${keyStyle}. Must be one of: ${KEY_STYLES.join(', ')}` };
+    }
+    return { keyStyle, error: null };
+}
+
+function keyFor(submitted, canonical, keyStyle) {
+    if (keyStyle === 'submitted') return submitted;
+    if (keyStyle === 'iso1') return getISO2ForModel(canonical) || canonical;
+    return canonical;
+}
+
+/**
+ * Canonicalize target codes. Codes that aren't recognized are kept as sent (translators report
+ * them as unsupported), and codes naming the same language are only translated once, keyed as
+ * the first of them.
+ * @returns {{targets: string[], keys: Map<string, string>}} `keys` maps each canonical code to
+ *   its response key for `keyStyle`
+ */
+export function canonicalizeTargets(codes, keyStyle = 'submitted') {
+    const keys = new Map();
+    for (const code of codes) {
+        const submitted = typeof code === 'string' ? code.trim() : code;
+        const canonical = canonicalLanguage(submitted) || submitted;
+        if (!keys.has(canonical)) keys.set(canonical, keyFor(submitted, canonical, keyStyle));
+    }
+    return { targets: [...keys.keys()], keys };
+}
+
+function renameKeys(object, keys) {
+    return Object.fromEntries(Object.entries(object).map(([lang, value]) => [keys.get(lang) ?? lang, value]));
+}
+
+/**
+ * Rewrite a translate response (single text, batch `results` or /multi) from canonical codes to
+ * the response keys: the translations and `suggestions`, `metadata.translators`,
+ * `translator_attempts` and `corrections`, `metadata.glossary.terms`, `metadata.routing.scores`,
+ * `metadata.formality` and the languages listed in `errors`.
+ */
+export function rekeyResponse(body, keys) {
+    const rename = lang => keys.get(lang) ?? lang;
+    if (body.results) {
+        for (const [id, translations] of Object.entries(body.results)) body.results[id] = renameKeys(translations, keys);
+    } else {
+        // Translations are strings, or `{ <translator>: output }` in /multi compare mode
+        for (const [canonical, key] of keys) {
+            if (key === canonical || body[canonical] === undefined) continue;
+            body[key] = body[canonical];
+            delete body[canonical];
+        }
+    }
+
+    if (body.suggestions) {
+        // Batch suggestions are keyed by text id first
+        const batch = body.results || Object.values(body.suggestions).some(value => !Array.isArray(value));
+        body.suggestions = batch
+            ? Object.fromEntries(Object.entries(body.suggestions).map(([id, byLang]) => [id, renameKeys(byLang, keys)]))
+            : renameKeys(body.suggestions, keys);
+    }
+
+    const { metadata, errors } = body;
+    for (const field of ['translators', 'translator_attempts']) {
+        if (metadata?.[field]) metadata[field] = renameKeys(metadata[field], keys);
+    }
+    if (metadata?.corrections) {
+        for (const [id, langs] of Object.entries(metadata.corrections)) metadata.corrections[id] = langs.map(rename);
+    }
+    if (metadata?.glossary?.terms) metadata.glossary.terms = renameKeys(metadata.glossary.terms, keys);
+    if (metadata?.routing?.scores) metadata.routing.scores = renameKeys(metadata.routing.scores, keys);
+    if (metadata?.formality) {
+        metadata.formality.applied = metadata.formality.applied.map(rename);
+        metadata.formality.not_applied = metadata.formality.not_applied.map(rename);
+    }
+    for (const [field, value] of Object.entries(errors || {})) {
+        if (!Array.isArray(value)) continue;
+        errors[field] = value.map(entry => (typeof entry === 'string'
+            ? rename(entry)
+            : entry?.lang ? { ...entry, lang: rename(entry.lang) }
+                : entry?.tgt_lang ? { ...entry, tgt_lang: rename(entry.tgt_lang) } : entry));
+    }
+    return body;
+}
+
+/**
+ * Wrap a translator's `translate(request, env)` so `src_lang` and `tgt_langs` reach it as
+ * canonical codes and its response is keyed by `key_style`.
+ */
+export function withLanguageCodes(translate) {
+    return async function translateWithLanguageCodes(request, env) {
+        const data = await request.json();
+        const { key_style, target_langs: _targets, ...forwardData } = data;
+        const { keyStyle, error } = normalizeKeyStyle(key_style);
+        if (error) {
+            return jsonResponse({ error }, 400);
+        }
+
+        const { targets, keys } = canonicalizeTargets(targetLangs(data), keyStyle);
+        if (data.tgt_langs !== undefined || data.target_langs !== undefined) forwardData.tgt_langs = targets;
+        if (data.src_lang) forwardData.src_lang = canonicalLanguage(data.src_lang) || data.src_lang;
+
+        const response = await translate({ json: async () => forwardData, headers: request.headers }, env);
+        if ([...keys].every(([canonical, key]) => canonical === key)) return response;
+        const body = typeof response?.clone === 'function'
+            ? await response.clone().json().catch(() => null)
+            : null;
+        if (!body) return response;
+
+        return new Response(JSON.stringify(rekeyResponse(body, keys)), {
+            status: response.status,
+            headers: response.headers,
+        });
+    };
+}
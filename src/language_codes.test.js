@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { canonicalLanguage, canonicalizeTargets, normalizeKeyStyle } from './language_codes.js';
+import { getTranslator } from './translators.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { DEEPL_ENV, createRequest, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+const env = { ...DEEPL_ENV };
+
+restoreFetchAfterEach();
+
+describe('canonicalLanguage', () => {
+  it('accepts ISO 639-1, 639-2/B, 639-3, tags and names', () => {
+    expect(canonicalLanguage('de')).toBe('deu');
+    expect(canonicalLanguage('ger')).toBe('deu');
+    expect(canonicalLanguage('FRE')).toBe('fra');
+    expect(canonicalLanguage('deu')).toBe('deu');
+    expect(canonicalLanguage('Deutsch')).toBe('deu');
+    expect(canonicalLanguage('german')).toBe('deu');
+    expect(canonicalLanguage('en_gb')).toBe('en-GB');
+    expect(canonicalLanguage('xx')).toBeNull();
+  });
+
+  it('resolves the standard variety of a macrolanguage to the macrolanguage', () => {
+    expect(canonicalLanguage('cmn')).toBe('zho');
+    expect(canonicalLanguage('zh')).toBe('zho');
+    expect(canonicalLanguage('yue')).toBe('yue');
+    expect(canonicalLanguage('cmn-Hant')).toBe('zh-Hant');
+  });
+
+  it('keys targets as submitted, iso3 or iso1 and translates duplicates once', () => {
+    const { targets, keys } = canonicalizeTargets(['de', 'deu', 'French', 'en-GB'], 'iso1');
+    expect(targets).toEqual(['deu', 'fra', 'en-GB']);
+    expect(Object.fromEntries(keys)).toEqual({ deu: 'de', fra: 'fr', 'en-GB': 'en-GB' });
+    expect(normalizeKeyStyle('iso2').error).toMatch(/Must be one of: submitted, iso3, iso1/);
+  });
+});
+
+describe('key_style in translate responses', () => {
+  it('canonicalizes codes for a translator and keys the response as submitted', async () => {
+    const calls = mockFetch();
+    const response = await getTranslator('deepl').translate(createRequest({
+      text: 'Hello', src_lang: 'en', tgt_langs: ['ger', 'zz'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls[0].body.target_lang).toBe('DE');
+    expect(body.ger).toBe('DE:Hello');
+    expect(body.errors.unsupported_target_langs).toEqual(['zz']);
+  });
+
+  it('keys /multi translations and metadata by iso1', async () => {
+    mockFetch();
+    const response = await handleMultiRequest(createRequest({
+      texts: [{ id: 'greeting', text: 'Hello' }],
+      src_lang: 'eng',
+      tgt_langs: ['Deutsch', 'fra'],
+      translators: ['deepl'],
+      key_style: 'iso1',
+    }), env);
+    const body = await response.json();
+
+    expect(body.results.greeting).toEqual({ de: 'DE:Hello', fr: 'FR:Hello' });
+    expect(body.metadata.translators).toEqual({ de: 'deepl', fr: 'deepl' });
+  });
+
+  it('rejects an unknown key_style', async () => {
+    const response = await handleMultiRequest(createRequest({ text: 'hi', tgt_langs: ['deu'], key_style: 'iso2' }), env);
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,155 @@
+// Language detection consensus.
+//
+// Detectors report their result in different shapes: Google and DeepL return
+// `{detectedLanguage, confidence?, originalCode}`, the OpenAI and M2M paths return a bare code
+// that may be ISO 639-1 or 639-3. Every vote is normalized to ISO 639-3 plus a confidence and
+// the votes are combined with per-detector weights.
+import { getISO3FromISO2 } from "./language_codes.js";
+import { getTranslator } from "./translators.js";
+import wikidataLanguages from "./wikidata-languages.json";
+
+const KNOWN_ISO3 = new Set(wikidataLanguages.map((l) => l.iso).filter(Boolean));
+
+// Used when a detector has no `detectionWeight` and the request does not override it
+const DEFAULT_DETECTOR_WEIGHT = 1;
+
+// Confidence assumed for detectors that report none, so a bare guess counts less than a measured one
+const UNMEASURED_CONFIDENCE = 0.5;
+
+/**
+ * Normalize a language code reported by a detector to ISO 639-3.
+ * Accepts ISO 639-3 ("eng"), ISO 639-1 ("en") and region-qualified codes ("EN-US", "zh-CN").
+ * @returns {string|null}
+ */
+export function normalizeDetectedCode(code) {
+  if (typeof code !== "string" || !code.trim()) return null;
+  const base = code.trim().split(/[-_]/)[0].toLowerCase();
+  if (base.length === 2) return getISO3FromISO2(base);
+  if (base.length === 3) return KNOWN_ISO3.has(base) ? base : null;
+  return null;
+}
+
+/**
+ * Normalize whatever a detector returned into `{ lang, confidence }`.
+ * A missing confidence is reported as null and counts as half a vote (see UNMEASURED_CONFIDENCE).
+ */
+export function normalizeDetection(raw) {
+  if (!raw) return { lang: null, confidence: null };
+  if (typeof raw === "string") {
+    return { lang: normalizeDetectedCode(raw), confidence: null };
+  }
+  const code = raw.detectedLanguage || raw.language || raw.lang || raw.originalCode;
+  const confidence = typeof raw.confidence === "number" ? raw.confidence : null;
+  return {
+    lang: normalizeDetectedCode(code) || normalizeDetectedCode(raw.originalCode),
+    confidence,
+  };
+}
+
+/**
+ * Run the given detectors.
+ *
+ * Offline detectors run first. If one of them is conclusive (e.g. the text is in Hangul), the
+ * network detectors are skipped; otherwise they run in parallel.
+ *
+ * @param {string} text
+ * @param {string[]} detectorNames - Registered names of adapters that have a `detect` function
+ * @param {Object} env
+ * @returns {Promise<{votes: Object, errors: Object, skipped: string[]}>} votes keyed by detector: `{lang, confidence, raw}`
+ */
+export async function runDetectors(text, detectorNames, env) {
+  const votes = {};
+  const errors = {};
+
+  async function detectWith(detector) {
+    try {
+      const raw = await getTranslator(detector).detect(text, env);
+      return { detector, raw, error: null };
+    } catch (error) {
+      console.warn(`❌ Detection failed for ${detector}:`, error.message);
+      return { detector, raw: null, error: error.message };
+    }
+  }
+
+  const offline = detectorNames.filter((name) => getTranslator(name)?.offline);
+  const online = detectorNames.filter((name) => !offline.includes(name));
+
+  const results = await Promise.all(offline.map(detectWith));
+  const conclusive = results.some(({ raw }) => raw?.conclusive && normalizeDetection(raw).lang);
+  const skipped = conclusive ? online : [];
+  if (conclusive) {
+    console.log(`🔍 Offline detection was conclusive, skipping: ${skipped.join(", ") || "none"}`);
+  } else {
+    results.push(...(await Promise.all(online.map(detectWith))));
+  }
+
+  for (const { detector, raw, error } of results) {
+    const { lang, confidence } = normalizeDetection(raw);
+    if (lang) {
+      votes[detector] = { lang, confidence, raw };
+      console.log(`✅ ${detector} detected: ${lang}`);
+    } else {
+      errors[detector] = error || (raw ? `Unrecognized language code: ${JSON.stringify(raw)}` : "Unknown error");
+      console.log(`❌ ${detector} failed: ${errors[detector]}`);
+    }
+  }
+
+  return { votes, errors, skipped };
+}
+
+/**
+ * Combine detector votes into a single language.
+ *
+ * Each vote scores `weight × confidence` (confidence defaults to UNMEASURED_CONFIDENCE). The language with the highest
+ * total wins; ties go to the language whose first vote came earliest.
+ *
+ * @param {Object} votes - `{detector: {lang, confidence}}` as returned by runDetectors
+ * @param {Object} [weights] - Per-detector weight overrides, e.g. `{google: 2, m2m: 0.5}`
+ * @returns {{lang: string|null, confidence: number|null, agreement: number|null, ranking: Array, votes: Object}}
+ */
+export function detectionConsensus(votes, weights = {}) {
+  const totals = new Map();
+  const summary = {};
+  let totalScore = 0;
+
+  for (const [detector, { lang, confidence }] of Object.entries(votes)) {
+    const weight = weightFor(detector, weights);
+    const score = weight * (confidence ?? UNMEASURED_CONFIDENCE);
+    summary[detector] = { lang, confidence, weight };
+    if (weight <= 0) continue;
+
+    if (!totals.has(lang)) totals.set(lang, { lang, score: 0, detectors: [] });
+    const entry = totals.get(lang);
+    entry.score += score;
+    entry.detectors.push(detector);
+    totalScore += score;
+  }
+
+  // Map preserves insertion order and sort is stable, so ties keep first-vote order
+  const ranking = [...totals.values()]
+    .sort((a, b) => b.score - a.score)
+    .map((entry) => ({
+      ...entry,
+      confidence: totalScore > 0 ? round(entry.score / totalScore) : null,
+    }));
+
+  const winner = ranking[0] || null;
+  const voters = Object.values(summary).filter((v) => v.weight > 0).length;
+
+  return {
+    lang: winner?.lang || null,
+    confidence: winner?.confidence ?? null,
+    agreement: winner && voters ? round(winner.detectors.length / voters) : null,
+    ranking,
+    votes: summary,
+  };
+}
+
+function weightFor(detector, weights) {
+  if (typeof weights?.[detector] === "number") return weights[detector];
+  return getTranslator(detector)?.detectionWeight ?? DEFAULT_DETECTOR_WEIGHT;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeDetection, detectionConsensus, runDetectors } from './language_detection.js';
+import './translators.js';
+
+describe('normalizeDetection', () => {
+  it('normalizes bare ISO 639-1 and 639-3 codes', () => {
+    expect(normalizeDetection('en')).toEqual({ lang: 'eng', confidence: null });
+    expect(normalizeDetection('spa')).toEqual({ lang: 'spa', confidence: null });
+  });
+
+  it('unwraps detector objects and keeps their confidence', () => {
+    expect(normalizeDetection({ detectedLanguage: 'fra', confidence: 0.92, originalCode: 'fr' }))
+      .toEqual({ lang: 'fra', confidence: 0.92 });
+  });
+
+  it('strips regional subtags', () => {
+    expect(normalizeDetection({ detectedLanguage: 'EN-US', originalCode: 'EN-US' }).lang).toBe('eng');
+  });
+
+  it('returns null for unknown codes', () => {
+    expect(normalizeDetection('xx').lang).toBeNull();
+    expect(normalizeDetection(null).lang).toBeNull();
+  });
+});
+
+describe('detectionConsensus', () => {
+  it('picks the language with the highest weighted score', () => {
+    const result = detectionConsensus(
+      {
+        google: { lang: 'spa', confidence: 0.4 },
+        deepl: { lang: 'por', confidence: null },
+        openai: { lang: 'spa', confidence: null },
+      },
+      { google: 1, deepl: 1, openai: 1 },
+    );
+    expect(result.lang).toBe('spa');
+    expect(result.agreement).toBeCloseTo(2 / 3, 2);
+    expect(result.votes.deepl).toEqual({ lang: 'por', confidence: null, weight: 1 });
+    expect(result.ranking.map((r) => r.lang)).toEqual(['spa', 'por']);
+  });
+
+  it('lets request weights override detector defaults', () => {
+    const votes = {
+      google: { lang: 'spa', confidence: null },
+      deepl: { lang: 'por', confidence: null },
+    };
+    expect(detectionConsensus(votes, { google: 0.1, deepl: 2 }).lang).toBe('por');
+    expect(detectionConsensus(votes, { google: 0 }).votes.google.weight).toBe(0);
+  });
+
+  it('weighs a vote without confidence below a measured one', () => {
+    const votes = {
+      local: { lang: 'rus', confidence: 0.704 },
+      m2m: { lang: 'eng', confidence: null },
+    };
+    expect(detectionConsensus(votes).lang).toBe('rus');
+  });
+
+  it('does not count the M2M English fallback as a vote', async () => {
+    const env = { AI: { run: async () => ({ translated_text: 'Hello, how are you?' }) } };
+    const { votes, errors } = await runDetectors('Привет, как дела? Я иду домой.', ['local', 'm2m'], env);
+    expect(votes.local.lang).toBe('rus');
+    expect(votes.m2m).toBeUndefined();
+    expect(errors.m2m).toMatch(/could not detect/i);
+    expect(detectionConsensus(votes).lang).toBe('rus');
+  });
+
+  it('returns no winner without votes', () => {
+    const result = detectionConsensus({});
+    expect(result.lang).toBeNull();
+    expect(result.agreement).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+// BCP 47 target tags for regional and script variants: `en-GB`, `pt-PT`, `zh-Hant`, `es-419`.
+//
+// `tgt_langs` takes these next to ISO 639-3 codes, and translations are keyed by the code as it
+// was requested. A plain ISO 639-3 code gets whichever variant the provider defaults to (DeepL
+// EN-US, Google zh-CN); a tag asks for that variant. Adapters declare the variants they can write
+// with `variantCode(tag)`, which returns the provider's own code for it (DeepL `EN-GB`, Google
+// `zh-TW`) or null, and assignTranslators only routes a tag to adapters that return one.
+import { getISO3FromISO2 } from './language_codes.js';
+
+// Chinese regions and the script written there
+const CHINESE_SCRIPTS = { TW: 'Hant', HK: 'Hant', MO: 'Hant', CN: 'Hans', SG: 'Hans' };
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Parse a BCP 47 tag that names a script or region.
+ * @returns {{tag: string, language: string, lang3: string|null, script?: string, region?: string}|null}
+ *   `tag` is the canonical form (`en-GB`, `zh-Hant`); null for plain language codes and malformed tags
+ */
+export function parseLanguageTag(code) {
+    if (typeof code !== 'string' || !/[-_]/.test(code)) return null;
+    let locale;
+    try {
+        locale = new Intl.Locale(code.replace(/_/g, '-'));
+    } catch (e) {
+        return null;
+    }
+    const { language, script, region } = locale;
+    if (!script && !region) return null;
+    return {
+        tag: locale.toString(),
+        language,
+        lang3: language.length === 2 ? getISO3FromISO2(language) : language,
+        script,
+        region,
+    };
+}
+
+export function isLanguageTag(code) {
+    return parseLanguageTag(code) !== null;
+}
+
+/**
+ * ISO 639-3 code of the language a target code is in (`en-GB` → `eng`); plain codes come back as they are.
+ */
+export function baseLanguage(code) {
+    return parseLanguageTag(code)?.lang3 ?? code;
+}
+
+/**
+ * English name of a variant, for prompts (`en-GB` → "British English", `es-419` → "Latin American Spanish").
+ */
+export function variantLabel(code) {
+    const parsed = parseLanguageTag(code);
+    return parsed ? displayNames.of(parsed.tag) : null;
+}
+
+// Tags a variant also goes by: for Chinese, the script used in a region and the regions using a script
+function equivalentTags({ tag, language, script, region }) {
+    if (language !== 'zh') return [tag];
+    return [
+        tag,
+        ...(region && CHINESE_SCRIPTS[region] ? [`zh-${CHINESE_SCRIPTS[region]}`] : []),
+        ...(script ? Object.keys(CHINESE_SCRIPTS).filter(r => CHINESE_SCRIPTS[r] === script).map(r => `zh-${r}`) : []),
+    ];
+}
+
+/**
+ * Build an adapter's `variantCode` from the variant codes a provider accepts.
+ * @param {string[]} providerCodes - e.g. `['EN-GB', 'EN-US', 'ZH-HANT']` or `['zh-CN', 'zh-TW']`
+ * @returns {(code: string) => string|null}
+ */
+export function variantMatcher(providerCodes) {
+    const byTag = new Map();
+    for (const code of providerCodes) {
+        const parsed = parseLanguageTag(code);
+        if (parsed) byTag.set(parsed.tag, code);
+    }
+    return (code) => {
+        const parsed = parseLanguageTag(code);
+        const match = parsed && equivalentTags(parsed).find(tag => byTag.has(tag));
+        return match ? byTag.get(match) : null;
+    };
+}
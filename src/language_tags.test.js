@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseLanguageTag, baseLanguage, variantLabel, variantMatcher } from './language_tags.js';
+import { getTranslator } from './translators.js';
+import { assignTranslators } from './lang_utils.js';
+import { DEEPL_ENV, GOOGLE_ENV, createRequest, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+const env = { ...DEEPL_ENV, ...GOOGLE_ENV };
+
+restoreFetchAfterEach();
+
+describe('language tags', () => {
+  it('parses tags with a script or region and leaves plain codes alone', () => {
+    expect(parseLanguageTag('en_gb')).toMatchObject({ tag: 'en-GB', lang3: 'eng', region: 'GB' });
+    expect(parseLanguageTag('es-419')).toMatchObject({ tag: 'es-419', lang3: 'spa' });
+    expect(parseLanguageTag('eng')).toBeNull();
+    expect(baseLanguage('pt-PT')).toBe('por');
+    expect(baseLanguage('deu')).toBe('deu');
+    expect(variantLabel('en-GB')).toBe('British English');
+  });
+
+  it('matches Chinese scripts and regions to each other', () => {
+    const deepl = variantMatcher(['EN-GB', 'ZH-HANT']);
+    expect(deepl('zh-TW')).toBe('ZH-HANT');
+    expect(deepl('en-AU')).toBeNull();
+
+    const google = variantMatcher(['zh-CN', 'zh-TW']);
+    expect(google('zh-Hant')).toBe('zh-TW');
+  });
+});
+
+describe('regional variants as targets', () => {
+  it('keys DeepL translations by the requested code', async () => {
+    const calls = mockFetch();
+    const response = await getTranslator('deepl').translate(createRequest({
+      text: 'Colour', src_lang: 'eng', tgt_langs: ['pt-PT', 'pt-BR', 'por'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls.map(({ body }) => body.target_lang).sort()).toEqual(['PT-BR', 'PT-PT']);
+    expect(body['pt-PT']).toBe('PT-PT:Colour');
+    expect(body['pt-BR']).toBe('PT-BR:Colour');
+    expect(body.por).toBe('PT-BR:Colour');
+  });
+
+  it('sends Google a script tag as its regional code', async () => {
+    const calls = mockFetch();
+    const response = await getTranslator('google').translate(createRequest({
+      texts: [{ id: 'title', text: 'Hello' }], src_lang: 'eng', tgt_langs: ['zh-Hant'],
+    }), env);
+    const body = await response.json();
+
+    expect(calls[0].body.targetLanguageCode).toBe('zh-TW');
+    expect(body.results.title).toEqual({ 'zh-Hant': 'zh-TW:Hello' });
+  });
+
+  it('routes a variant only to translators that support it', () => {
+    const assignment = assignTranslators(['en-GB', 'es-419', 'eng'], ['m2m', 'google', 'deepl', 'openai'], 'deu');
+
+    expect(assignment).toMatchObject({ m2m: ['eng'], google: [], deepl: ['en-GB'], openai: ['es-419'] });
+    expect(assignTranslators(['en-GB'], ['m2m', 'google']).unsupported).toEqual(['en-GB']);
+  });
+});
@@ -0,0 +1,164 @@
+// Offline language detector: runs inside the Worker with no network calls.
+//
+// First the script is found from Unicode ranges. Scripts used by a single language (Hangul, kana,
+// Thai, Greek, ...) are conclusive on their own; within shared scripts (Latin, Cyrillic, Arabic,
+// Devanagari) languages are told apart with character trigram profiles built from the seed
+// samples in local-detector-profiles.json.
+import seedSamples from './local-detector-profiles.json';
+import { registerTranslator } from './translator_registry.js';
+
+// Order matters: kana is checked before Han so that Japanese text with kanji is not read as Chinese
+const SCRIPTS = [
+    { script: 'Hangul', pattern: /\p{Script=Hangul}/u, languages: ['kor'] },
+    { script: 'Kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, languages: ['jpn'] },
+    // Kanji-only text can be Japanese, and Chinese covers several languages
+    { script: 'Han', pattern: /\p{Script=Han}/u, languages: ['zho'], conclusive: false },
+    { script: 'Thai', pattern: /\p{Script=Thai}/u, languages: ['tha'] },
+    { script: 'Greek', pattern: /\p{Script=Greek}/u, languages: ['ell'] },
+    { script: 'Hebrew', pattern: /\p{Script=Hebrew}/u, languages: ['heb'] },
+    { script: 'Armenian', pattern: /\p{Script=Armenian}/u, languages: ['hye'] },
+    { script: 'Ethiopic', pattern: /\p{Script=Ethiopic}/u, languages: ['amh'], conclusive: false },
+    { script: 'Khmer', pattern: /\p{Script=Khmer}/u, languages: ['khm'] },
+    { script: 'Lao', pattern: /\p{Script=Lao}/u, languages: ['lao'] },
+    { script: 'Myanmar', pattern: /\p{Script=Myanmar}/u, languages: ['mya'] },
+    { script: 'Sinhala', pattern: /\p{Script=Sinhala}/u, languages: ['sin'] },
+    { script: 'Tamil', pattern: /\p{Script=Tamil}/u, languages: ['tam'] },
+    { script: 'Telugu', pattern: /\p{Script=Telugu}/u, languages: ['tel'] },
+    { script: 'Kannada', pattern: /\p{Script=Kannada}/u, languages: ['kan'] },
+    { script: 'Malayalam', pattern: /\p{Script=Malayalam}/u, languages: ['mal'] },
+    { script: 'Gujarati', pattern: /\p{Script=Gujarati}/u, languages: ['guj'] },
+    { script: 'Gurmukhi', pattern: /\p{Script=Gurmukhi}/u, languages: ['pan'] },
+    { script: 'Oriya', pattern: /\p{Script=Oriya}/u, languages: ['ory'] },
+    // Bengali script is shared with Assamese
+    { script: 'Bengali', pattern: /\p{Script=Bengali}/u, languages: ['ben'], conclusive: false },
+    { script: 'Devanagari', pattern: /\p{Script=Devanagari}/u },
+    { script: 'Arabic', pattern: /\p{Script=Arabic}/u },
+    { script: 'Cyrillic', pattern: /\p{Script=Cyrillic}/u },
+    { script: 'Latin', pattern: /\p{Script=Latin}/u },
+];
+
+const PROFILE_SIZE = 300;
+
+// Trigram guesses on texts shorter than this many letters get proportionally less confidence
+const FULL_CONFIDENCE_LETTERS = 20;
+
+function trigrams(text) {
+    const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{M}'\s]+/gu, ' ').replace(/\s+/g, ' ').trim()} `;
+    const counts = new Map();
+    for (let i = 0; i < normalized.length - 2; i++) {
+        const gram = normalized.slice(i, i + 3);
+        if (gram.trim().length === 0) continue;
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+}
+
+// Trigram → rank (0 = most frequent), per language, per script
+const PROFILES = Object.fromEntries(
+    Object.entries(seedSamples).map(([script, languages]) => [
+        script,
+        Object.fromEntries(
+            Object.entries(languages).map(([lang, sample]) => {
+                const ranked = [...trigrams(sample).entries()]
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, PROFILE_SIZE)
+                    .map(([gram]) => gram);
+                return [lang, new Map(ranked.map((gram, rank) => [gram, rank]))];
+            })
+        ),
+    ])
+);
+
+/**
+ * Count letters per script and return the dominant one.
+ * Any kana makes the text Japanese, since Japanese mixes kana with Han characters.
+ */
+export function detectScript(text) {
+    const counts = new Map();
+    let letters = 0;
+    for (const char of text) {
+        if (!/\p{L}/u.test(char)) continue;
+        const entry = SCRIPTS.find(({ pattern }) => pattern.test(char));
+        if (!entry) continue;
+        letters++;
+        counts.set(entry, (counts.get(entry) || 0) + 1);
+    }
+    if (letters === 0) return null;
+
+    const kana = SCRIPTS.find(({ script }) => script === 'Kana');
+    if (counts.has(kana)) return { ...kana, letters, share: 1 };
+
+    const [entry, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return { ...entry, letters, share: count / letters };
+}
+
+// Rank languages of a script by how many of the text's trigrams are frequent in their profile
+function rankByTrigrams(text, script) {
+    const profiles = PROFILES[script];
+    if (!profiles) return [];
+    const grams = trigrams(text);
+    const total = [...grams.values()].reduce((sum, n) => sum + n, 0);
+    if (total === 0) return [];
+
+    const scores = Object.entries(profiles).map(([lang, profile]) => {
+        let score = 0;
+        for (const [gram, count] of grams) {
+            const rank = profile.get(gram);
+            if (rank !== undefined) score += count * (1 - rank / PROFILE_SIZE);
+        }
+        return { lang, score: score / total };
+    });
+    return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Detect the language of a text without any network calls.
+ * @param {string} text
+ * @returns {{detectedLanguage: string, confidence: number, script: string, conclusive: boolean, candidates: Array}}
+ * @throws {Error} when the text has no letters or the script is not recognized
+ */
+export function detect_language_locally(text) {
+    const script = detectScript(text || '');
+    if (!script) throw new Error('No letters to detect a language from');
+
+    // Single-language scripts don't need n-grams
+    if (script.languages) {
+        const conclusive = script.conclusive !== false && script.share >= 0.9;
+        const confidence = Math.round(script.share * (conclusive ? 1 : 0.6) * 1000) / 1000;
+        return {
+            detectedLanguage: script.languages[0],
+            confidence,
+            script: script.script,
+            conclusive,
+            candidates: script.languages.map(lang => ({ lang, confidence })),
+        };
+    }
+
+    const ranked = rankByTrigrams(text, script.script);
+    if (ranked.length === 0 || ranked[0].score === 0) {
+        throw new Error(`Could not tell ${script.script}-script languages apart`);
+    }
+
+    // Confidence is the winner's share of the top two scores, damped for very short texts
+    const [best, second] = ranked;
+    const margin = second ? best.score / (best.score + second.score) : 1;
+    const lengthFactor = Math.min(1, script.letters / FULL_CONFIDENCE_LETTERS);
+    const confidence = Math.round(margin * lengthFactor * script.share * 1000) / 1000;
+
+    return {
+        detectedLanguage: best.lang,
+        confidence,
+        script: script.script,
+        conclusive: false,
+        candidates: ranked.slice(0, 3).map(({ lang, score }) => ({ lang, score: Math.round(score * 1000) / 1000 })),
+    };
+}
+
+registerTranslator({
+    name: 'local',
+    label: 'Local',
+    detect: async (text) => detect_language_locally(text),
+    detectionWeight: 0.6,
+    // Runs before the paid detectors, which are skipped when its answer is conclusive
+    offline: true,
+});
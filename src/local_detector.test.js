@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { detect_language_locally, detectScript } from './local_detector.js';
+
+describe('detectScript', () => {
+  it('treats any kana as Japanese even when mixed with kanji', () => {
+    expect(detectScript('東京に行きます').script).toBe('Kana');
+  });
+
+  it('returns null when there are no letters', () => {
+    expect(detectScript('123 !?')).toBeNull();
+  });
+});
+
+describe('detect_language_locally', () => {
+  it('is conclusive for single-language scripts', () => {
+    const result = detect_language_locally('안녕하세요 여러분');
+    expect(result).toMatchObject({ detectedLanguage: 'kor', script: 'Hangul', conclusive: true });
+  });
+
+  it('is not conclusive for Han-only text', () => {
+    const result = detect_language_locally('大家好');
+    expect(result.detectedLanguage).toBe('zho');
+    expect(result.conclusive).toBe(false);
+  });
+
+  it.each([
+    ['The weather is nice and we are going to the park', 'eng'],
+    ['El tiempo es bueno y vamos al parque con los amigos', 'spa'],
+    ['Das Wetter ist schön und wir gehen in den Park', 'deu'],
+    ['Il fait beau et nous allons au parc avec nos amis', 'fra'],
+    ['Погода хорошая, и мы идём в парк', 'rus'],
+    ['Погода гарна, і ми йдемо до парку', 'ukr'],
+    ['می‌خواهم یک بلیت بخرم', 'fas'],
+  ])('tells apart languages sharing a script: %s', (text, lang) => {
+    const result = detect_language_locally(text);
+    expect(result.detectedLanguage).toBe(lang);
+    expect(result.conclusive).toBe(false);
+  });
+
+  it('throws when there is nothing to detect', () => {
+    expect(() => detect_language_locally('42')).toThrow();
+  });
+});
@@ -1,7 +1,16 @@
 import m2mSupport from './m2m-support.json';
-import wikidataLanguages from './wikidata-languages.json';
-import { getISO2ForModel, getISO3FromISO2 } from './lang_utils';
+import { getISO2ForModel, getISO3FromISO2, iso3SetFromISO2 } from './language_codes.js';
 import { getDeepLCredentials } from './deepl_auth.js';
+import { registerTranslator } from './translator_registry.js';
+import { detect_language_locally } from './local_detector.js';
+import { normalizeTexts, addBatchTranslations, detectionSample } from './batch.js';
+import { normalizeFormat, extractTextSegments, htmlToText } from './html_format.js';
+import { maskTerms, mapBatchResults } from './do_not_translate.js';
+
+const M2M_MODEL = '@cf/meta/m2m100-1.2b';
+
+// Text/language pairs per Workers AI batch call
+const M2M_BATCH_SIZE = 50;
 
 // Helper to detect language using DeepL API (only used here)
 async function detect_language(text, env) {
@@ -22,34 +31,158 @@ async function detect_language(text, env) {
     return result.translations[0]?.detected_source_language;
 }
 
-// Build a map from 2-letter to 3-letter codes for DeepL detection
-const ISO2_TO_ISO3_MAP = wikidataLanguages.reduce((acc, lang) => {
-    if (lang.iso && lang.iso1) {
-        acc[lang.iso1.toUpperCase()] = lang.iso;
+// Offline detection is only trusted when the script settles it (e.g. Hangul, kana, Thai)
+function detectConclusivelyOffline(text) {
+    try {
+        const result = detect_language_locally(text);
+        return result.conclusive ? result.detectedLanguage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function translatedTextFor(result, lang2) {
+    return typeof result?.translated_text === 'object'
+        ? result.translated_text[lang2]
+        : result?.translated_text;
+}
+
+// Translate every item into every target. Pairs are sent through the Workers AI batch format in
+// chunks; pairs whose chunk fails are retried one by one.
+async function translateBatch(env, items, targets, sourceLang, codeMapping) {
+    const pairs = targets.flatMap(lang2 => items.map(item => ({ item, lang2 })));
+    const results = {};
+    const failedByLang = {};
+
+    function record({ item, lang2 }, text, error) {
+        const lang3 = codeMapping[lang2];
+        if (typeof text === 'string') {
+            addBatchTranslations(results, lang3, { [item.id]: text });
+            return;
+        }
+        console.error(`Translation error for ${item.id} → ${lang2}:`, error);
+        (failedByLang[lang3] ||= { lang: lang3, ids: [], error: error || 'Unknown error' }).ids.push(item.id);
+    }
+
+    async function translateOne(pair) {
+        try {
+            const response = await env.AI.run(M2M_MODEL, {
+                text: pair.item.text,
+                source_lang: sourceLang,
+                target_lang: pair.lang2
+            });
+            record(pair, translatedTextFor(response, pair.lang2));
+        } catch (error) {
+            record(pair, null, error.message);
+        }
     }
-    return acc;
-}, {});
+
+    for (let start = 0; start < pairs.length; start += M2M_BATCH_SIZE) {
+        const chunk = pairs.slice(start, start + M2M_BATCH_SIZE);
+        let response = null;
+        try {
+            response = await env.AI.run(M2M_MODEL, {
+                requests: chunk.map(({ item, lang2 }) => ({
+                    text: item.text,
+                    source_lang: sourceLang,
+                    target_lang: lang2
+                }))
+            });
+        } catch (error) {
+            console.error('Batch translation error:', error);
+        }
+
+        if (Array.isArray(response)) {
+            chunk.forEach((pair, index) => {
+                const result = response[index];
+                record(pair, translatedTextFor(result, pair.lang2), result?.error);
+            });
+        } else {
+            console.warn('Batch translation failed, falling back to individual requests');
+            await Promise.all(chunk.map(translateOne));
+        }
+    }
+
+    return { results, failed: Object.values(failedByLang) };
+}
+
+// M2M has no markup support: translate each item's text nodes and put them back into its markup.
+// An item only counts as translated into a language when every one of its text nodes was.
+async function translateHtml(env, items, targets, sourceLang, codeMapping) {
+    const extracted = items.map(item => ({ item, ...extractTextSegments(item.text) }));
+    const segmentItems = extracted.flatMap(({ segments }, itemIndex) =>
+        segments.map((text, segmentIndex) => ({ id: `${itemIndex}:${segmentIndex}`, text })));
+
+    const { results: segmentResults, failed: segmentFailed } = segmentItems.length
+        ? await translateBatch(env, segmentItems, targets, sourceLang, codeMapping)
+        : { results: {}, failed: [] };
+
+    const results = {};
+    const failedByLang = {};
+    for (const lang3 of targets.map(lang2 => codeMapping[lang2])) {
+        const segmentError = segmentFailed.find(f => f.lang === lang3)?.error;
+        extracted.forEach(({ item, segments, rebuild }, itemIndex) => {
+            const translated = segments.map((_, segmentIndex) => segmentResults[`${itemIndex}:${segmentIndex}`]?.[lang3]);
+            if (translated.every(text => typeof text === 'string')) {
+                addBatchTranslations(results, lang3, { [item.id]: rebuild(translated) });
+            } else {
+                (failedByLang[lang3] ||= { lang: lang3, ids: [], error: segmentError || 'Unknown error' }).ids.push(item.id);
+            }
+        });
+    }
+
+    return { results, failed: Object.values(failedByLang) };
+}
 
 // Function dedicated to M2M translation logic
 export async function translate_with_m2m(request, env, getISO2ForModel) {
     const data = await request.json();
 
+    // Batch mode: `texts: [...]` instead of `text`; detection runs on a sample of the batch
+    let batchItems = null;
+    if (data.texts !== undefined) {
+        const { items, error } = normalizeTexts(data.texts);
+        if (error) {
+            return new Response(JSON.stringify({ error }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        batchItems = items;
+    }
+    const { format, error: formatError } = normalizeFormat(data.format);
+    if (formatError) {
+        return new Response(JSON.stringify({ error: formatError }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const rawSourceText = batchItems ? detectionSample(batchItems) : data.text;
+    const sourceText = format === 'html' ? htmlToText(rawSourceText || '') : rawSourceText;
+
     // Detect source language if not provided
     let detectedSourceLang = null;
+    let localDetectedLang = null;
     let srcLang3 = data.src_lang;
     if (!srcLang3) {
-        // Try DeepL detection if API key is available, otherwise default to English
+        // Try DeepL detection if API key is available, then the offline detector, otherwise default to English
         if (env.DEEPL_API_KEY) {
             try {
-                detectedSourceLang = await detect_language(data.text, env);
+                detectedSourceLang = await detect_language(sourceText, env);
                 srcLang3 = detectedSourceLang ? getISO3FromISO2(detectedSourceLang) : 'eng';
             } catch (error) {
-                console.warn('DeepL language detection failed, defaulting to English:', error.message);
-                srcLang3 = 'eng'; // Default to English if detection fails
+                console.warn('DeepL language detection failed, trying offline detection:', error.message);
+            }
+        }
+        if (!srcLang3) {
+            localDetectedLang = detectConclusivelyOffline(sourceText);
+            if (localDetectedLang) {
+                srcLang3 = localDetectedLang;
+            } else {
+                console.log('No conclusive source language detected, defaulting to English');
+                srcLang3 = 'eng';
             }
-        } else {
-            console.log('No DeepL API key found, defaulting to English for source language');
-            srcLang3 = 'eng'; // Default to English if no DeepL API key
         }
         
         if (!srcLang3) {
@@ -64,7 +197,9 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
     }
     const src_lang = srcLang3 ? getISO2ForModel(srcLang3) : undefined;
 
-    const languageDefinition = data.src_lang ? 'user' : (detectedSourceLang ? 'deepl-detected' : 'default-english');
+    const languageDefinition = data.src_lang
+        ? 'user'
+        : detectedSourceLang ? 'deepl-detected' : localDetectedLang ? 'local-detected' : 'default-english';
 
     // Handle target languages input (3-char codes)
     let targetLangs3 = ['spa', 'jpn', 'rus']; // Default languages
@@ -112,15 +247,61 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
         });
     }
 
+    // Do-not-translate terms are swapped for tokens M2M copies through, like placeholders
+    const terms = Array.isArray(data.do_not_translate) ? data.do_not_translate : [];
+
+    if (batchItems) {
+        const translateItems = format === 'html' ? translateHtml : translateBatch;
+        const unmaskById = {};
+        const items = terms.length
+            ? batchItems.map(item => {
+                const { text, unmask } = maskTerms(item.text, terms);
+                unmaskById[item.id] = unmask;
+                return { ...item, text };
+            })
+            : batchItems;
+        const { results, failed } = await translateItems(env, items, supportedTargets, usedSrcLang, codeMapping);
+        if (terms.length) mapBatchResults(results, (text, id) => unmaskById[id](text));
+        const metadata = {
+            src_lang: srcLang3,
+            language_definition: languageDefinition
+        };
+        if (detectedSourceLang) metadata.detected_source_language_deepl = detectedSourceLang;
+
+        const errors = {};
+        if (unsupportedTargets.length) errors.unsupported_target_langs = unsupportedTargets;
+        if (unsupportedSourceLang) errors.unsupported_source_lang = unsupportedSourceLang;
+        if (failed.length) errors.failed_translations = failed;
+
+        return new Response(JSON.stringify({
+            results,
+            metadata,
+            ...(Object.keys(errors).length ? { errors } : {})
+        }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
     // Perform translations using native Workers AI with batch requests
     let translations = [];
-    
-    if (supportedTargets.length === 1) {
+    const masked = terms.length ? maskTerms(data.text, terms) : null;
+    const inputText = masked ? masked.text : data.text;
+
+    if (format === 'html') {
+        const { results, failed } = await translateHtml(env, [{ id: '0', text: inputText }], supportedTargets, usedSrcLang, codeMapping);
+        translations = supportedTargets.map(lang2 => {
+            const lang3 = codeMapping[lang2];
+            const translated = results['0']?.[lang3];
+            if (typeof translated === 'string') return { [lang3]: translated };
+            const error = failed.find(f => f.lang === lang3)?.error || 'Unknown error';
+            return { [lang3]: `Error translating to ${lang2}: ${error}` };
+        });
+    } else if (supportedTargets.length === 1) {
         // Single translation - use simple format
         try {
             const lang2 = supportedTargets[0];
             const response = await env.AI.run('@cf/meta/m2m100-1.2b', {
-                text: data.text,
+                text: inputText,
                 source_lang: usedSrcLang,
                 target_lang: lang2
             });
@@ -140,7 +321,7 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
         // Multiple translations - use batch format
         try {
             const requests = supportedTargets.map(lang2 => ({
-                text: data.text,
+                text: inputText,
                 source_lang: usedSrcLang,
                 target_lang: lang2
             }));
@@ -172,7 +353,7 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
                 translations = await Promise.all(supportedTargets.map(async (lang2) => {
                     try {
                         const response = await env.AI.run('@cf/meta/m2m100-1.2b', {
-                            text: data.text,
+                            text: inputText,
                             source_lang: usedSrcLang,
                             target_lang: lang2
                         });
@@ -196,7 +377,7 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
             translations = await Promise.all(supportedTargets.map(async (lang2) => {
                 try {
                     const response = await env.AI.run('@cf/meta/m2m100-1.2b', {
-                        text: data.text,
+                        text: inputText,
                         source_lang: usedSrcLang,
                         target_lang: lang2
                     });
@@ -216,6 +397,11 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
         }
     }
 
+    if (masked) {
+        translations = translations.map(translation =>
+            Object.fromEntries(Object.entries(translation).map(([lang3, text]) => [lang3, masked.unmask(text)])));
+    }
+
     // Create response using 3-char codes
     const responseObj = {
         [srcLang3]: data.text,
@@ -238,4 +424,30 @@ export async function translate_with_m2m(request, env, getISO2ForModel) {
     return new Response(JSON.stringify(responseObj), {
         headers: { 'Content-Type': 'application/json' }
     });
-}
\ No newline at end of file
+}
+
+// M2M "detection" runs a translation and reads back the source language it settled on
+async function detect_language_with_m2m(text, env) {
+    const detectionReq = { text, tgt_langs: ['eng'], detect_language: true };
+    const res = await translate_with_m2m({ json: async () => detectionReq }, env, getISO2ForModel);
+    const detectionResult = res.json ? await res.json() : res;
+    // Falling back to English is not a detection, so it must not count as a vote for English
+    if (detectionResult?.metadata?.language_definition === 'default-english') {
+        throw new Error('M2M could not detect the source language');
+    }
+    return detectionResult?.metadata?.detected_source_language || detectionResult?.metadata?.src_lang;
+}
+
+const m2mLanguages = iso3SetFromISO2(Object.keys(m2mSupport));
+
+registerTranslator({
+    name: 'm2m',
+    label: 'M2M',
+    sources: m2mLanguages,
+    targets: m2mLanguages,
+    translate: (request, env) => translate_with_m2m(request, env, getISO2ForModel),
+    detect: detect_language_with_m2m,
+    // Detection is DeepL under the hood, so don't let it double DeepL's vote
+    detectionWeight: 0.5,
+    detectsViaTranslation: true,
+});
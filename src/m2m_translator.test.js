@@ -79,4 +79,24 @@ describe('translate_with_m2m', () => {
     expect(body.error).toMatch(/could not map detected source language/i);
     expect(body.detected_source_language_deepl).toBe('XX');
   });
-});
\ No newline at end of file
+});
+describe('translate_with_m2m html format', () => {
+  it('translates text nodes and keeps the markup', async () => {
+    const seen = [];
+    const env = {
+      AI: {
+        run: async (model, params) => {
+          seen.push(...(params.requests || [params]).map((r) => r.text));
+          return params.requests
+            ? params.requests.map((r) => ({ translated_text: `[${r.text}]` }))
+            : { translated_text: `[${params.text}]` };
+        },
+      },
+    };
+    const req = { json: async () => ({ text: '<p>Hello <b>world</b></p>', src_lang: 'eng', tgt_langs: ['spa'], format: 'html' }) };
+    const res = await translate_with_m2m(req, env, (code) => ({ eng: 'en', spa: 'es' })[code]);
+    const body = await res.json();
+    expect(seen).toEqual(['Hello', 'world']);
+    expect(body.spa).toBe('<p>[Hello] <b>[world]</b></p>');
+  });
+});
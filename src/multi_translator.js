@@ -1,19 +1,82 @@
-import { translate_with_m2m } from "./m2m_translator.js";
-import { translate_with_deepl, detect_language_with_deepl } from "./deepl_translator.js";
-import { translate_with_google } from "./google_translator.js";
-import { detect_language_with_google } from "./google_detector.js";
-import { handleGptRequest } from "./openai.js";
 import { assignTranslators } from "./lang_utils.js";
-import wikidataLanguages from "./wikidata-languages.json";
+import { getTranslator, listDetectors, translatorNames } from "./translators.js";
+import { runDetectors, detectionConsensus } from "./language_detection.js";
+import { streamFormatFor, createEventStream } from "./event_stream.js";
+import { normalizeTexts, addBatchTranslations, detectionSample } from "./batch.js";
+import { normalizeFormat, htmlToText } from "./html_format.js";
+import { loadGlossary } from "./glossaries.js";
+import { normalizeTerms, preloadDefaultTerms, defaultTerms, effectiveTerms } from "./do_not_translate.js";
+import { normalizeFormality } from "./formality.js";
+import { canonicalLanguage, canonicalizeTargets, normalizeKeyStyle, rekeyResponse } from "./language_codes.js";
+import { baseLanguage } from "./language_tags.js";
+import {
+  lookupTranslations,
+  fuzzyMatches,
+  fuzzyTranslations,
+  suggestionsFor,
+  memoryItems,
+  memoryOptions,
+  normalizeFuzzy,
+} from "./translation_memory.js";
+import { lookupCorrections, correctedLanguages, correctionsReport, HUMAN_TRANSLATOR } from "./corrections.js";
+import { normalizeRouting, feedbackScores } from "./feedback.js";
+
+const DEFAULT_PRIORITY = ["google", "deepl", "m2m", "openai"];
+const MODES = ["translate", "compare"];
+const FALLBACK_PRIORITY = ["m2m", "google", "deepl", "openai"];
+
+// Preferred translators first, then any other registered translator in registry order
+function withRegisteredTranslators(preferred) {
+  const registered = translatorNames();
+  return [
+    ...preferred.filter((name) => registered.includes(name)),
+    ...registered.filter((name) => !preferred.includes(name)),
+  ];
+}
+
+// Detectors a request asks for: `detection_preferences` (one or a list), the older
+// `detection_preference` ("auto" for all) or, by default, every registered detector
+function detectionPreferencesFor(data) {
+  const validDetectors = listDetectors().map((adapter) => adapter.name);
+  let detectionPreferences = validDetectors;
+  if (data.detection_preferences) {
+    detectionPreferences = Array.isArray(data.detection_preferences) ? data.detection_preferences : [data.detection_preferences];
+  } else if (data.detection_preference && data.detection_preference !== "auto") {
+    detectionPreferences = [data.detection_preference];
+  }
+
+  const invalidDetectors = detectionPreferences.filter((d) => !validDetectors.includes(d));
+  if (invalidDetectors.length > 0) {
+    return {
+      detectionPreferences: [],
+      error: `Invalid detection preferences: ${invalidDetectors.join(", ")}. Must be one of: ${validDetectors.join(", ")}`,
+    };
+  }
+  return { detectionPreferences, error: null };
+}
 
-const ISO3_TO_ISO2_MAP = wikidataLanguages.reduce((acc, lang) => {
-  if (lang.iso && lang.iso1) {
-    acc[lang.iso] = lang.iso1;
+/**
+ * Check the options of a /multi request (everything but `text`, `texts` and `tgt_langs`), so a
+ * caller that runs it later (POST /jobs) can reject it up front.
+ * @returns {Promise<{error: string, status: number}|null>} The first error and its HTTP status, or null
+ */
+export async function validateMultiOptions(data, env) {
+  const mode = data.mode ?? "translate";
+  if (!MODES.includes(mode)) return { error: `Invalid mode: ${mode}. Must be one of: ${MODES.join(", ")}`, status: 400 };
+  const error = normalizeKeyStyle(data.key_style).error
+    || normalizeFormat(data.format).error
+    || normalizeFormality(data.formality).error
+    || normalizeRouting(data.routing).error
+    || (data.do_not_translate !== undefined ? normalizeTerms(data.do_not_translate).error : null)
+    || normalizeFuzzy(data.fuzzy).error
+    || detectionPreferencesFor(data).error;
+  if (error) return { error, status: 400 };
+  if (data.glossary_id !== undefined) {
+    if (!env.DB) return { error: "D1 binding 'DB' is not configured.", status: 500 };
+    // An unknown glossary is the caller's mistake, not something a fallback translator can fix
+    if (!(await loadGlossary(env, data.glossary_id))) return { error: `Glossary not found: ${data.glossary_id}`, status: 400 };
   }
-  return acc;
-}, {});
-function getISO2ForModel(iso3) {
-  return ISO3_TO_ISO2_MAP[iso3] || null;
+  return null;
 }
 
 export async function handleMultiRequest(request, env) {
@@ -34,167 +97,178 @@ export async function handleMultiRequest(request, env) {
     );
   }
 
-  // Log incoming request data for debugging
-  console.log("🔍 MULTI translator received:", JSON.stringify(data, null, 2));
-
-  // Extract detection preferences (supports both single and array)
-  const validDetectors = ["google", "deepl", "m2m", "openai"];
-  let detectionPreferences = [];
-  
-  // Handle backwards compatibility: detection_preference (single) or detection_preferences (array)
-  if (data.detection_preferences) {
-    // New array format
-    if (Array.isArray(data.detection_preferences)) {
-      detectionPreferences = data.detection_preferences;
-    } else {
-      detectionPreferences = [data.detection_preferences];
-    }
-  } else if (data.detection_preference) {
-    // Old single format - backwards compatibility
-    if (data.detection_preference === "auto") {
-      detectionPreferences = validDetectors; // Run all detectors
-    } else {
-      detectionPreferences = [data.detection_preference];
-    }
-  } else {
-    // Default: run all detectors
-    detectionPreferences = validDetectors;
+  const invalid = await validateMultiOptions(data, env);
+  if (invalid) {
+    return new Response(JSON.stringify({ error: invalid.error }), {
+      status: invalid.status,
+      headers: { "Content-Type": "application/json;charset=UTF-8" },
+    });
   }
 
-  // Validate all detection preferences
-  const invalidDetectors = detectionPreferences.filter(d => !validDetectors.includes(d));
-  if (invalidDetectors.length > 0) {
-    return new Response(
-      JSON.stringify({
-        error: `Invalid detection preferences: ${invalidDetectors.join(", ")}. Must be one of: ${validDetectors.join(", ")}`,
-      }),
-      {
+  // Every translator this request reaches uses the same default do-not-translate list
+  env = await preloadDefaultTerms(env);
+
+  // `mode: "compare"` sends each language to every translator that supports it and returns all
+  // of their outputs side by side, without fallbacks, translation memory or suggestions
+  const mode = data.mode ?? "translate";
+  const compareMode = mode === "compare";
+
+  // Languages are routed by their canonical codes; `key_style` picks the response keys
+  const { keyStyle } = normalizeKeyStyle(data.key_style);
+  const requestedLangs = tgt_langs;
+  const { targets, keys: responseKeys } = canonicalizeTargets(tgt_langs, keyStyle);
+  tgt_langs = targets;
+  const srcLang = data.src_lang ? canonicalLanguage(data.src_lang) || data.src_lang : null;
+
+  // Batch mode: `texts: [...]` is translated with one provider call per chunk instead of per text
+  let batchItems = null;
+  if (data.texts !== undefined) {
+    const { items, error } = normalizeTexts(data.texts);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
         status: 400,
         headers: { "Content-Type": "application/json;charset=UTF-8" },
-      },
-    );
+      });
+    }
+    batchItems = items;
   }
 
+  // `format: "html"` is passed on to every translator, which keeps the markup intact
+  const { format } = normalizeFormat(data.format);
+
+  const { formality } = normalizeFormality(data.formality);
+  // A requested register routes each language to a translator that can honor it, where there is one
+  const routingOptions = { preferFormality: formality !== "default" };
+
+  // `routing: "learned"` orders the translators of each language pair by their feedback scores
+  const { routing } = normalizeRouting(data.routing);
+
+  const { fuzzy } = normalizeFuzzy(data.fuzzy);
+
+  // Log incoming request data for debugging
+  console.log("🔍 MULTI translator received:", JSON.stringify(data, null, 2));
+
+  // Extract detection preferences (supports both single and array)
+  const { detectionPreferences } = detectionPreferencesFor(data);
+
   console.log("🔍 Detection preferences:", detectionPreferences);
 
   // Use user-specified translators if provided, otherwise use default priority
-  let translatorPriority = data.translators || [
-    "google",
-    "deepl",
-    "m2m",
-    "openai",
-  ];
+  let translatorPriority = data.translators || withRegisteredTranslators(DEFAULT_PRIORITY);
   console.log("🔍 Using translator priority:", translatorPriority);
 
   // Run language detection from all requested detectors (if no src_lang provided)
-  const languageDetections = {}; // Will store {detector: {lang: string, success: boolean, error?: string}}
-  const detectionErrors = {}; // Will store errors for failed detections
-  let primaryDetectedLang = null; // First successful detection for backwards compatibility
+  const languageDetections = {}; // Will store {detector: iso3}
+  let detectionErrors = {}; // Will store errors for failed detections
+  let skippedDetectors = []; // Paid detectors skipped because offline detection was conclusive
+  let detection = null; // Weighted consensus of all detector votes
+  let primaryDetectedLang = null; // Consensus winner
 
-  if (!data.src_lang && detectionPreferences.length > 0) {
+  if (!srcLang && detectionPreferences.length > 0) {
     console.log("🔍 Running language detection with:", detectionPreferences);
-    
-    // Helper to run detection with a specific translator
-    async function detectWithTranslator(detector) {
-      try {
-        let detected;
-        
-        if (detector === "openai") {
-          // OpenAI uses translation endpoint with detect_language flag
-          const detectionReq = { text, tgt_langs: ["eng"], detect_language: true };
-          const res = await handleGptRequest(
-            { json: async () => detectionReq },
-            env,
-          );
-          const detectionResult = res.json ? await res.json() : res;
-          detected = detectionResult?.metadata?.detected_source_language || detectionResult?.metadata?.src_lang;
-        } else if (detector === "deepl") {
-          // DeepL has dedicated detection function
-          detected = await detect_language_with_deepl(text, env);
-        } else if (detector === "google") {
-          // Google has dedicated detection function
-          detected = await detect_language_with_google(text, env);
-        } else if (detector === "m2m") {
-          // M2M uses translation endpoint with detect_language flag
-          const detectionReq = { text, tgt_langs: ["eng"], detect_language: true };
-          const res = await translate_with_m2m(
-            { json: async () => detectionReq },
-            env,
-            getISO2ForModel,
-          );
-          const detectionResult = res.json ? await res.json() : res;
-          detected = detectionResult?.metadata?.detected_source_language || detectionResult?.metadata?.src_lang;
-        }
 
-        return { detected: detected || null, error: null };
-      } catch (error) {
-        console.warn(`❌ Detection failed for ${detector}:`, error.message);
-        return { detected: null, error: error.message };
-      }
+    const sampleText = batchItems ? detectionSample(batchItems) : text;
+    const detectionText = format === "html" ? htmlToText(sampleText || "") : sampleText;
+    const { votes, errors, skipped } = await runDetectors(detectionText, detectionPreferences, env);
+    detectionErrors = errors;
+    skippedDetectors = skipped;
+    for (const [detector, vote] of Object.entries(votes)) {
+      languageDetections[detector] = vote.lang;
     }
 
-    // Run all detections in parallel
-    const detectionPromises = detectionPreferences.map(async (detector) => {
-      const result = await detectWithTranslator(detector);
-      return { detector, ...result };
-    });
-
-    const detectionResults = await Promise.all(detectionPromises);
-
-    // Collect all detection results with detailed status
-    for (const { detector, detected, error } of detectionResults) {
-      if (detected) {
-        languageDetections[detector] = detected;
-        if (!primaryDetectedLang) {
-          primaryDetectedLang = detected; // First successful detection
-        }
-        console.log(`✅ ${detector} detected: ${detected}`);
-      } else {
-        detectionErrors[detector] = error || "Unknown error";
-        console.log(`❌ ${detector} failed: ${error || "Unknown error"}`);
-      }
+    if (Object.keys(votes).length > 0) {
+      detection = detectionConsensus(votes, data.detection_weights);
+      primaryDetectedLang = detection.lang;
     }
 
     console.log("🔍 Language detections collected:", languageDetections);
+    console.log("🔍 Detection consensus:", detection);
     console.log("🔍 Detection errors:", detectionErrors);
   }
 
-  const assignment = assignTranslators(tgt_langs, translatorPriority);
+  // Route on the full source→target pair
+  const routingSrcLang = srcLang || primaryDetectedLang || null;
+
+  // Languages with human corrections for every text, then languages found in the translation
+  // memory are served from them (near matches too, above `fuzzy.apply_above`); only the others are routed
+  const useMemory = Boolean(env.DB) && data.cache !== false && data.cache !== "refresh" && !compareMode;
+  const memoryTexts = batchItems || memoryItems({ text, context: data.context });
+  // Keyed like the translators' own memory lookups, by the terms that apply to these texts
+  const requestTerms = data.do_not_translate !== undefined ? normalizeTerms(data.do_not_translate).terms : [];
+  const translationOptions = memoryOptions({
+    ...data,
+    format,
+    do_not_translate: effectiveTerms(data, requestTerms, await defaultTerms(env)),
+  });
+  const corrections = await lookupCorrections(env, { items: memoryTexts, src_lang: routingSrcLang, tgt_langs });
+  const correctedTranslations = correctedLanguages(corrections, memoryTexts);
+  const cachedTranslations = useMemory
+    ? await lookupTranslations(env, {
+        items: memoryTexts,
+        src_lang: routingSrcLang,
+        tgt_langs: tgt_langs.filter((lang) => !correctedTranslations[lang]),
+        options: translationOptions,
+        providers: translatorPriority,
+      })
+    : {};
+  if (!compareMode) Object.assign(cachedTranslations, correctedTranslations);
+  let nearMatches = {};
+  if (useMemory && fuzzy) {
+    nearMatches = await fuzzyMatches(env, {
+      items: memoryTexts,
+      src_lang: routingSrcLang,
+      tgt_langs: tgt_langs.filter((lang) => !cachedTranslations[lang]),
+      threshold: fuzzy.threshold,
+      options: translationOptions,
+    });
+    if (fuzzy.apply_above !== null) {
+      Object.assign(cachedTranslations, fuzzyTranslations(nearMatches, memoryTexts, fuzzy.apply_above));
+    }
+  }
+  const liveLangs = tgt_langs.filter((lang) => !cachedTranslations[lang]);
+  // Near matches for the languages that are machine translated
+  const suggestions = suggestionsFor(nearMatches, liveLangs, Boolean(batchItems));
+  if (routing === "learned") {
+    routingOptions.scores = await feedbackScores(env, { src_lang: routingSrcLang, tgt_langs: liveLangs });
+  }
+  // assignTranslators treats an empty list as "every language"
+  const assignment = liveLangs.length
+    ? assignTranslators(liveLangs, translatorPriority, routingSrcLang, { ...routingOptions, everyTranslator: compareMode })
+    : { unsupported: [], unsupported_pairs: [] };
 
   // Store translator errors for verbose mode
   const translatorErrors = {};
 
-  function buildReq(langs, srcLang = null, skipSourceLang = false) {
-    const reqData = { text, tgt_langs: langs };
-    // Only include src_lang if provided and not explicitly skipped
-    if (srcLang && !skipSourceLang) reqData.src_lang = srcLang;
+  // Languages whose translation lost a placeholder or a do-not-translate term: {lang: {translator, missing}}
+  const placeholderMismatches = {};
+  const doNotTranslateViolations = {};
+
+  function buildReq(langs, srcLang = null) {
+    const reqData = batchItems
+      ? { texts: batchItems, tgt_langs: langs }
+      : { text, tgt_langs: langs, ...(data.context ? { context: data.context } : {}) };
+    // Only include src_lang, format and placeholder options if provided
+    if (srcLang) reqData.src_lang = srcLang;
+    if (format !== "text") reqData.format = format;
+    if (data.protect_placeholders === false) reqData.protect_placeholders = false;
+    if (Array.isArray(data.protect_tags)) reqData.protect_tags = data.protect_tags;
+    if (data.glossary_id !== undefined) reqData.glossary_id = data.glossary_id;
+    if (data.do_not_translate !== undefined) reqData.do_not_translate = data.do_not_translate;
+    if (formality !== "default") reqData.formality = formality;
+    // The translators store what they return, but the memory was already looked up here
+    reqData.cache = data.cache === false ? false : "refresh";
+    // Corrections were looked up here and are merged into the results below
+    reqData.corrections = false;
     return { json: async () => reqData };
   }
 
   // Helper function to try a translator and return results or errors
-  async function tryTranslator(translatorFn, langs, translatorName) {
+  async function tryTranslator(adapter, langs, isFallback = false) {
+    const translatorName = isFallback ? `${adapter.label}-Fallback` : adapter.label;
     if (langs.length === 0) return { translations: {}, errors: [] };
     try {
-      let res;
-      // Determine if we should skip source_lang for this translator
-      // M2M does its own detection and may not support the detected language from other services
-      const isM2M = translatorName.includes("M2M");
-      const skipSourceLang = isM2M && primaryDetectedLang && !data.src_lang;
-      
-      if (translatorName === "OpenAI" || translatorName === "OpenAI-Fallback") {
-        // OpenAI translator only takes (request, env)
-        res = await translatorFn(
-          buildReq(langs, primaryDetectedLang || data.src_lang, skipSourceLang),
-          env,
-        );
-      } else {
-        // DeepL, Google, and M2M translators take (request, env, getISO2ForModel)
-        res = await translatorFn(
-          buildReq(langs, primaryDetectedLang || data.src_lang, skipSourceLang),
-          env,
-          getISO2ForModel,
-        );
-      }
+      // Translators are only assigned languages whose source they accept, so the source can always be passed on
+      const res = await adapter.translate(buildReq(langs, routingSrcLang), env);
       const result = res.json ? await res.json() : res;
       // Check if the response indicates an error
       if (res.status && res.status >= 400) {
@@ -204,110 +278,156 @@ export async function handleMultiRequest(request, env) {
         );
         // Store error for verbose mode
         if (verboseMode) {
-          const errorKey = translatorName.toLowerCase().replace("-fallback", "");
-          translatorErrors[errorKey] = result.details || result.error || "Unknown error";
+          translatorErrors[adapter.name] = result.details || result.error || "Unknown error";
         }
-        return { translations: {}, errors: langs };
+        return { translations: {}, errors: langs, message: result.error || `Failed with status ${res.status}` };
+      }
+      // A translation that dropped a placeholder or a do-not-translate term is treated as failed
+      // so the fallback chain can retry it
+      const placeholderFailed = [];
+      for (const mismatch of result.errors?.placeholder_mismatches || []) {
+        if (!placeholderFailed.includes(mismatch.lang)) placeholderFailed.push(mismatch.lang);
+        placeholderMismatches[mismatch.lang] = { translator: adapter.name, missing: mismatch.missing };
       }
+      for (const violation of result.errors?.do_not_translate_violations || []) {
+        if (!placeholderFailed.includes(violation.lang)) placeholderFailed.push(violation.lang);
+        doNotTranslateViolations[violation.lang] = { translator: adapter.name, missing: violation.missing };
+      }
+
       // Extract successful translations and failed languages
       const translations = {};
       const errors = [];
       for (const lang of langs) {
-        if (result[lang] && !result[lang].includes("Error translating")) {
+        if (placeholderFailed.includes(lang)) {
+          errors.push(lang);
+        } else if (batchItems) {
+          // A language only counts as translated when every text came back
+          const byId = {};
+          for (const { id } of batchItems) {
+            const translated = result.results?.[id]?.[lang];
+            if (typeof translated === "string") byId[id] = translated;
+          }
+          if (Object.keys(byId).length === batchItems.length) {
+            translations[lang] = byId;
+          } else {
+            errors.push(lang);
+          }
+        } else if (result[lang] && !result[lang].includes("Error translating")) {
           translations[lang] = result[lang];
         } else {
           errors.push(lang);
         }
       }
-      return { translations, errors, metadata: result.metadata };
+      return { translations, errors, placeholderFailed, metadata: result.metadata };
     } catch (error) {
       console.error(`${translatorName} translator failed:`, error);
       // Store error for verbose mode
       if (verboseMode) {
-        const errorKey = translatorName.toLowerCase().replace("-fallback", "");
-        translatorErrors[errorKey] = error.message || "Unknown error";
+        translatorErrors[adapter.name] = error.message || "Unknown error";
       }
-      return { translations: {}, errors: langs };
+      return { translations: {}, errors: langs, message: error.message || "Unknown error" };
     }
   }
 
-  // Try primary assignments
-  const primaryPromises = [];
-  const translatorOrder = [];
-
-  if (assignment.deepl.length) {
-    translatorOrder.push({ name: "deepl", langs: assignment.deepl });
-    primaryPromises.push(
-      tryTranslator(translate_with_deepl, assignment.deepl, "DeepL"),
-    );
-  }
-  if (assignment.google.length) {
-    translatorOrder.push({ name: "google", langs: assignment.google });
-    primaryPromises.push(
-      tryTranslator(translate_with_google, assignment.google, "Google"),
-    );
-  }
-  if (assignment.m2m.length) {
-    translatorOrder.push({ name: "m2m", langs: assignment.m2m });
-    primaryPromises.push(
-      tryTranslator(translate_with_m2m, assignment.m2m, "M2M"),
-    );
-  }
-  if (assignment.openai.length) {
-    translatorOrder.push({ name: "openai", langs: assignment.openai });
-    primaryPromises.push(
-      tryTranslator(handleGptRequest, assignment.openai, "OpenAI"),
-    );
+  // Translators that were assigned languages, in registry order
+  function activeAssignments(assignment) {
+    return translatorNames()
+      .filter((name) => assignment[name]?.length)
+      .map((name) => ({ name, langs: assignment[name] }));
   }
 
-  const primaryResults = await Promise.all(primaryPromises);
-
-  // Collect successful translations and failed languages
+  // Collect successful translations
   const finalTranslations = {};
-  const failedLanguages = [];
   
   // Base metadata - always included
   const metadata = {
     translators: {}, // Will store {lang: translator_name}
-    src_lang: data.src_lang || primaryDetectedLang || null,
-    language_definition: data.src_lang ? 'user' : (primaryDetectedLang ? 'detected' : null),
+    src_lang: routingSrcLang,
+    language_definition: srcLang ? 'user' : (primaryDetectedLang ? 'detected' : null),
   };
+
+  // Glossary checks of the translation that was kept for each language: {lang: {applied, violated}}
+  if (data.glossary_id !== undefined) {
+    metadata.glossary = { id: data.glossary_id, terms: {} };
+  }
+
+  // Where the translation kept for each language came from: {lang: "cache" | "fuzzy" | "human" | "live"}
+  if (useMemory) {
+    metadata.translation_memory = {};
+  }
+
+  // Feedback scores that ordered the translators of each language: {lang: {translator: {score, samples}}}
+  if (routing === "learned") {
+    metadata.routing = { mode: routing, scores: routingOptions.scores };
+  }
+
+  // Whether the translation kept for each language honored the requested register
+  if (formality !== "default") {
+    metadata.formality = { requested: formality, applied: [], not_applied: [] };
+  }
+
+  if (detection) {
+    metadata.detection = {
+      lang: detection.lang,
+      confidence: detection.confidence,
+      agreement: detection.agreement,
+      votes: detection.votes,
+    };
+  }
   
   // Verbose metadata - only included if verbose mode
   const verboseMetadata = verboseMode ? {
     translator_attempts: {}, // Will store {lang: [attempted_translators]}
     language_detection: Object.keys(languageDetections).length > 0 ? languageDetections : undefined,
     detection_errors: Object.keys(detectionErrors).length > 0 ? detectionErrors : undefined,
+    detection_skipped: skippedDetectors.length > 0 ? skippedDetectors : undefined,
   } : {};
   
   const errors = { unsupported_target_langs: [] };
 
-  // Process primary results
-  for (let i = 0; i < primaryResults.length; i++) {
-    const result = primaryResults[i];
-    const translatorInfo = translatorOrder[i];
-
+  // Record one translator's results and report each newly translated language through onTranslation
+  function recordResult({ name, langs }, result, { fallback, elapsed_ms, origin = "live" }, onTranslation) {
     // Track attempts for each language (verbose only)
     if (verboseMode) {
-      for (const lang of translatorInfo.langs) {
+      for (const lang of langs) {
         if (!verboseMetadata.translator_attempts[lang]) {
           verboseMetadata.translator_attempts[lang] = [];
         }
-        verboseMetadata.translator_attempts[lang].push(translatorInfo.name);
+        verboseMetadata.translator_attempts[lang].push(name);
       }
     }
 
-    // Add successful translations and track which translator succeeded
-    for (const [lang, translation] of Object.entries(result.translations)) {
+    // Add successful translations (only if not already translated) and track which translator succeeded
+    for (const [lang, machineTranslation] of Object.entries(result.translations)) {
+      if (finalTranslations[lang]) continue;
+      // Corrected texts of a batch win over the machine translations of their language
+      const translation = batchItems && corrections[lang]
+        ? { ...machineTranslation, ...corrections[lang] }
+        : machineTranslation;
       finalTranslations[lang] = translation;
-      metadata.translators[lang] = translatorInfo.name;
+      metadata.translators[lang] = name;
+      if (metadata.translation_memory) {
+        metadata.translation_memory[lang] = origin === "live"
+          ? result.metadata?.translation_memory?.[lang] || "live"
+          : origin;
+      }
+      const glossaryCheck = result.metadata?.glossary?.terms?.[lang];
+      if (metadata.glossary && glossaryCheck) metadata.glossary.terms[lang] = glossaryCheck;
+      if (metadata.formality && origin !== HUMAN_TRANSLATOR) {
+        const applied = result.metadata?.formality?.applied?.includes(lang);
+        metadata.formality[applied ? "applied" : "not_applied"].push(lang);
+      }
+      onTranslation?.({
+        lang,
+        ...(batchItems ? { texts: translation } : { text: translation }),
+        translator: name,
+        fallback,
+        elapsed_ms,
+      });
     }
 
-    // Add failed languages to retry list
-    failedLanguages.push(...result.errors);
-
-    // Merge metadata - first translator sets the detection info
-    if (result.metadata) {
+    // Merge metadata - first primary translator to answer sets the detection info
+    if (!fallback && result.metadata) {
       if (result.metadata.src_lang && !metadata.src_lang)
         metadata.src_lang = result.metadata.src_lang;
       if (result.metadata.language_definition && !metadata.language_definition)
@@ -315,120 +435,221 @@ export async function handleMultiRequest(request, env) {
     }
   }
 
-  // Try fallbacks for failed languages
-  if (failedLanguages.length > 0) {
+  async function runTranslator(job, fallback, onTranslation) {
+    const started = Date.now();
+    const result = await tryTranslator(getTranslator(job.name), job.langs, fallback);
+    recordResult(job, result, { fallback, elapsed_ms: Date.now() - started }, onTranslation);
+    return result;
+  }
+
+  // Run a primary translator, then fall back for its failed languages as soon as it answers,
+  // without waiting for the other primaries
+  async function runWithFallback(job, onTranslation) {
+    const result = await runTranslator(job, false, onTranslation);
+    if (result.errors.length === 0) return;
+
     console.log(
-      `Attempting fallbacks for failed languages: ${failedLanguages.join(", ")}`,
+      `Attempting fallbacks for failed languages: ${result.errors.join(", ")}`,
     );
 
-    // Create fallback assignment (try all translators for failed languages)
-    const fallbackAssignment = assignTranslators(failedLanguages, [
-      "m2m",
-      "google",
-      "deepl",
-      "openai",
-    ]);
-
-    const fallbackPromises = [];
-    const fallbackOrder = [];
-
-    if (fallbackAssignment.deepl.length) {
-      fallbackOrder.push({
-        name: "deepl-fallback",
-        langs: fallbackAssignment.deepl,
-      });
-      fallbackPromises.push(
-        tryTranslator(
-          translate_with_deepl,
-          fallbackAssignment.deepl,
-          "DeepL-Fallback",
-        ),
-      );
+    // Create fallback assignment (try all translators for failed languages). Languages that lost
+    // a placeholder or term would lose it again with the same translator, so they skip it.
+    const fallbackOrder = withRegisteredTranslators(FALLBACK_PRIORITY);
+    const placeholderFailed = result.placeholderFailed || [];
+    const otherFailed = result.errors.filter((lang) => !placeholderFailed.includes(lang));
+    // assignTranslators treats an empty list as "every language", so skip empty groups
+    const fallbackJobs = [
+      ...(otherFailed.length
+        ? activeAssignments(assignTranslators(otherFailed, fallbackOrder, routingSrcLang, routingOptions))
+        : []),
+      ...(placeholderFailed.length
+        ? activeAssignments(assignTranslators(
+            placeholderFailed,
+            fallbackOrder.filter((name) => name !== job.name),
+            routingSrcLang,
+            routingOptions,
+          ))
+        : []),
+    ];
+    await Promise.all(
+      fallbackJobs.map((fallbackJob) => runTranslator(fallbackJob, true, onTranslation)),
+    );
+  }
+
+  function translateAll(onTranslation) {
+    for (const [lang, { provider, origin, translations }] of Object.entries(cachedTranslations)) {
+      const honorsFormality = getTranslator(provider)?.formalityTargets?.has(baseLanguage(lang));
+      const result = {
+        translations: { [lang]: batchItems ? translations : translations["0"] },
+        metadata: { formality: { applied: honorsFormality ? [lang] : [] } },
+      };
+      recordResult({ name: provider, langs: [lang] }, result, { fallback: false, elapsed_ms: 0, origin }, onTranslation);
     }
-    if (fallbackAssignment.google.length) {
-      fallbackOrder.push({
-        name: "google-fallback",
-        langs: fallbackAssignment.google,
-      });
-      fallbackPromises.push(
-        tryTranslator(
-          translate_with_google,
-          fallbackAssignment.google,
-          "Google-Fallback",
-        ),
-      );
+    return Promise.all(
+      activeAssignments(assignment).map((job) => runWithFallback(job, onTranslation)),
+    );
+  }
+
+  // Final metadata and errors once every translator (and fallback) has answered
+  function summarize() {
+    // Add originally unsupported languages to errors
+    if (assignment.unsupported.length) {
+      errors.unsupported_target_langs.push(...assignment.unsupported);
     }
-    if (fallbackAssignment.m2m.length) {
-      fallbackOrder.push({
-        name: "m2m-fallback",
-        langs: fallbackAssignment.m2m,
-      });
-      fallbackPromises.push(
-        tryTranslator(
-          translate_with_m2m,
-          fallbackAssignment.m2m,
-          "M2M-Fallback",
-        ),
-      );
+
+    // Targets that some translator supports, just not from this source language
+    if (assignment.unsupported_pairs.length) {
+      errors.unsupported_pairs = assignment.unsupported_pairs;
     }
-    if (fallbackAssignment.openai.length) {
-      fallbackOrder.push({
-        name: "openai-fallback",
-        langs: fallbackAssignment.openai,
-      });
-      fallbackPromises.push(
-        tryTranslator(
-          handleGptRequest,
-          fallbackAssignment.openai,
-          "OpenAI-Fallback",
-        ),
-      );
+
+    // Placeholder and do-not-translate term losses that no fallback could fix
+    const unresolvedMismatches = Object.entries(placeholderMismatches)
+      .filter(([lang]) => !finalTranslations[lang])
+      .map(([lang, mismatch]) => ({ lang, ...mismatch }));
+    if (unresolvedMismatches.length) {
+      errors.placeholder_mismatches = unresolvedMismatches;
+    }
+    const unresolvedViolations = Object.entries(doNotTranslateViolations)
+      .filter(([lang]) => !finalTranslations[lang])
+      .map(([lang, violation]) => ({ lang, ...violation }));
+    if (unresolvedViolations.length) {
+      errors.do_not_translate_violations = unresolvedViolations;
     }
 
-    const fallbackResults = await Promise.all(fallbackPromises);
+    // Remove empty errors
+    if (!errors.unsupported_target_langs.length)
+      delete errors.unsupported_target_langs;
 
-    // Process fallback results
-    for (let i = 0; i < fallbackResults.length; i++) {
-      const result = fallbackResults[i];
-      const translatorInfo = fallbackOrder[i];
-      const translatorName = translatorInfo.name.replace("-fallback", "");
+    // Texts of a batch served from human corrections: {id: [lang]}
+    const corrected = batchItems
+      ? correctionsReport(corrections, Object.keys(finalTranslations))
+      : {};
+    if (Object.keys(corrected).length) {
+      metadata.corrections = corrected;
+    }
 
-      // Track fallback attempts (verbose only)
-      if (verboseMode) {
-        for (const lang of translatorInfo.langs) {
-          if (!verboseMetadata.translator_attempts[lang]) {
-            verboseMetadata.translator_attempts[lang] = [];
-          }
-          verboseMetadata.translator_attempts[lang].push(translatorName);
-        }
-      }
+    // Add translator errors to verbose metadata if any occurred
+    if (verboseMode && Object.keys(translatorErrors).length > 0) {
+      verboseMetadata.translator_errors = translatorErrors;
+    }
+
+    // Merge verbose metadata into base metadata if verbose mode is enabled
+    const finalMetadata = verboseMode ? { ...metadata, ...verboseMetadata } : metadata;
 
-      // Add successful fallback translations (only if not already translated)
-      for (const [lang, translation] of Object.entries(result.translations)) {
-        if (!finalTranslations[lang]) {
-          finalTranslations[lang] = translation;
-          metadata.translators[lang] = translatorName;
+    return {
+      metadata: finalMetadata,
+      errors: Object.keys(errors).length ? errors : null,
+    };
+  }
+
+  // Compare mode: every assigned translator's output, or its error, per language and translator
+  async function compareAll(onResult) {
+    const comparison = {};
+    const add = (lang, translator, entry) => {
+      (comparison[lang] ||= {})[translator] = entry;
+      onResult?.({ lang, translator, ...entry });
+    };
+    for (const [lang, { translations }] of Object.entries(correctedTranslations)) {
+      add(lang, HUMAN_TRANSLATOR, { ...(batchItems ? { texts: translations } : { text: translations["0"] }), elapsed_ms: 0 });
+    }
+    await Promise.all(activeAssignments(assignment).map(async ({ name, langs }) => {
+      const started = Date.now();
+      const result = await tryTranslator(getTranslator(name), langs);
+      const elapsed_ms = Date.now() - started;
+      for (const lang of langs) {
+        const translation = result.translations[lang];
+        if (translation !== undefined) {
+          add(lang, name, { ...(batchItems ? { texts: translation } : { text: translation }), elapsed_ms });
+        } else if (result.placeholderFailed?.includes(lang)) {
+          add(lang, name, { error: "The translation lost placeholders or do-not-translate terms.", elapsed_ms });
+        } else {
+          add(lang, name, { error: result.message || "No translation returned.", elapsed_ms });
         }
       }
-    }
+    }));
+
+    // Languages in request order, translators in priority order
+    const order = [HUMAN_TRANSLATOR, ...translatorPriority];
+    return Object.fromEntries(tgt_langs.filter((lang) => comparison[lang]).map((lang) => [
+      lang,
+      Object.fromEntries(order.filter((name) => comparison[lang][name]).map((name) => [name, comparison[lang][name]])),
+    ]));
   }
 
-  // Add originally unsupported languages to errors
-  if (assignment.unsupported.length) {
-    errors.unsupported_target_langs.push(...assignment.unsupported);
+  function compareSummary() {
+    const compareErrors = {};
+    if (assignment.unsupported.length) compareErrors.unsupported_target_langs = assignment.unsupported;
+    if (assignment.unsupported_pairs.length) compareErrors.unsupported_pairs = assignment.unsupported_pairs;
+    return {
+      metadata: {
+        mode,
+        src_lang: routingSrcLang,
+        language_definition: metadata.language_definition,
+        ...(metadata.detection ? { detection: metadata.detection } : {}),
+      },
+      ...(Object.keys(compareErrors).length ? { errors: compareErrors } : {}),
+    };
   }
 
-  // Remove empty errors
-  if (!errors.unsupported_target_langs.length)
-    delete errors.unsupported_target_langs;
+  const streamFormat = streamFormatFor(request);
+  if (streamFormat && compareMode) {
+    const stream = createEventStream(streamFormat);
+    (async () => {
+      try {
+        await compareAll((event) => stream.send("translation", { ...event, lang: responseKeys.get(event.lang) ?? event.lang }));
+        stream.send("done", rekeyResponse(compareSummary(), responseKeys));
+      } catch (error) {
+        console.error("❌ MULTI compare streaming failed:", error);
+        stream.send("error", { error: error.message });
+      } finally {
+        await stream.close();
+      }
+    })();
+    return stream.response;
+  }
 
-  // Add translator errors to verbose metadata if any occurred
-  if (verboseMode && Object.keys(translatorErrors).length > 0) {
-    verboseMetadata.translator_errors = translatorErrors;
+  if (compareMode) {
+    const comparison = await compareAll();
+    const translated = Object.values(comparison)
+      .some((byTranslator) => Object.values(byTranslator).some((entry) => entry.error === undefined));
+    const responseObj = rekeyResponse({
+      ...comparison,
+      ...(translated ? {} : { error: "All translation services failed. Please check your API configuration." }),
+      ...compareSummary(),
+    }, responseKeys);
+    console.log("MULTI compare response:", JSON.stringify(responseObj, null, 2));
+    return new Response(JSON.stringify(responseObj), {
+      status: translated ? 200 : 503,
+      headers: { "Content-Type": "application/json;charset=UTF-8" },
+    });
   }
 
-  // Merge verbose metadata into base metadata if verbose mode is enabled
-  const finalMetadata = verboseMode ? { ...metadata, ...verboseMetadata } : metadata;
+  if (streamFormat) {
+    const stream = createEventStream(streamFormat);
+    (async () => {
+      try {
+        await translateAll((event) => stream.send("translation", { ...event, lang: responseKeys.get(event.lang) ?? event.lang }));
+        const summary = summarize();
+        stream.send("done", rekeyResponse({
+          ...(Object.keys(finalTranslations).length === 0
+            ? { error: "All translation services failed. Please check your API configuration." }
+            : {}),
+          ...(Object.keys(suggestions).length ? { suggestions } : {}),
+          metadata: summary.metadata,
+          ...(summary.errors ? { errors: summary.errors } : {}),
+        }, responseKeys));
+      } catch (error) {
+        console.error("❌ MULTI streaming failed:", error);
+        stream.send("error", { error: error.message });
+      } finally {
+        await stream.close();
+      }
+    })();
+    return stream.response;
+  }
+
+  await translateAll();
+  const { metadata: finalMetadata, errors: finalErrors } = summarize();
 
   // Check if ALL translations failed
   if (Object.keys(finalTranslations).length === 0) {
@@ -438,7 +659,7 @@ export async function handleMultiRequest(request, env) {
       details: Object.keys(translatorErrors).length > 0 
         ? translatorErrors 
         : "No translators were able to complete the request.",
-      requested_languages: tgt_langs,
+      requested_languages: requestedLangs,
       metadata: finalMetadata,
     };
     
@@ -450,12 +671,25 @@ export async function handleMultiRequest(request, env) {
     });
   }
 
+  // Batch results are keyed by text id, then language
+  const translationsObj = batchItems
+    ? {
+        results: Object.entries(finalTranslations).reduce(
+          (results, [lang, byId]) => addBatchTranslations(results, lang, byId),
+          {},
+        ),
+      }
+    : finalTranslations;
+
   const responseObj = {
-    ...finalTranslations,
+    ...translationsObj,
+    ...(Object.keys(suggestions).length ? { suggestions } : {}),
     metadata: finalMetadata,
-    ...(Object.keys(errors).length ? { errors } : {}),
+    ...(finalErrors ? { errors: finalErrors } : {}),
   };
 
+  rekeyResponse(responseObj, responseKeys);
+
   console.log("MULTI final response:", JSON.stringify(responseObj, null, 2));
   return new Response(JSON.stringify(responseObj), {
     headers: { "Content-Type": "application/json;charset=UTF-8" },
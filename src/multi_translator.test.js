@@ -458,3 +458,143 @@ describe('Multi Translator Fallback Logic', () => {
     expect(result.metadata.detection_used_translator).toBe(null);
   });
 });
+
+describe('Multi Translator streaming', () => {
+  function createStreamingRequest(data, accept) {
+    return new Request('http://localhost/multi', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: accept },
+      body: JSON.stringify(data),
+    });
+  }
+
+  it('streams each language and a final done event as NDJSON', async () => {
+    const request = createStreamingRequest(
+      { text: 'Hello', src_lang: 'eng', tgt_langs: ['spa', 'fra'], translators: ['m2m'] },
+      'application/x-ndjson',
+    );
+
+    const response = await handleMultiRequest(request, createMockEnv());
+    expect(response.headers.get('Content-Type')).toMatch(/application\/x-ndjson/);
+
+    const events = (await response.text()).trim().split('\n').map((line) => JSON.parse(line));
+    const translations = events.filter((e) => e.type === 'translation');
+    expect(translations.map((e) => e.lang).sort()).toEqual(['fra', 'spa']);
+    expect(translations[0]).toMatchObject({ translator: 'm2m', fallback: false });
+    expect(typeof translations[0].elapsed_ms).toBe('number');
+
+    const done = events[events.length - 1];
+    expect(done.type).toBe('done');
+    expect(done.metadata.translators).toEqual({ spa: 'm2m', fra: 'm2m' });
+  });
+
+  it('streams Server-Sent Events when asked for text/event-stream', async () => {
+    const request = createStreamingRequest(
+      { text: 'Hello', src_lang: 'eng', tgt_langs: ['spa'], translators: ['m2m'] },
+      'text/event-stream',
+    );
+
+    const response = await handleMultiRequest(request, createMockEnv());
+    const body = await response.text();
+    expect(body).toContain('event: translation\ndata: {"lang":"spa"');
+    expect(body).toMatch(/event: done\ndata: .*"metadata"/);
+  });
+});
+
+describe('Multi Translator batches', () => {
+  it('returns results keyed by text id and language', async () => {
+    const request = createRequest({
+      texts: [{ id: 'greeting', text: 'Hello' }, 'Goodbye'],
+      src_lang: 'eng',
+      tgt_langs: ['spa', 'fra'],
+      translators: ['m2m'],
+    });
+
+    const response = await handleMultiRequest(request, createMockEnv({
+      AI: {
+        run: async (model, params) => params.requests.map((r) => ({ translated_text: `${r.text}-${r.target_lang}` })),
+      },
+    }));
+    const result = await response.json();
+
+    expect(result.results).toEqual({
+      greeting: { spa: 'Hello-es', fra: 'Hello-fr' },
+      1: { spa: 'Goodbye-es', fra: 'Goodbye-fr' },
+    });
+    expect(result.metadata.translators).toEqual({ spa: 'm2m', fra: 'm2m' });
+  });
+
+  it('rejects an empty texts array', async () => {
+    const response = await handleMultiRequest(
+      createRequest({ texts: [], tgt_langs: ['spa'] }),
+      createMockEnv(),
+    );
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Multi Translator placeholder protection', () => {
+  it('retries a language with the next translator when a placeholder is lost', async () => {
+    globalThis.fetch = async (url, options) => {
+      const payload = JSON.parse(options.body);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ translations: payload.contents.map((text) => ({ translatedText: text.replace('Hello', 'Hola') })) }),
+      };
+    };
+
+    const request = createRequest({
+      text: 'Hello {name}',
+      src_lang: 'eng',
+      tgt_langs: ['spa'],
+      translators: ['m2m'],
+    });
+    const env = createMockEnv({
+      AI: { run: async () => ({ translated_text: 'Hola' }) },
+    });
+
+    const result = await (await handleMultiRequest(request, env)).json();
+    expect(result.spa).toBe('Hola {name}');
+    expect(result.metadata.translators).toEqual({ spa: 'google' });
+  });
+});
+
+describe('Multi Translator compare mode', () => {
+  it('returns every supporting translator\'s output or error per language', async () => {
+    globalThis.fetch = async (url, options) => {
+      const payload = JSON.parse(options.body);
+      if (url.includes('googleapis')) {
+        return { ok: false, status: 500, json: async () => ({ error: 'Google API Error' }), text: async () => 'Google API Error' };
+      }
+      const data = { translations: payload.text.map((text) => ({ text: `${payload.target_lang}:${text}` })) };
+      return { ok: true, status: 200, json: async () => data, text: async () => JSON.stringify(data) };
+    };
+
+    const request = createRequest({
+      text: 'Hello',
+      src_lang: 'eng',
+      tgt_langs: ['es', 'deu', 'zz'],
+      translators: ['deepl', 'm2m', 'google'],
+      mode: 'compare',
+    });
+
+    const result = await (await handleMultiRequest(request, createMockEnv())).json();
+
+    expect(Object.keys(result.es)).toEqual(['deepl', 'm2m', 'google']);
+    expect(result.es.deepl).toEqual({ text: 'ES:Hello', elapsed_ms: expect.any(Number) });
+    expect(result.es.m2m.text).toBe('M2M-es-translation');
+    expect(result.es.google).toEqual({ error: expect.any(String), elapsed_ms: expect.any(Number) });
+    expect(result.deu.deepl.text).toBe('DE:Hello');
+    expect(result.metadata.mode).toBe('compare');
+    expect(result.errors.unsupported_target_langs).toEqual(['zz']);
+  });
+
+  it('rejects an unknown mode', async () => {
+    const response = await handleMultiRequest(
+      createRequest({ text: 'Hello', tgt_langs: ['spa'], mode: 'side-by-side' }),
+      createMockEnv(),
+    );
+    expect(response.status).toBe(400);
+  });
+});
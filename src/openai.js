@@ -1,4 +1,12 @@
 import wikidataLanguages from "./wikidata-languages.json";
+import { registerTranslator } from "./translator_registry.js";
+import { normalizeTexts, chunkItems, addBatchTranslations } from "./batch.js";
+import { normalizeFormat, ensureWellFormed, IGNORED_TAGS } from "./html_format.js";
+import { containsTerm } from "./glossaries.js";
+import { parseLanguageTag, variantLabel } from "./language_tags.js";
+
+// Keep batch prompts small enough that the JSON answer fits comfortably in one completion
+const OPENAI_BATCH_LIMITS = { maxItems: 25, maxChars: 6000 };
 
 // Helper function to find language by code (3-letter or 2-letter)
 function findLanguage(code) {
@@ -7,87 +15,46 @@ function findLanguage(code) {
   );
 }
 
-// Build a map from 3-letter ISO to 2-letter ISO
-const ISO3_TO_ISO2_MAP = {};
-for (const lang of wikidataLanguages) {
-  if (lang.iso && lang.iso1) {
-    ISO3_TO_ISO2_MAP[lang.iso] = lang.iso1;
-  }
+// English name for a target: the language ("German") or, for a BCP 47 tag, the variant ("British English")
+function languageLabel(code) {
+  return findLanguage(code)?.langLabel || variantLabel(code);
 }
 
-export default {
-  async fetch(request, env) {
-    let model = "gpt-4.1";
-
-    const db = env.TRANSLATIONS_DB;
-
-    const headers = {
-      "Access-Control-Allow-Origin": request.headers.get("Origin") || "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers":
-        request.headers.get("access-control-request-headers") || "",
-      "Access-Control-Max-Age": "86400", // 24 hours
-    };
-
-    if (request.method === "OPTIONS") {
-      return handleOptions(request);
-    }
-    if (request.method !== "POST") {
-      return new Response(null, { status: 405 });
-    }
-
-    try {
-      const requestData = await request.json();
-      const originalText = requestData.text;
-      const api_key = request.headers.get("api_key");
-      const tgt_langs = requestData.tgt_langs;
-
-      // prevent duplicate requests
-      // TODO: translate existing languages for originalText;
-      //  -> e.g. "YOLO" (en,es) exists but "YOLO" (en,es,ru) is requested
-      const existing_translation = await get_translation_from_db(
-        db,
-        originalText,
-      );
-      if (existing_translation !== null) {
-        return new Response(existing_translation, { headers });
-      }
-
-      let translations = await openaiTranslate({
-        originalText,
-        api_key,
-        model,
-        tgt_langs,
-      });
-      await saveTranslation(db, originalText, translations, model);
-
-      return new Response(JSON.stringify(translations), { headers });
-    } catch (error) {
-      console.error("Error in fetch handler:", error);
-      return new Response(JSON.stringify({ error: "Internal Server Error" }), {
-        status: 500,
-        headers,
-      });
-    }
-  },
-};
+// Extra prompt rules for `format: "html"` input
+const HTML_PROMPT_RULES = `
+- The input is an HTML fragment. Translate only the human-readable text and keep every tag, attribute and entity exactly as given
+- Do not translate the content of ${IGNORED_TAGS.map((tag) => `<${tag}>`).join(", ")} elements
+- Each translation MUST be a well-formed HTML fragment with the same markup structure as the input`;
+
+// Required term translations for the glossary terms that occur in the texts.
+// `glossary` is `{ <prompt language code>: [{ source, target }] }`.
+function glossaryPrompt(glossary, texts) {
+  const terms = {};
+  for (const [code, entries] of Object.entries(glossary || {})) {
+    const used = entries.filter(({ source }) => texts.some((text) => containsTerm(text, source)));
+    if (used.length) terms[code] = Object.fromEntries(used.map(({ source, target }) => [source, target]));
+  }
+  return Object.keys(terms).length
+    ? `\n\nGLOSSARY: Always translate these terms exactly as given, by language: ${JSON.stringify(terms)}`
+    : "";
+}
 
-async function saveTranslation(db, text, translations, model) {
-  let translations_text = JSON.stringify(translations);
-  const insertSQL = `
-        INSERT INTO gpt_translations (original_text, translations_json, model, timestamp)
-        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-    `;
+// Terms that must appear unchanged in every translation (see withDoNotTranslate)
+function doNotTranslatePrompt(terms) {
+  return terms?.length
+    ? `\n\nDO NOT TRANSLATE: Keep these terms exactly as written, with the same spelling and letter case, in every translation: ${JSON.stringify(terms)}`
+    : "";
+}
 
-  try {
-    const stmt = await db
-      .prepare(insertSQL)
-      .bind(text, translations_text, model)
-      .run();
-    // console.debug(stmt)
-  } catch (err) {
-    console.error("Error saving translation to database: " + err.message);
+// Register guidance for `formality` (see withFormality)
+function formalityPrompt(formality) {
+  if (formality === "formal") {
+    return "\n\nREGISTER: Use a formal, polite register: formal address (Sie, vous, usted, вы), Japanese keigo (です/ます forms with honorific and humble expressions) and the Korean formal polite speech level (합쇼체, -습니다).";
+  }
+  if (formality === "informal") {
+    return "\n\nREGISTER: Use an informal, friendly register: informal address (du, tu, tú, ты), Japanese plain forms (だ/である, no keigo) and the Korean casual polite speech level (해요체, -아요/-어요).";
   }
+  return "";
 }
 
 function create_language_prompt(request_languages = []) {
@@ -117,37 +84,6 @@ function create_language_prompt(request_languages = []) {
   return language_prompts;
 }
 
-async function get_translation_from_db(db, originalText) {
-  const get_translation_query = `SELECT translations_json FROM gpt_translations WHERE original_text = ?`;
-
-  try {
-    const stmt = db.prepare(get_translation_query).bind(originalText);
-    const result = await stmt.first("translations_json");
-    console.log("Database result:", result);
-    return result;
-  } catch (err) {
-    console.error(
-      "Error checking if translation exists in database: " + err.message,
-    );
-    return null;
-  }
-}
-
-function handleOptions(request) {
-  const headers = {
-    "Access-Control-Allow-Origin": request.headers.get("Origin") || "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers":
-      request.headers.get("access-control-request-headers") || "",
-    "Access-Control-Max-Age": "86400", // 24 hours
-  };
-
-  if (request.method !== "OPTIONS") {
-    return new Response(null, { status: 405, headers });
-  }
-
-  return new Response(null, { headers });
-}
 
 export async function openaiTranslate(params) {
   const {
@@ -157,16 +93,27 @@ export async function openaiTranslate(params) {
     tgt_langs = [],
     detect_language = false,
     src_lang = null,
+    format = "text",
+    context = null,
+    glossary = null,
+    do_not_translate = [],
+    formality = "default",
   } = params;
+  const formatRules = format === "html" ? HTML_PROMPT_RULES : "";
+  const contextPrompt = context
+    ? `\n\nCONTEXT (a hint about where the text is used; do not translate it): ${JSON.stringify(context)}`
+    : "";
+  const glossaryRules = glossaryPrompt(glossary, [originalText]) + doNotTranslatePrompt(do_not_translate);
+  const registerRules = formalityPrompt(formality);
 
   // Filter out invalid language codes and create langs string
-  let validLanguages = tgt_langs.filter((code) => findLanguage(code));
+  let validLanguages = tgt_langs.filter((code) => languageLabel(code));
   if (validLanguages.length === 0) {
     validLanguages = ["en", "es", "ru"];
   }
 
   let langs = validLanguages
-    .map((code) => `"${code}" (${findLanguage(code).langLabel})`)
+    .map((code) => `"${code}" (${languageLabel(code)})`)
     .join(", ");
 
   // Enhanced prompt that includes source language detection context
@@ -185,9 +132,10 @@ Then translate the text into all specified target languages: ${langs}
 
 IMPORTANT:
 - You MUST provide translations for ALL specified languages
+- Copy placeholder tokens such as ⟦0⟧ unchanged into every translation
 - If the text is a phrase, proverb, slang, or colloquialism, translate for natural, native-like expression in each language
 - Be aware of times and numbers, and spell them out as they would appear in the local language with words, not digits
-- Include the detected source language in the metadata
+- Include the detected source language in the metadata${formatRules}
 
 The JSON response MUST include translations for ALL specified languages and metadata in this exact format:
 {
@@ -199,7 +147,7 @@ The JSON response MUST include translations for ALL specified languages and meta
   }
 }
 
-Text to translate: "${originalText}"
+Text to translate: "${originalText}"${contextPrompt}${glossaryRules}${registerRules}
 
 Respond ONLY with the JSON object containing ALL translations and metadata:`;
   } else {
@@ -215,8 +163,9 @@ Required languages: ${langs}${sourceContext}
 
 IMPORTANT:
 - You MUST provide translations for ALL specified languages
+- Copy placeholder tokens such as ⟦0⟧ unchanged into every translation
 - If the text is a phrase, proverb, slang, or colloquialism, translate for natural, native-like expression in each language
-- Be aware of times and numbers, and spell them out as they would appear in the local language with words, not digits
+- Be aware of times and numbers, and spell them out as they would appear in the local language with words, not digits${formatRules}
 
 The JSON response MUST include translations for ALL specified languages in this exact format:
 {
@@ -225,11 +174,16 @@ The JSON response MUST include translations for ALL specified languages in this
   ...
 }
 
-Text to translate: "${originalText}"
+Text to translate: "${originalText}"${contextPrompt}${glossaryRules}${registerRules}
 
 Respond ONLY with the JSON object containing ALL translations:`;
   }
 
+  return requestOpenAIJson(prompt, api_key, model);
+}
+
+// Send a prompt to the chat completions API and parse the JSON object it answers with
+async function requestOpenAIJson(prompt, api_key, model) {
   const openAIUrl = "https://api.openai.com/v1/chat/completions";
   const openAIRequestHeaders = {
     "Content-Type": "application/json",
@@ -274,6 +228,70 @@ Respond ONLY with the JSON object containing ALL translations:`;
   return JSON.parse(aiResponseContent);
 }
 
+/**
+ * Translate several texts in one prompt.
+ * @param {{items: Array<{id: string, text: string, context?: string}>, api_key: string, model?: string, tgt_langs: string[], src_lang?: string}} params
+ * @returns {Promise<Object>} `{ <id>: { <lang code>: translation } }`
+ */
+export async function openaiTranslateBatch(params) {
+  const {
+    items,
+    api_key,
+    model = "gpt-4o",
+    tgt_langs = [],
+    src_lang = null,
+    format = "text",
+    glossary = null,
+    do_not_translate = [],
+    formality = "default",
+  } = params;
+  const formatRules = format === "html" ? HTML_PROMPT_RULES : "";
+
+  const langs = tgt_langs
+    .map((code) => `"${code}" (${languageLabel(code) || code})`)
+    .join(", ");
+  const sourceLangEntry = src_lang ? findLanguage(src_lang) : null;
+  const sourceContext = sourceLangEntry
+    ? `\n\nSOURCE LANGUAGE: The texts are in ${sourceLangEntry.langLabel} (${src_lang}).`
+    : "";
+  const texts = Object.fromEntries(items.map(({ id, text }) => [id, text]));
+  // Items often share a context (e.g. subtitle cues of one scene), so each context is listed once
+  const contexts = new Map();
+  for (const { id, context } of items) {
+    if (!context) continue;
+    if (!contexts.has(context)) contexts.set(context, []);
+    contexts.get(context).push(id);
+  }
+  const contextPrompt = contexts.size
+    ? `\n\nContext hints (where the texts with these ids are used; do not translate them): ${JSON.stringify(
+        [...contexts].map(([context, ids]) => ({ ids, context })),
+      )}`
+    : "";
+  const glossaryRules = glossaryPrompt(glossary, items.map(({ text }) => text)) + doNotTranslatePrompt(do_not_translate);
+  const registerRules = formalityPrompt(formality);
+
+  const prompt = `You are a professional translator. Translate each of the given texts into all specified languages.
+Required languages: ${langs}${sourceContext}
+
+IMPORTANT:
+- You MUST provide translations for ALL texts and ALL specified languages
+- Copy placeholder tokens such as ⟦0⟧ unchanged into every translation
+- Translate each text on its own; keep the ids exactly as given
+- If a text is a phrase, proverb, slang, or colloquialism, translate for natural, native-like expression in each language${formatRules}
+
+The texts are given as a JSON object of id to text. The JSON response MUST use the same ids, in this exact format:
+{
+  "<id>": { "eng": "...", "esp": "...", ... },
+  ...
+}
+
+Texts to translate: ${JSON.stringify(texts)}${contextPrompt}${glossaryRules}${registerRules}
+
+Respond ONLY with the JSON object containing ALL translations:`;
+
+  return requestOpenAIJson(prompt, api_key, model);
+}
+
 /**
  * Handle /gpt POST requests (m2m_translator.js compatible)
  * @param {Request} request
@@ -287,6 +305,16 @@ export async function handleGptRequest(request, env) {
   } catch (e) {}
   const model = body.model || "gpt-4o";
   const api_key = env.OPENAI_API_KEY;
+  const { format, error: formatError } = normalizeFormat(body.format);
+  if (formatError) {
+    return new Response(JSON.stringify({ error: formatError }), {
+      status: 400,
+      headers: { "Content-Type": "application/json;charset=UTF-8" },
+    });
+  }
+  // Models sometimes drop a closing tag; never hand back unbalanced markup
+  const finish = (translation) =>
+    format === "html" ? ensureWellFormed(translation) : translation;
   const text = body.text;
   let tgt_langs = body.tgt_langs;
 
@@ -309,6 +337,11 @@ export async function handleGptRequest(request, env) {
       const code2 = langEntry.iso1 || code3;
       supported.push(code2);
       iso3to2[code2] = code3;
+    } else if (openaiVariantCode(code3)) {
+      // Regional variants are named in the prompt ("en-GB" (British English)) and keyed as requested
+      const tag = openaiVariantCode(code3);
+      supported.push(tag);
+      iso3to2[tag] = code3;
     } else {
       unsupported.push(code3);
     }
@@ -325,7 +358,18 @@ export async function handleGptRequest(request, env) {
       },
     );
   }
-  if (!text) {
+  // Batch mode: `texts: [...]` instead of `text`
+  let batchItems = null;
+  if (body.texts !== undefined) {
+    const { items, error } = normalizeTexts(body.texts);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { "Content-Type": "application/json;charset=UTF-8" },
+      });
+    }
+    batchItems = items;
+  } else if (!text) {
     return new Response(
       JSON.stringify({ error: "Missing text in request body." }),
       {
@@ -344,6 +388,27 @@ export async function handleGptRequest(request, env) {
     );
   }
 
+  // Glossary terms (see withGlossary) keyed by the prompt's language codes
+  const glossary = body.glossary
+    ? Object.fromEntries(supported.map((code) => [code, body.glossary.terms?.[iso3to2[code]] || []]))
+    : null;
+
+  if (batchItems) {
+    return translateBatch(batchItems, {
+      api_key,
+      model,
+      supported,
+      iso3to2,
+      unsupported,
+      src_lang: body.src_lang,
+      format,
+      finish,
+      glossary,
+      do_not_translate: body.do_not_translate,
+      formality: body.formality,
+    });
+  }
+
   try {
     // Check if this is a language detection request
     const detect_language = body.detect_language || false;
@@ -355,6 +420,11 @@ export async function handleGptRequest(request, env) {
       tgt_langs: supported,
       detect_language,
       src_lang: body.src_lang,
+      format,
+      context: body.context,
+      glossary,
+      do_not_translate: body.do_not_translate,
+      formality: body.formality,
     });
 
     // Remap keys to 3-letter codes
@@ -362,9 +432,9 @@ export async function handleGptRequest(request, env) {
     for (const code of supported) {
       const code3 = iso3to2[code];
       if (translations2[code]) {
-        translations3[code3] = translations2[code];
+        translations3[code3] = finish(translations2[code]);
       } else if (translations2[code3]) {
-        translations3[code3] = translations2[code3];
+        translations3[code3] = finish(translations2[code3]);
       }
     }
 
@@ -406,4 +476,99 @@ export async function handleGptRequest(request, env) {
   }
 }
 
+// Translate batch items chunk by chunk; a failed chunk is reported per language and ids
+async function translateBatch(items, { api_key, model, supported, iso3to2, unsupported, src_lang, format, finish, glossary, do_not_translate, formality }) {
+  const results = {};
+  const failed = [];
+
+  for (const chunk of chunkItems(items, OPENAI_BATCH_LIMITS)) {
+    const ids = chunk.map((item) => item.id);
+    try {
+      const translated = await openaiTranslateBatch({
+        items: chunk,
+        api_key,
+        model,
+        tgt_langs: supported,
+        src_lang,
+        format,
+        glossary,
+        do_not_translate,
+        formality,
+      });
+      for (const code of supported) {
+        const code3 = iso3to2[code];
+        const byId = {};
+        const missing = [];
+        for (const id of ids) {
+          const text = translated?.[id]?.[code] ?? translated?.[id]?.[code3];
+          if (typeof text === "string") byId[id] = finish(text);
+          else missing.push(id);
+        }
+        addBatchTranslations(results, code3, byId);
+        if (missing.length) {
+          failed.push({ lang: code3, ids: missing, error: "Missing from model response" });
+        }
+      }
+    } catch (err) {
+      console.error("OpenAI batch chunk failed:", err.message);
+      for (const code of supported) {
+        failed.push({ lang: iso3to2[code], ids, error: err.message });
+      }
+    }
+  }
+
+  const errors = {};
+  if (unsupported.length) errors.unsupported_target_langs = unsupported;
+  if (failed.length) errors.failed_translations = failed;
+
+  return new Response(
+    JSON.stringify({
+      results,
+      metadata: {
+        translator: "openai",
+        model,
+        src_lang: src_lang || null,
+        language_definition: src_lang ? "user" : null,
+      },
+      errors: Object.keys(errors).length ? errors : undefined,
+    }),
+    { headers: { "Content-Type": "application/json;charset=UTF-8" } },
+  );
+}
+
+// OpenAI "detection" asks the model to report the source language alongside a translation
+async function detect_language_with_openai(text, env) {
+  const detectionReq = { text, tgt_langs: ["eng"], detect_language: true };
+  const res = await handleGptRequest({ json: async () => detectionReq }, env);
+  const detectionResult = res.json ? await res.json() : res;
+  return (
+    detectionResult?.metadata?.detected_source_language ||
+    detectionResult?.metadata?.src_lang
+  );
+}
+
+const openaiLanguages = new Set(
+  wikidataLanguages.map((l) => l.iso).filter(Boolean),
+);
+
+// Any variant of a language it writes, through the prompt
+function openaiVariantCode(code) {
+  const parsed = parseLanguageTag(code);
+  return parsed?.lang3 && openaiLanguages.has(parsed.lang3) ? parsed.tag : null;
+}
+
+registerTranslator({
+  name: "openai",
+  label: "OpenAI",
+  sources: openaiLanguages,
+  targets: openaiLanguages,
+  // The register is set through the prompt, in any language
+  formalityTargets: openaiLanguages,
+  variantCode: openaiVariantCode,
+  translate: handleGptRequest,
+  detect: detect_language_with_openai,
+  detectionWeight: 0.7,
+  detectsViaTranslation: true,
+});
+
 export { findLanguage };
@@ -0,0 +1,201 @@
+// Placeholder protection for i18n strings.
+//
+// Before a text goes to a translator, interpolation placeholders (ICU `{name}`, Handlebars
+// `{{count}}`, printf `%d` / `%1$s` / `%(name)s`, Apple's `%#@var@` and HTML entities) are
+// swapped for opaque `⟦n⟧` tokens, and swapped back in the translation. A translation that lost
+// a token is reported in `errors.placeholder_mismatches` so /multi can send that language to the
+// next translator.
+//
+// registerTranslator wraps every adapter's translate function with withPlaceholderProtection.
+// Requests can opt out with `protect_placeholders: false`, and can protect inline XML elements
+// too with `protect_tags: ["x", "g", ...]` (used for XLIFF and Android resources).
+
+const PATTERNS = [
+    // Handlebars / Mustache: {{count}}, {{{raw}}}, {{#if x}}
+    /\{\{\{?[^{}]+\}?\}\}/y,
+    // Apple .stringsdict variables: %#@files@
+    /%#@\w+@/y,
+    // printf: %d, %s, %1$s, %.2f, %@, %%, and Python's %(name)s
+    /%(?:\([\w.]+\)|\d+\$)?[-+#0]*\d*(?:\.\d+)?(?:hh|h|ll|l|L|z|j|t)?[diouxXeEfFgGaAcspn@%]/y,
+    // HTML entities: &amp; &#39; &#x27;
+    /&(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);/y,
+];
+
+// An ICU argument starts with a name or number, optionally followed by a format (`{n, plural, ...}`)
+const ICU_ARGUMENT = /^\s*[\w.]+\s*(?:,[\s\S]*)?$/;
+
+const TOKEN = /⟦\s*(\d+)\s*⟧/g;
+
+// Inline elements whose content is native code rather than text, protected as a whole
+// (XLIFF's ph/bpt/ept/it, and Android's `<xliff:g>` for text that must not be translated)
+const CODE_ELEMENTS = ['ph', 'bpt', 'ept', 'it', 'xliff:g'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `<ph>...</ph>` as a whole for code elements, otherwise one opening, closing or empty tag
+function tagPatterns(tags) {
+    if (!tags?.length) return [];
+    const names = tags.map(escapeRegExp);
+    const codeNames = names.filter(name => CODE_ELEMENTS.includes(name));
+    return [
+        ...(codeNames.length ? [new RegExp(`<(${codeNames.join('|')})\\b[^>]*>[\\s\\S]*?</\\1>`, 'y')] : []),
+        new RegExp(`</?(?:${names.join('|')})\\b[^>]*>`, 'y'),
+    ];
+}
+
+function tokenFor(index) {
+    return `⟦${index}⟧`;
+}
+
+// End of a balanced `{...}` group starting at `start`, or -1
+function closingBrace(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+function matchAt(text, index, extraPatterns = []) {
+    for (const pattern of [...extraPatterns, ...PATTERNS]) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (match) return match[0];
+    }
+    if (text[index] === '{') {
+        const end = closingBrace(text, index);
+        if (end > index && ICU_ARGUMENT.test(text.slice(index + 1, end))) return text.slice(index, end + 1);
+    }
+    return null;
+}
+
+/**
+ * Find the placeholders in a text, in order.
+ * @returns {string[]}
+ */
+export function findPlaceholders(text, options) {
+    return protectPlaceholders(text, options).placeholders;
+}
+
+/**
+ * Replace every placeholder with a `⟦n⟧` token.
+ * @param {string} text
+ * @param {{tags?: string[]}} [options] - Inline XML element names to protect as well
+ * @returns {{text: string, placeholders: string[]}} placeholders[n] is the original for token n
+ */
+export function protectPlaceholders(text, { tags } = {}) {
+    if (typeof text !== 'string') return { text, placeholders: [] };
+    const extraPatterns = tagPatterns(tags);
+    const placeholders = [];
+    let output = '';
+    let index = 0;
+    while (index < text.length) {
+        const char = text[index];
+        const match = char === '{' || char === '%' || char === '&' || (char === '<' && extraPatterns.length)
+            ? matchAt(text, index, extraPatterns)
+            : null;
+        if (match) {
+            output += tokenFor(placeholders.length);
+            placeholders.push(match);
+            index += match.length;
+        } else {
+            output += char;
+            index++;
+        }
+    }
+    return { text: output, placeholders };
+}
+
+/**
+ * Put the original placeholders back into a translation.
+ * @param {string} text - Translation that should still contain every `⟦n⟧` token
+ * @param {string[]} placeholders
+ * @returns {{text: string, missing: string[]}} missing lists placeholders whose token was lost
+ */
+export function restorePlaceholders(text, placeholders) {
+    if (typeof text !== 'string' || placeholders.length === 0) return { text, missing: [] };
+    const seen = new Set();
+    const restored = text.replace(TOKEN, (token, n) => {
+        const index = Number(n);
+        if (index >= placeholders.length) return '';
+        seen.add(index);
+        return placeholders[index];
+    });
+    return {
+        text: restored,
+        missing: placeholders.filter((_, index) => !seen.has(index)),
+    };
+}
+
+// Keys of a single-text translator response that are not translations
+const RESPONSE_META_KEYS = ['metadata', 'errors', 'error', 'details'];
+
+/**
+ * Wrap a translator's `translate(request, env)` so placeholders in `text` / `texts` are
+ * protected on the way in and restored on the way out.
+ */
+export function withPlaceholderProtection(translate) {
+    return async function translateWithProtectedPlaceholders(request, env) {
+        const data = await request.json();
+        const forward = { json: async () => data, headers: request.headers };
+        if (data.protect_placeholders === false) return translate(forward, env);
+
+        const options = { tags: Array.isArray(data.protect_tags) ? data.protect_tags : [] };
+        const single = typeof data.text === 'string' ? protectPlaceholders(data.text, options) : null;
+        const batch = Array.isArray(data.texts)
+            ? data.texts.map(entry => protectPlaceholders(typeof entry === 'string' ? entry : entry?.text, options))
+            : null;
+        const hasPlaceholders = (single?.placeholders.length || 0) > 0
+            || (batch || []).some(({ placeholders }) => placeholders.length > 0);
+        if (!hasPlaceholders) return translate(forward, env);
+
+        const protectedData = { ...data };
+        if (single) protectedData.text = single.text;
+        if (batch) {
+            protectedData.texts = data.texts.map((entry, index) =>
+                typeof entry === 'string' ? batch[index].text : { ...entry, text: batch[index].text });
+        }
+
+        const response = await translate({ json: async () => protectedData, headers: request.headers }, env);
+        const body = typeof response?.clone === 'function'
+            ? await response.clone().json().catch(() => null)
+            : null;
+        if (!body || !response.ok) return response;
+
+        const mismatches = [];
+        if (single && !body.results) {
+            for (const [key, value] of Object.entries(body)) {
+                if (RESPONSE_META_KEYS.includes(key) || typeof value !== 'string') continue;
+                const { text, missing } = restorePlaceholders(value, single.placeholders);
+                body[key] = text;
+                if (missing.length) mismatches.push({ lang: key, missing });
+            }
+        }
+        if (batch && body.results) {
+            const placeholdersById = Object.fromEntries(data.texts.map((entry, index) => [
+                String(typeof entry === 'string' ? index : entry?.id ?? index),
+                batch[index].placeholders,
+            ]));
+            for (const [id, translations] of Object.entries(body.results)) {
+                for (const [lang, value] of Object.entries(translations)) {
+                    const { text, missing } = restorePlaceholders(value, placeholdersById[id] || []);
+                    translations[lang] = text;
+                    if (missing.length) mismatches.push({ id, lang, missing });
+                }
+            }
+        }
+
+        if (mismatches.length) {
+            console.warn('⚠️ Placeholders lost in translation:', JSON.stringify(mismatches));
+            body.errors = { ...(body.errors || {}), placeholder_mismatches: mismatches };
+        }
+
+        return new Response(JSON.stringify(body), {
+            status: response.status,
+            headers: response.headers,
+        });
+    };
+}
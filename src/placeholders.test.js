@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { findPlaceholders, protectPlaceholders, restorePlaceholders, withPlaceholderProtection } from './placeholders.js';
+
+describe('findPlaceholders', () => {
+  it('finds ICU, printf, Handlebars and HTML-entity placeholders', () => {
+    expect(findPlaceholders('Hello {name}, you have %d new messages')).toEqual(['{name}', '%d']);
+    expect(findPlaceholders('{{count}} items &amp; %1$s or %(user)s')).toEqual(['{{count}}', '&amp;', '%1$s', '%(user)s']);
+    expect(findPlaceholders('{count, plural, one {# item} other {# items}} left')).toEqual([
+      '{count, plural, one {# item} other {# items}}',
+    ]);
+  });
+
+  it('leaves ordinary text alone', () => {
+    expect(findPlaceholders('50% off & free {shipping!}')).toEqual([]);
+  });
+});
+
+describe('protectPlaceholders / restorePlaceholders', () => {
+  it('round-trips through opaque tokens, even when reordered', () => {
+    const { text, placeholders } = protectPlaceholders('Hello {name}, you have %d new messages');
+    expect(text).toBe('Hello ⟦0⟧, you have ⟦1⟧ new messages');
+    expect(restorePlaceholders('⟦1⟧ mensajes nuevos para ⟦ 0 ⟧', placeholders)).toEqual({
+      text: '%d mensajes nuevos para {name}',
+      missing: [],
+    });
+  });
+
+  it('reports placeholders that were dropped', () => {
+    const { placeholders } = protectPlaceholders('{{count}} items for {name}');
+    expect(restorePlaceholders('⟦0⟧ artículos', placeholders).missing).toEqual(['{name}']);
+  });
+
+  it('protects listed inline tags, keeping code elements whole', () => {
+    const { text, placeholders } = protectPlaceholders('Click <g id="1">here</g> <ph id="2">&lt;br/&gt;</ph><x id="3"/>', {
+      tags: ['g', 'ph', 'x'],
+    });
+    expect(text).toBe('Click ⟦0⟧here⟦1⟧ ⟦2⟧⟦3⟧');
+    expect(placeholders).toEqual(['<g id="1">', '</g>', '<ph id="2">&lt;br/&gt;</ph>', '<x id="3"/>']);
+  });
+});
+
+describe('withPlaceholderProtection', () => {
+  function jsonResponse(body) {
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+  }
+
+  it('hides placeholders from the translator and flags languages that lost one', async () => {
+    let seen;
+    const translate = withPlaceholderProtection(async (request) => {
+      seen = await request.json();
+      return jsonResponse({ spa: 'Hola ⟦0⟧', fra: 'Bonjour', metadata: {} });
+    });
+
+    const res = await translate({ json: async () => ({ text: 'Hello {name}', tgt_langs: ['spa', 'fra'] }) }, {});
+    const body = await res.json();
+    expect(seen.text).toBe('Hello ⟦0⟧');
+    expect(body.spa).toBe('Hola {name}');
+    expect(body.errors.placeholder_mismatches).toEqual([{ lang: 'fra', missing: ['{name}'] }]);
+  });
+
+  it('restores batch results by id', async () => {
+    const translate = withPlaceholderProtection(async (request) => {
+      const { texts } = await request.json();
+      return jsonResponse({ results: { a: { spa: texts[0].text.replace('Hi', 'Hola') } } });
+    });
+
+    const res = await translate({ json: async () => ({ texts: [{ id: 'a', text: 'Hi %s' }], tgt_langs: ['spa'] }) }, {});
+    expect((await res.json()).results).toEqual({ a: { spa: 'Hola %s' } });
+  });
+});
@@ -0,0 +1,32 @@
+// CLDR plural categories, used by the Android and Apple resource formats.
+//
+// Source files carry the forms of the source language (`one`/`other` for English); a target
+// language may need more (`few`, `many`) or fewer (`other` only). Each target form is filled from
+// the source form of the same category, or from `other`.
+import { getISO2ForModel } from './language_codes.js';
+
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Plural categories of an ISO 639-3 language, in CLDR order.
+ */
+export function pluralCategoriesFor(lang) {
+    try {
+        const categories = new Intl.PluralRules(getISO2ForModel(lang) || lang).resolvedOptions().pluralCategories;
+        return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+    } catch (e) {
+        return ['one', 'other'];
+    }
+}
+
+/**
+ * Map translated source forms (`{ one, other }`) onto a target language's categories.
+ * @returns {Object|null} null when the `other` form is missing
+ */
+export function pluralFormsForLanguage(forms, lang) {
+    if (forms.other === undefined) return null;
+    return Object.fromEntries(pluralCategoriesFor(lang).map(category => [
+        category,
+        forms[category] !== undefined ? forms[category] : forms.other,
+    ]));
+}
@@ -0,0 +1,237 @@
+// Gettext PO/POT files for POST /files/po (and /files/pot).
+//
+// Entries keep their comments, flags, msgctxt and plural forms. Only untranslated entries are
+// sent to the translators; `msgctxt` goes along as context, and every machine-filled entry is
+// flagged `fuzzy` so a translator reviews it. Entries that don't change are written back exactly
+// as they were read.
+import pluralForms from './plural-forms.json';
+import { getISO2ForModel, canonicalLanguage } from './language_codes.js';
+import { baseLanguage } from './language_tags.js';
+
+const KEYWORD = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")\s*$/;
+
+function unquote(quoted) {
+    return quoted.slice(1, -1).replace(/\\(["\\nrt])/g, (_, char) =>
+        ({ n: '\n', r: '\r', t: '\t' })[char] || char);
+}
+
+function quote(text) {
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`;
+}
+
+// `msgid "text"`, split after each newline like xgettext does for multi-line strings
+function field(keyword, text) {
+    const lines = text.split(/(?<=\n)/);
+    if (lines.length <= 1) return [`${keyword} ${quote(text)}`];
+    return [`${keyword} ""`, ...lines.map(quote)];
+}
+
+function newEntry() {
+    return { comments: [], flags: null, msgctxt: null, msgid: null, msgid_plural: null, msgstr: [], raw: [], obsolete: false };
+}
+
+/**
+ * Parse PO/POT text into entries.
+ * @returns {Array<Object>} entries with `comments` (raw comment lines except flags), `flags`,
+ *   `msgctxt`, `msgid`, `msgid_plural`, `msgstr` (array; index n is msgstr[n]) and the `raw` lines
+ */
+export function parsePo(text) {
+    const entries = [];
+    let entry = newEntry();
+    let current = null; // [field, index] that continuation lines append to
+
+    function finish() {
+        if (entry.raw.some(line => line.trim())) entries.push(entry);
+        entry = newEntry();
+        current = null;
+    }
+
+    for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            finish();
+            continue;
+        }
+        // A comment or a new msgctxt/msgid after a msgstr starts the next entry
+        const startsEntry = trimmed.startsWith('#') || /^(msgctxt|msgid)\s/.test(trimmed);
+        if (startsEntry && entry.msgstr.length && !trimmed.startsWith('#~')) finish();
+
+        entry.raw.push(line);
+        if (trimmed.startsWith('#~')) {
+            entry.obsolete = true;
+        } else if (trimmed.startsWith('#,')) {
+            entry.flags = trimmed.slice(2).split(',').map(flag => flag.trim()).filter(Boolean);
+            entry.comments.push(null); // keeps the flags line's position
+        } else if (trimmed.startsWith('#')) {
+            entry.comments.push(line);
+        } else if (trimmed.startsWith('"') && current) {
+            const [name, index] = current;
+            if (name === 'msgstr') entry.msgstr[index] += unquote(trimmed);
+            else entry[name] += unquote(trimmed);
+        } else {
+            const match = trimmed.match(KEYWORD);
+            if (!match) throw new Error(`Unexpected line in PO file: ${trimmed}`);
+            const [, keyword, pluralIndex, value] = match;
+            if (keyword.startsWith('msgstr')) {
+                const index = pluralIndex === undefined ? 0 : Number(pluralIndex);
+                entry.msgstr[index] = unquote(value);
+                current = ['msgstr', index];
+            } else {
+                entry[keyword] = unquote(value);
+                current = [keyword, null];
+            }
+        }
+    }
+    finish();
+    return entries;
+}
+
+/**
+ * Write one entry. Unchanged entries are returned as their original lines.
+ */
+export function serializePoEntry(entry) {
+    if (!entry.changed) return entry.raw.join('\n');
+
+    const lines = [];
+    for (const comment of entry.comments) {
+        // null marks where the `#,` flags line goes
+        if (comment !== null) lines.push(comment);
+        else if (entry.flags?.length) lines.push(`#, ${entry.flags.join(', ')}`);
+    }
+
+    if (entry.msgctxt !== null) lines.push(...field('msgctxt', entry.msgctxt));
+    lines.push(...field('msgid', entry.msgid));
+    if (entry.msgid_plural !== null) {
+        lines.push(...field('msgid_plural', entry.msgid_plural));
+        entry.msgstr.forEach((text, index) => lines.push(...field(`msgstr[${index}]`, text ?? '')));
+    } else {
+        lines.push(...field('msgstr', entry.msgstr[0] ?? ''));
+    }
+    return lines.join('\n');
+}
+
+function isHeader(entry) {
+    return entry.msgid === '' && entry.msgctxt === null && !entry.obsolete;
+}
+
+function isUntranslated(entry) {
+    return !entry.obsolete && entry.msgid !== null && !isHeader(entry)
+        && !entry.msgstr.some(text => text);
+}
+
+/**
+ * `Plural-Forms` header value for a language, as submitted (`ru`, `rus`, `pt-BR`); the table is
+ * keyed by ISO 639-3 and variants use their language's forms.
+ */
+export function pluralFormsFor(lang) {
+    return pluralForms[baseLanguage(canonicalLanguage(lang) || lang)] || pluralForms.default;
+}
+
+function nplurals(lang) {
+    return Number(pluralFormsFor(lang).match(/nplurals=(\d+)/)[1]);
+}
+
+// Set (or add) header fields in a header msgstr, keeping the order of the existing ones
+function updateHeader(msgstr, fields) {
+    const lines = msgstr.split('\n').filter(Boolean);
+    for (const [name, value] of Object.entries(fields)) {
+        const index = lines.findIndex(line => line.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+        if (index === -1) lines.push(`${name}: ${value}`);
+        else lines[index] = `${name}: ${value}`;
+    }
+    return lines.map(line => `${line}\n`).join('');
+}
+
+// Entries without flags get a flags line after the other comments but before `#|` ones
+function withFlagsSlot(comments) {
+    const previous = comments.findIndex(comment => comment.trim().startsWith('#|'));
+    if (previous === -1) return [...comments, null];
+    return [...comments.slice(0, previous), null, ...comments.slice(previous)];
+}
+
+function headerFields(lang) {
+    return {
+        'Content-Type': 'text/plain; charset=UTF-8',
+        Language: getISO2ForModel(lang) || lang,
+        'Plural-Forms': pluralFormsFor(lang),
+    };
+}
+
+/**
+ * Parse a /files/po request into segments.
+ * Singular entries become one segment (`<n>`); plural entries two (`<n>` and `<n>:plural`).
+ * @param {{document: string}} data
+ */
+export function parsePoDocument(data) {
+    if (typeof data.document !== 'string' || !data.document.trim()) {
+        return { segments: [], error: "'document' must be the PO/POT file contents as a string." };
+    }
+
+    let entries;
+    try {
+        entries = parsePo(data.document);
+    } catch (error) {
+        return { segments: [], error: error.message };
+    }
+
+    const segments = [];
+    entries.forEach((entry, index) => {
+        if (!isUntranslated(entry) || !entry.msgid.trim()) return;
+        const context = entry.msgctxt ? { context: entry.msgctxt } : {};
+        segments.push({ id: String(index), text: entry.msgid, ...context });
+        if (entry.msgid_plural !== null) {
+            segments.push({ id: `${index}:plural`, text: entry.msgid_plural, ...context });
+        }
+    });
+    return { segments, entries };
+}
+
+/**
+ * Write the PO file for one target language: fill the translated entries, flag them fuzzy and
+ * set the Language and Plural-Forms headers.
+ */
+export function buildPoDocument(parsed, translations, lang) {
+    const forms = nplurals(lang);
+
+    const entries = parsed.entries.map((entry, index) => {
+        if (isHeader(entry)) {
+            return {
+                ...entry,
+                changed: true,
+                // POT headers are usually fuzzy, and msgfmt ignores a fuzzy header
+                flags: entry.flags?.filter(flag => flag !== 'fuzzy') ?? null,
+                msgstr: [updateHeader(entry.msgstr[0] || '', headerFields(lang))],
+            };
+        }
+
+        const singular = translations[String(index)];
+        if (!isUntranslated(entry) || typeof singular !== 'string') return entry;
+
+        let msgstr = [singular];
+        if (entry.msgid_plural !== null) {
+            const plural = translations[`${index}:plural`];
+            if (typeof plural !== 'string') return entry;
+            // Languages with a single form use the plural text; the rest get the singular first
+            msgstr = forms === 1 ? [plural] : [singular, ...Array(forms - 1).fill(plural)];
+        }
+
+        const flags = entry.flags || [];
+        return {
+            ...entry,
+            changed: true,
+            comments: entry.flags === null ? withFlagsSlot(entry.comments) : entry.comments,
+            flags: flags.includes('fuzzy') ? flags : ['fuzzy', ...flags],
+            msgstr,
+        };
+    });
+
+    const hasHeader = entries.some(isHeader);
+    const header = hasHeader ? [] : [serializePoEntry({
+        ...newEntry(),
+        changed: true,
+        msgid: '',
+        msgstr: [updateHeader('', headerFields(lang))],
+    })];
+
+    return [...header, ...entries.map(serializePoEntry)].join('\n\n') + '\n';
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { parsePo, parsePoDocument, buildPoDocument, pluralFormsFor } from './po_file.js';
+import { handleFilesRequest } from './files.js';
+
+const POT = `# Example project
+#, fuzzy
+msgid ""
+msgstr ""
+"Project-Id-Version: example 1.0\\n"
+"Content-Type: text/plain; charset=CHARSET\\n"
+
+#: src/app.js:10
+msgid "Open"
+msgstr ""
+
+#. Shown on the inbox button
+#: src/inbox.js:4
+#, c-format
+msgctxt "inbox"
+msgid "%d new message"
+msgid_plural "%d new messages"
+msgstr[0] ""
+msgstr[1] ""
+
+msgid "Already done"
+msgstr "Ya hecho"
+
+#~ msgid "Old"
+#~ msgstr "Viejo"
+`;
+
+describe('parsePo', () => {
+  it('reads comments, flags, context and plural forms', () => {
+    const entries = parsePo(POT);
+    expect(entries).toHaveLength(5);
+    expect(entries[0].msgstr[0]).toContain('Project-Id-Version: example 1.0\n');
+    expect(entries[2]).toMatchObject({
+      msgctxt: 'inbox',
+      msgid: '%d new message',
+      msgid_plural: '%d new messages',
+      flags: ['c-format'],
+      msgstr: ['', ''],
+    });
+    expect(entries[4].obsolete).toBe(true);
+  });
+
+  it('only sends untranslated entries, with msgctxt as context', () => {
+    const { segments } = parsePoDocument({ document: POT });
+    expect(segments).toEqual([
+      { id: '1', text: 'Open' },
+      { id: '2', text: '%d new message', context: 'inbox' },
+      { id: '2:plural', text: '%d new messages', context: 'inbox' },
+    ]);
+  });
+});
+
+describe('buildPoDocument', () => {
+  const parsed = parsePoDocument({ document: POT });
+  const translations = { 1: 'Otevřít', 2: '%d nová zpráva', '2:plural': '%d nových zpráv' };
+
+  it('fills entries as fuzzy and writes one msgstr per plural form of the language', () => {
+    const po = buildPoDocument(parsed, translations, 'ces');
+    expect(po).toContain(`"Plural-Forms: ${pluralFormsFor('ces')}\\n"`);
+    expect(po).toContain('"Language: cs\\n"');
+    expect(po).toContain('#: src/app.js:10\n#, fuzzy\nmsgid "Open"\nmsgstr "Otevřít"');
+    expect(po).toContain('#, fuzzy, c-format\nmsgctxt "inbox"');
+    expect(po).toContain('msgstr[0] "%d nová zpráva"\nmsgstr[1] "%d nových zpráv"\nmsgstr[2] "%d nových zpráv"');
+    // Untouched entries are written back as they were
+    expect(po).toContain('msgid "Already done"\nmsgstr "Ya hecho"');
+    expect(po).toContain('#~ msgid "Old"\n#~ msgstr "Viejo"');
+    // The header is no longer fuzzy
+    expect(po.startsWith('# Example project\nmsgid ""')).toBe(true);
+  });
+
+  it('looks up the plural forms of two-letter codes and variants', () => {
+    expect(pluralFormsFor('ru')).toBe(pluralFormsFor('rus'));
+    expect(pluralFormsFor('ru')).toMatch(/^nplurals=3;/);
+    expect(pluralFormsFor('fr-CA')).toBe(pluralFormsFor('fra'));
+    const po = buildPoDocument(parsed, translations, 'cs');
+    expect(po).toContain('msgstr[0] "%d nová zpráva"\nmsgstr[1] "%d nových zpráv"\nmsgstr[2] "%d nových zpráv"');
+  });
+
+  it('uses a single plural form for languages without plurals', () => {
+    const po = buildPoDocument(parsed, { ...translations, '2:plural': '%d件の新着メッセージ' }, 'jpn');
+    expect(po).toContain('"Plural-Forms: nplurals=1; plural=0;\\n"');
+    expect(po).toContain('msgstr[0] "%d件の新着メッセージ"\n\nmsgid "Already done"');
+  });
+});
+
+describe('POST /files/po', () => {
+  it('returns a PO file per target language', async () => {
+    const env = {
+      AI: {
+        run: async (model, params) => params.requests
+          ? params.requests.map((r) => ({ translated_text: `[${r.target_lang}] ${r.text}` }))
+          : { translated_text: `[${params.target_lang}] ${params.text}` },
+      },
+    };
+    const request = { json: async () => ({ document: POT, src_lang: 'eng', tgt_langs: ['spa'], translators: ['m2m'] }) };
+    const body = await (await handleFilesRequest(request, env, 'pot')).json();
+
+    expect(body.documents.spa).toContain('msgid "Open"\nmsgstr "[es] Open"');
+    expect(body.documents.spa).toContain('msgstr[0] "[es] %d new message"\nmsgstr[1] "[es] %d new messages"');
+    expect(body.metadata.segments).toBe(3);
+  });
+});
@@ -0,0 +1,73 @@
+// SRT and WebVTT subtitles for POST /files/subtitles.
+//
+// Cue numbers, identifiers, timestamps and VTT cue settings are copied as they are; only the cue
+// text is translated. Sentences often run across cues, so consecutive cues are grouped into
+// scenes and every cue of a scene gets the scene's text as context. Sharing one context per scene
+// (rather than one per cue) keeps the cues batchable for DeepL, which takes a single context per
+// request. VTT header, NOTE, STYLE and REGION blocks are copied unchanged.
+
+// Cues per scene
+export const SCENE_SIZE = 10;
+
+// Cue text markup: SRT <i>/<b>/<u>/<font>, VTT <v Speaker>, <c.class>, <lang>, <ruby>/<rt>
+export const SUBTITLE_INLINE_TAGS = ['i', 'b', 'u', 'font', 'v', 'c', 'lang', 'ruby', 'rt'];
+
+const TIMING = /-->/;
+
+/**
+ * Split subtitle text into blocks; cues are `{ cue: true, header: string[], text: string }`
+ * where `header` holds the identifier (if any) and timing lines.
+ */
+export function parseSubtitles(text) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+    const format = /^WEBVTT(?:\s|$)/.test(normalized) ? 'vtt' : 'srt';
+    const blocks = normalized.split(/\n[ \t]*\n+/).map((block, index) => {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => TIMING.test(line));
+        if (timing === -1 || timing > 1 || (format === 'vtt' && index === 0)) return { cue: false, raw: block };
+        return { cue: true, header: lines.slice(0, timing + 1), text: lines.slice(timing + 1).join('\n') };
+    });
+    return { format, blocks };
+}
+
+/**
+ * Parse a /files/subtitles request into segments, one per cue with text (id `<n>` for the nth cue).
+ * @param {{document: string}} data
+ */
+export function parseSubtitlesDocument(data) {
+    if (typeof data.document !== 'string' || !data.document.trim()) {
+        return { segments: [], error: "'document' must be the SRT or WebVTT file contents as a string." };
+    }
+    const { format, blocks } = parseSubtitles(data.document);
+    const cues = blocks.filter(block => block.cue);
+    if (!cues.length) return { segments: [], error: 'No subtitle cues found; expected SRT or WebVTT.' };
+
+    const segments = [];
+    for (let start = 0; start < cues.length; start += SCENE_SIZE) {
+        const scene = cues.slice(start, start + SCENE_SIZE);
+        // The scene plus the cue on either side of it, one cue per line
+        const context = cues.slice(Math.max(0, start - 1), start + SCENE_SIZE + 1)
+            .map(({ text }) => text.replace(/\n/g, ' '))
+            .filter(text => text.trim())
+            .join('\n');
+        scene.forEach(({ text }, offset) => {
+            if (text.trim()) segments.push({ id: String(start + offset), text, context });
+        });
+    }
+    return { segments, format, blocks, options: { protect_tags: SUBTITLE_INLINE_TAGS } };
+}
+
+/**
+ * Write the subtitles for one target language. Cues without a translation keep their source text.
+ */
+export function buildSubtitlesDocument(parsed, translations) {
+    let cueIndex = 0;
+    const blocks = parsed.blocks.map(block => {
+        if (!block.cue) return block.raw;
+        const translated = translations[String(cueIndex++)];
+        // A blank line would end the cue early
+        const text = typeof translated === 'string' ? translated.trim().replace(/\n[ \t]*\n+/g, '\n') : block.text;
+        return [...block.header, ...(text ? [text] : [])].join('\n');
+    });
+    return `${blocks.join('\n\n')}\n`;
+}
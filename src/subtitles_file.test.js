@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { parseSubtitlesDocument, buildSubtitlesDocument, SCENE_SIZE } from './subtitles_file.js';
+import { handleFilesRequest } from './files.js';
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,500
+Welcome to the course,
+
+2
+00:00:03,600 --> 00:00:06,000
+where we <i>learn</i> together.
+`;
+
+const VTT = `WEBVTT - Lesson 1
+
+NOTE recorded in 2024
+
+intro
+00:00:01.000 --> 00:00:03.500 align:start position:10%
+<v Ana>Hello there!
+
+00:00:04.000 --> 00:00:06.000
+Second cue
+on two lines
+`;
+
+describe('parseSubtitlesDocument', () => {
+  it('makes one segment per SRT cue with the surrounding scene as context', () => {
+    const { segments, format } = parseSubtitlesDocument({ document: SRT });
+    expect(format).toBe('srt');
+    expect(segments).toEqual([
+      { id: '0', text: 'Welcome to the course,', context: 'Welcome to the course,\nwhere we <i>learn</i> together.' },
+      { id: '1', text: 'where we <i>learn</i> together.', context: 'Welcome to the course,\nwhere we <i>learn</i> together.' },
+    ]);
+  });
+
+  it('groups cues into scenes that overlap by one cue', () => {
+    const cues = Array.from({ length: SCENE_SIZE + 2 }, (_, i) =>
+      `${i + 1}\n00:00:${String(i).padStart(2, '0')},000 --> 00:00:${String(i).padStart(2, '0')},900\nLine ${i}`);
+    const { segments } = parseSubtitlesDocument({ document: cues.join('\n\n') });
+    expect(new Set(segments.map(({ context }) => context)).size).toBe(2);
+    expect(segments[SCENE_SIZE].context.split('\n')[0]).toBe(`Line ${SCENE_SIZE - 1}`);
+  });
+
+  it('rejects documents without cues', () => {
+    expect(parseSubtitlesDocument({ document: 'just text' }).error).toMatch(/No subtitle cues/);
+  });
+});
+
+describe('buildSubtitlesDocument', () => {
+  it('keeps VTT headers, notes, identifiers, timing and cue settings', () => {
+    const parsed = parseSubtitlesDocument({ document: VTT });
+    expect(parsed.format).toBe('vtt');
+    const output = buildSubtitlesDocument(parsed, { 0: '<v Ana>¡Hola!', 1: 'Segunda línea\n\nen dos' });
+    expect(output).toBe(`WEBVTT - Lesson 1
+
+NOTE recorded in 2024
+
+intro
+00:00:01.000 --> 00:00:03.500 align:start position:10%
+<v Ana>¡Hola!
+
+00:00:04.000 --> 00:00:06.000
+Segunda línea
+en dos
+`);
+  });
+});
+
+describe('POST /files/subtitles', () => {
+  it('translates all cues in one batch per language', async () => {
+    const calls = [];
+    const env = {
+      AI: {
+        run: async (model, params) => {
+          calls.push(params);
+          return params.requests.map((r) => ({ translated_text: `${r.target_lang}:${r.text}` }));
+        },
+      },
+    };
+    const request = { json: async () => ({ document: SRT, src_lang: 'eng', tgt_langs: ['spa'], translators: ['m2m'] }) };
+    const body = await (await handleFilesRequest(request, env, 'subtitles')).json();
+
+    expect(calls).toHaveLength(1);
+    expect(body.documents.spa).toBe(`1
+00:00:01,000 --> 00:00:03,500
+es:Welcome to the course,
+
+2
+00:00:03,600 --> 00:00:06,000
+es:where we <i>learn</i> together.
+`);
+  });
+});
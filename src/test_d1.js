@@ -0,0 +1,80 @@
+// D1 binding for tests: an in-memory SQLite database (sql.js) with every migration in migrations/
+// applied, behind the part of the D1 API the worker uses (prepare/bind/first/all/run and batch).
+// Statements run against real SQL, so wrong column names or a missing migration fail the tests.
+import initSqlJs from "sql.js";
+import { readdirSync, readFileSync } from "node:fs";
+
+const MIGRATIONS_DIR = new URL("../migrations/", import.meta.url);
+
+const SQL = await initSqlJs();
+
+const migrations = readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith(".sql"))
+  .sort()
+  .map((file) => readFileSync(new URL(file, MIGRATIONS_DIR), "utf8"));
+
+// D1 rejects `undefined` and stores booleans as integers
+function toSqlValue(value) {
+  if (value === undefined) throw new Error("D1_TYPE_ERROR: Type 'undefined' not supported for value 'undefined'");
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * A fresh database with the migrations applied. `query(sql, ...params)` reads rows directly,
+ * for assertions.
+ */
+export function createTestDB() {
+  const db = new SQL.Database();
+  db.run("PRAGMA foreign_keys = ON");
+  for (const migration of migrations) db.exec(migration);
+
+  function execute(sql, params) {
+    const statement = db.prepare(sql);
+    try {
+      statement.bind(params.map(toSqlValue));
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  function prepare(sql, params = []) {
+    return {
+      bind: (...values) => prepare(sql, values),
+      all: async () => ({ results: execute(sql, params), success: true, meta: { changes: db.getRowsModified() } }),
+      first: async (column) => {
+        const row = execute(sql, params)[0];
+        if (!row) return null;
+        return column === undefined ? row : row[column];
+      },
+      run: async () => {
+        execute(sql, params);
+        return { results: [], success: true, meta: { changes: db.getRowsModified() } };
+      },
+    };
+  }
+
+  // A batch runs as one transaction, like D1's
+  async function batch(statements) {
+    db.run("BEGIN");
+    try {
+      const results = [];
+      for (const statement of statements) results.push(await statement.all());
+      db.run("COMMIT");
+      return results;
+    } catch (error) {
+      db.run("ROLLBACK");
+      throw error;
+    }
+  }
+
+  return {
+    prepare,
+    batch,
+    exec: async (sql) => db.exec(sql),
+    query: (sql, ...params) => execute(sql, params),
+  };
+}
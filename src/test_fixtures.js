@@ -0,0 +1,75 @@
+// Fixtures shared by the tests: request objects, provider credentials and a mocked `fetch` that
+// records what the adapters send to DeepL and Google.
+import { afterEach } from "vitest";
+import { createTestDB } from "./test_d1.js";
+
+export const DEEPL_ENV = {
+  DEEPL_API_KEY: "test-key",
+  DEEPL_API_ENDPOINT: "http://localhost:9999/v2/translate",
+};
+
+export const GOOGLE_ENV = {
+  GOOGLE_CLOUD_PROJECT_ID: "test-project",
+  GOOGLE_TRANSLATE_ACCESS_TOKEN: "test-token",
+};
+
+/**
+ * The part of a Request the handlers read: `json()` and, for query parameters, `url`.
+ */
+export function createRequest(data, url) {
+  return { url, json: async () => data };
+}
+
+/**
+ * A DeepL env with a fresh test database, plus `extra` bindings (e.g. GOOGLE_ENV).
+ */
+export function createEnv(extra = {}) {
+  return { DB: createTestDB(), ...DEEPL_ENV, ...extra };
+}
+
+/**
+ * DeepL and Google responses that translate every text by tagging it with the target language as
+ * the provider spells it (`DE:Hello`, `de:Hello`) after `prefix`.
+ */
+export function taggedTranslations(body, url, prefix = "") {
+  return url.includes("googleapis")
+    ? { translations: body.contents.map((text) => ({ translatedText: `${prefix}${body.targetLanguageCode}:${text}` })) }
+    : { translations: body.text.map((text) => ({ text: `${prefix}${body.target_lang}:${text}` })) };
+}
+
+/**
+ * An `AI` binding whose M2M model translates each text to `translate(text, target_lang)`, in
+ * batch (`requests`) and single calls.
+ */
+export function mockAI(translate = (text, lang) => `${lang}:${text}`) {
+  return {
+    run: async (model, params) => params.requests
+      ? params.requests.map((r) => ({ translated_text: translate(r.text, r.target_lang) }))
+      : { translated_text: translate(params.text, params.target_lang) },
+  };
+}
+
+/**
+ * Replace `fetch` with a mock answering `respond(body, url)` for every JSON request.
+ * @returns {Array<{url: string, body: Object}>} the requests, filled in as they are made
+ */
+export function mockFetch(respond = taggedTranslations) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push({ url, body });
+    const response = respond(body, url);
+    return { ok: true, status: 200, json: async () => response, text: async () => JSON.stringify(response) };
+  };
+  return calls;
+}
+
+/**
+ * Put the real `fetch` back after every test of the calling file.
+ */
+export function restoreFetchAfterEach() {
+  const originalFetch = globalThis.fetch;
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+}
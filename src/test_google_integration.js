@@ -1,4 +1,5 @@
 // Test Google Translate integration in multi translator
+import './translators.js';
 import { assignTranslators } from './lang_utils.js';
 
 // Test language assignment
@@ -0,0 +1,409 @@
+// Translation memory: every translation a provider returns is stored in the `translation_memory`
+// D1 table and served again for the same text.
+//
+// Entries are keyed by the SHA-256 of the normalized source text (with its `context`), the source
+// and target language, the provider and a hash of the options that change a translation (format,
+// glossary, do-not-translate terms, formality, placeholder protection). registerTranslator wraps
+// every adapter with withTranslationMemory, so the per-provider routes only call the provider for
+// the languages it has no entry for and store what comes back. /multi looks up every translator it
+// may route to, serves the languages it finds right away and routes only the missing ones.
+// `metadata.translation_memory` marks each language as "cache" or "live"; `cache: false` on a
+// request skips the memory, `cache: "refresh"` only skips the lookup and stores the new
+// translations (/multi sends it to the translators, having looked them all up already).
+//
+// `fuzzy: true | { threshold, apply_above }` also looks for near-duplicates stored for the same
+// language pair (by the same provider, except on /multi), scored by token-level edit distance:
+// 100 × (1 − tokens inserted or deleted / all tokens of both texts), so "Save changes" matches
+// "Save all changes" at 80%. Matches of at least
+// `threshold` percent come back in `suggestions` next to the machine translation; a language
+// whose texts all match at `apply_above` percent or more, with the request's options, is served
+// from them ("fuzzy").
+// The table is created by migrations/0004_translation_memory.sql and 0005_translation_memory_tokens.sql.
+import { normalizeTexts } from "./batch.js";
+import { checkGlossary } from "./glossaries.js";
+import { missingTerms } from "./do_not_translate.js";
+import { LOOKUP_CHUNK_SIZE, sha256 } from "./d1.js";
+import { jsonResponse, targetLangs } from "./http.js";
+
+export const DEFAULT_FUZZY_THRESHOLD = 75;
+
+const MAX_SUGGESTIONS = 3;
+
+// Stored segments scored per language in a fuzzy lookup, and the longest text (in tokens) that is fuzzy-matched
+const FUZZY_CANDIDATE_LIMIT = 500;
+const MAX_FUZZY_TOKENS = 200;
+
+// Token comparisons (text tokens × candidate tokens, summed) per fuzzy lookup; once they are
+// used up, the remaining texts get no matches
+const MAX_FUZZY_COMPARISONS = 10_000_000;
+
+/**
+ * Whitespace-insensitive form of a source text, in NFC.
+ */
+export function normalizeSourceText(text) {
+  return text.normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+function sourceHash({ text, context }) {
+  return sha256(context ? `${normalizeSourceText(text)}\u0000${context}` : normalizeSourceText(text));
+}
+
+function optionsHash(options) {
+  return sha256(JSON.stringify(options));
+}
+
+/**
+ * Words and punctuation marks of a text, lower-cased.
+ */
+export function tokenize(text) {
+  return normalizeSourceText(text).toLowerCase().match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+/**
+ * Fuzzy match percentage of two token lists (100 only for identical lists).
+ */
+export function matchScore(a, b) {
+  if (!a.length && !b.length) return 100;
+  // Longest common subsequence; the tokens outside it are the insertions and deletions
+  let previous = new Array(b.length + 1).fill(0);
+  for (const token of a) {
+    const current = [0];
+    for (let j = 0; j < b.length; j++) {
+      current.push(token === b[j] ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    }
+    previous = current;
+  }
+  return Math.floor((200 * previous[b.length]) / (a.length + b.length));
+}
+
+/**
+ * Validate a request's `fuzzy` field.
+ * @returns {{fuzzy: {threshold: number, apply_above: number|null}|null, error: string|null}}
+ */
+export function normalizeFuzzy(fuzzy) {
+  if (fuzzy === undefined || fuzzy === null || fuzzy === false) return { fuzzy: null, error: null };
+  if (fuzzy !== true && (typeof fuzzy !== "object" || Array.isArray(fuzzy))) {
+    return { fuzzy: null, error: "'fuzzy' must be true or an object with 'threshold' and 'apply_above'." };
+  }
+  const { threshold = DEFAULT_FUZZY_THRESHOLD, apply_above = null } = fuzzy === true ? {} : fuzzy;
+  const isPercentage = (value) => typeof value === "number" && value > 0 && value <= 100;
+  if (!isPercentage(threshold)) {
+    return { fuzzy: null, error: "'fuzzy.threshold' must be a percentage between 1 and 100." };
+  }
+  if (apply_above !== null && (!isPercentage(apply_above) || apply_above < threshold)) {
+    return { fuzzy: null, error: "'fuzzy.apply_above' must be a percentage between 'fuzzy.threshold' and 100." };
+  }
+  return { fuzzy: { threshold, apply_above }, error: null };
+}
+
+/**
+ * The options of a translate request that change its translations, with defaults filled in.
+ */
+export function memoryOptions(data) {
+  return {
+    format: data.format || "text",
+    glossary_id: data.glossary_id ?? null,
+    do_not_translate: Array.isArray(data.do_not_translate) ? [...data.do_not_translate].sort() : [],
+    formality: data.formality || "default",
+    protect_placeholders: data.protect_placeholders !== false,
+    protect_tags: Array.isArray(data.protect_tags) ? data.protect_tags : [],
+  };
+}
+
+/**
+ * `[{ id, text, context? }]` for a batch request, or one item with id "0" for a single text;
+ * null when the request has no valid text.
+ */
+export function memoryItems(data) {
+  if (data.texts !== undefined) {
+    const { items, error } = normalizeTexts(data.texts);
+    return error ? null : items;
+  }
+  if (typeof data.text !== "string" || !data.text.trim()) return null;
+  return [{ id: "0", text: data.text, ...(typeof data.context === "string" && data.context.trim() ? { context: data.context } : {}) }];
+}
+
+/**
+ * Find stored translations of every item. A language counts as found when one provider has all
+ * of its texts; the first such provider in `providers` order is used.
+ * @returns {Promise<Object<string, {provider: string, origin: "cache", translations: Object<string, string>}>>}
+ *   `{ <lang>: { provider, origin, translations: { <item id>: text } } }`
+ */
+export async function lookupTranslations(env, { items, src_lang, tgt_langs, options, providers }) {
+  if (!env.DB || !src_lang || !items?.length || !tgt_langs.length) return {};
+  try {
+    const hashes = await Promise.all(items.map(sourceHash));
+    const options_hash = await optionsHash(options);
+    const uniqueHashes = [...new Set(hashes)];
+
+    // { <lang>: { <provider>: { <hash>: translation } } }
+    const found = {};
+    for (let i = 0; i < uniqueHashes.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = uniqueHashes.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const { results: rows = [] } = await env.DB
+        .prepare(
+          `SELECT source_hash, tgt_lang, provider, translation FROM translation_memory WHERE src_lang = ? AND options_hash = ? AND source_hash IN (${chunk.map(() => "?").join(", ")})`,
+        )
+        .bind(src_lang, options_hash, ...chunk)
+        .all();
+      for (const row of rows) {
+        if (typeof row.translation !== "string" || !tgt_langs.includes(row.tgt_lang)) continue;
+        ((found[row.tgt_lang] ||= {})[row.provider] ||= {})[row.source_hash] = row.translation;
+      }
+    }
+
+    const cached = {};
+    for (const lang of tgt_langs) {
+      const provider = providers.find((name) => hashes.every((hash) => found[lang]?.[name]?.[hash] !== undefined));
+      if (!provider) continue;
+      cached[lang] = {
+        provider,
+        origin: "cache",
+        translations: Object.fromEntries(items.map((item, index) => [item.id, found[lang][provider][hashes[index]]])),
+      };
+    }
+    return cached;
+  } catch (e) {
+    console.warn("Could not read the translation memory:", e.message);
+    return {};
+  }
+}
+
+/**
+ * Find stored segments of the same language pair that match the items by at least `threshold`
+ * percent, best first, whichever options they were translated with and, unless `providers` is
+ * given, whichever provider. Matches stored with `options` are marked `sameOptions` and come first
+ * among equal scores.
+ * @returns {Promise<Object<string, Object<string, Array<{source_text: string, translation: string, provider: string, match: number, sameOptions: boolean}>>>>}
+ *   `{ <lang>: { <item id>: [match] } }`
+ */
+export async function fuzzyMatches(env, { items, src_lang, tgt_langs, threshold, options, providers }) {
+  if (!env.DB || !src_lang || !items?.length || !tgt_langs.length) return {};
+  try {
+    const tokens = items.map((item) => tokenize(item.text));
+    const counts = tokens.map((list) => list.length).filter((count) => count > 0 && count <= MAX_FUZZY_TOKENS);
+    if (!counts.length) return {};
+    // A text of n tokens can only match one of m tokens at t% when m / n lies between t / (200 - t) and its inverse
+    const ratio = threshold / (200 - threshold);
+    const minTokens = Math.ceil(Math.min(...counts) * ratio);
+    const maxTokens = Math.floor(Math.max(...counts) / ratio);
+    // Segments closest in length to the middle text are scored first, newest first among those
+    const middleCount = [...counts].sort((a, b) => a - b)[Math.floor(counts.length / 2)];
+    const options_hash = options ? await optionsHash(options) : null;
+    const providerFilter = providers ? ` AND provider IN (${providers.map(() => "?").join(", ")})` : "";
+
+    // { <lang>: [candidate] }
+    const candidates = {};
+    for (const lang of tgt_langs) {
+      const { results: rows = [] } = await env.DB
+        .prepare(
+          `SELECT source_text, provider, options_hash, translation FROM translation_memory WHERE src_lang = ? AND tgt_lang = ? AND token_count BETWEEN ? AND ?${providerFilter} ORDER BY ABS(token_count - ?), created_at DESC, source_hash, provider, options_hash LIMIT ${FUZZY_CANDIDATE_LIMIT}`,
+        )
+        .bind(src_lang, lang, minTokens, maxTokens, ...(providers || []), middleCount)
+        .all();
+      candidates[lang] = rows
+        .filter((row) => typeof row.source_text === "string" && typeof row.translation === "string")
+        .map((row) => ({ ...row, tokens: tokenize(row.source_text) }));
+    }
+
+    const matches = {};
+    let comparisons = 0;
+    for (const [index, item] of items.entries()) {
+      const itemTokens = tokens[index];
+      if (!itemTokens.length || itemTokens.length > MAX_FUZZY_TOKENS) continue;
+      for (const lang of tgt_langs) {
+        const found = [];
+        for (const candidate of candidates[lang]) {
+          const lengths = [itemTokens.length, candidate.tokens.length];
+          if (Math.min(...lengths) < Math.max(...lengths) * ratio) continue;
+          comparisons += lengths[0] * lengths[1];
+          if (comparisons > MAX_FUZZY_COMPARISONS) {
+            console.warn(`⚠️ Fuzzy lookup stopped after ${MAX_FUZZY_COMPARISONS} token comparisons`);
+            return matches;
+          }
+          const match = matchScore(itemTokens, candidate.tokens);
+          if (match < threshold) continue;
+          const { source_text, translation, provider } = candidate;
+          found.push({ source_text, translation, provider, match, sameOptions: candidate.options_hash === options_hash });
+        }
+        const seen = new Set();
+        const best = found
+          .sort((a, b) => b.match - a.match || b.sameOptions - a.sameOptions)
+          .filter(({ source_text, translation }) => {
+            const key = `${source_text}\u0000${translation}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          })
+          .slice(0, MAX_SUGGESTIONS);
+        if (best.length) (matches[lang] ||= {})[item.id] = best;
+      }
+    }
+    return matches;
+  } catch (e) {
+    console.warn("Could not search the translation memory:", e.message);
+    return {};
+  }
+}
+
+/**
+ * Languages whose every item has a fuzzy match of at least `applyAbove` percent that was stored
+ * with the request's options, translated with the best such matches, in lookupTranslations' shape.
+ */
+export function fuzzyTranslations(matches, items, applyAbove) {
+  const served = {};
+  for (const [lang, byId] of Object.entries(matches)) {
+    const best = items.map((item) => byId[item.id]?.find((match) => match.sameOptions));
+    if (!best.every((match) => match?.match >= applyAbove)) continue;
+    served[lang] = {
+      provider: best[0].provider,
+      origin: "fuzzy",
+      translations: Object.fromEntries(items.map((item, index) => [item.id, best[index].translation])),
+    };
+  }
+  return served;
+}
+
+/**
+ * The `suggestions` of a response: `{ <lang>: [match] }` for a single text,
+ * `{ <item id>: { <lang>: [match] } }` for a batch.
+ */
+export function suggestionsFor(matches, langs, batch) {
+  const suggestions = {};
+  for (const lang of langs) {
+    for (const [id, found] of Object.entries(matches[lang] || {})) {
+      const listed = found.map(({ sameOptions: _sameOptions, ...match }) => match);
+      if (batch) (suggestions[id] ||= {})[lang] = listed;
+      else suggestions[lang] = listed;
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Store translations from one provider.
+ * @param {Object<string, Object<string, string>>} translations - `{ <lang>: { <item id>: text } }`
+ */
+export async function storeTranslations(env, { items, src_lang, provider, options, translations }) {
+  const db = env.DB;
+  if (!db || !src_lang) return;
+  try {
+    const hashes = Object.fromEntries(await Promise.all(items.map(async (item) => [item.id, await sourceHash(item)])));
+    const options_hash = await optionsHash(options);
+    const texts = Object.fromEntries(items.map((item) => [item.id, item.text]));
+    const tokenCounts = Object.fromEntries(items.map((item) => [item.id, tokenize(item.text).length]));
+    const created_at = new Date().toISOString();
+
+    const statements = Object.entries(translations).flatMap(([lang, byId]) =>
+      Object.entries(byId)
+        .filter(([id, translation]) => hashes[id] && typeof translation === "string")
+        .map(([id, translation]) =>
+          db
+            .prepare(
+              "INSERT OR REPLACE INTO translation_memory (source_hash, src_lang, tgt_lang, provider, options_hash, source_text, translation, token_count, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            )
+            .bind(hashes[id], src_lang, lang, provider, options_hash, texts[id], translation, tokenCounts[id], created_at),
+        ),
+    );
+    if (statements.length) await db.batch(statements);
+  } catch (e) {
+    console.warn("Could not write to the translation memory:", e.message);
+  }
+}
+
+// Translations from a response that passed every check: `{ <lang>: { <item id>: text } }`.
+// The glossary and do-not-translate terms are the ones resolved into the request; their reports
+// are added further out.
+function usableTranslations(body, items, langs, { glossary, do_not_translate: terms = [] }) {
+  const rejected = new Set(
+    ["placeholder_mismatches", "failed_translations"].flatMap((field) =>
+      (body.errors?.[field] || []).flatMap((entry) =>
+        entry.ids ? entry.ids.map((id) => `${entry.lang}\u0000${id}`) : [`${entry.lang}\u0000${entry.id ?? "0"}`],
+      ),
+    ),
+  );
+  const violatesGlossary = (lang, text, translation) =>
+    checkGlossary(text, translation, glossary?.terms?.[lang] || []).violated.length > 0;
+
+  const translations = {};
+  for (const lang of langs) {
+    for (const { id, text } of items) {
+      const translation = body.results ? body.results[id]?.[lang] : body[lang];
+      if (typeof translation !== "string" || translation.includes("Error translating")) continue;
+      if (rejected.has(`${lang}\u0000${id}`) || violatesGlossary(lang, text, translation)) continue;
+      if (missingTerms(text, translation, terms).length) continue;
+      (translations[lang] ||= {})[id] = translation;
+    }
+  }
+  return translations;
+}
+
+/**
+ * Wrap a translator's `translate(request, env)` so languages found in the translation memory for
+ * `provider` are served from it, only the others are sent to the provider, and what it returns
+ * is stored. With `fuzzy`, near matches are added as `suggestions` (or served above `apply_above`).
+ */
+export function withTranslationMemory(translate, provider) {
+  return async function translateWithMemory(request, env) {
+    const data = await request.json();
+    const forward = (body) => translate({ json: async () => body, headers: request.headers }, env);
+    const { fuzzy, error } = normalizeFuzzy(data.fuzzy);
+    if (error) {
+      return jsonResponse({ error }, 400);
+    }
+    const items = memoryItems(data);
+    const tgt_langs = targetLangs(data);
+    if (!env.DB || data.cache === false || !items || !tgt_langs.length) return forward(data);
+
+    const options = memoryOptions(data);
+    const refresh = data.cache === "refresh";
+    const cached = refresh
+      ? {}
+      : await lookupTranslations(env, { items, src_lang: data.src_lang, tgt_langs, options, providers: [provider] });
+    let matches = {};
+    if (fuzzy && !refresh) {
+      const uncached = tgt_langs.filter((lang) => !cached[lang]);
+      matches = await fuzzyMatches(env, {
+        items, src_lang: data.src_lang, tgt_langs: uncached, threshold: fuzzy.threshold, options, providers: [provider],
+      });
+      if (fuzzy.apply_above !== null) Object.assign(cached, fuzzyTranslations(matches, items, fuzzy.apply_above));
+    }
+    const missing = tgt_langs.filter((lang) => !cached[lang]);
+
+    let body = { metadata: { src_lang: data.src_lang, translator: provider } };
+    let status = 200;
+    let headers = { "Content-Type": "application/json;charset=UTF-8" };
+    if (missing.length) {
+      const { target_langs: _targets, ...forwardData } = data;
+      const response = await forward({ ...forwardData, tgt_langs: missing });
+      const live = typeof response?.clone === "function"
+        ? await response.clone().json().catch(() => null)
+        : null;
+      if (!live || !response.ok) return response;
+      body = live;
+      status = response.status;
+      headers = response.headers;
+
+      const src_lang = data.src_lang || live.metadata?.src_lang || live.metadata?.detected_source_language;
+      await storeTranslations(env, { items, src_lang, provider, options, translations: usableTranslations(live, items, missing, data) });
+    } else if (!data.texts) {
+      body[data.src_lang] = data.text;
+    }
+
+    for (const [lang, { translations }] of Object.entries(cached)) {
+      if (data.texts !== undefined) {
+        body.results ||= {};
+        for (const [id, text] of Object.entries(translations)) (body.results[id] ||= {})[lang] = text;
+      } else {
+        body[lang] = translations["0"];
+      }
+    }
+    body.metadata = {
+      ...(body.metadata || {}),
+      translation_memory: Object.fromEntries(tgt_langs.map((lang) => [lang, cached[lang]?.origin || "live"])),
+    };
+    const suggestions = suggestionsFor(matches, missing, data.texts !== undefined);
+    if (Object.keys(suggestions).length) body.suggestions = suggestions;
+    return new Response(JSON.stringify(body), { status, headers });
+  };
+}
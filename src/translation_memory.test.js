@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSourceText, matchScore, tokenize, normalizeFuzzy, memoryItems, memoryOptions, storeTranslations } from './translation_memory.js';
+import { getTranslator } from './translators.js';
+import { probeTranslation } from './translator_registry.js';
+import { handleMultiRequest } from './multi_translator.js';
+import { createRequest, createEnv, mockFetch, restoreFetchAfterEach } from './test_fixtures.js';
+
+restoreFetchAfterEach();
+
+describe('translation memory', () => {
+  it('normalizes whitespace in source texts', () => {
+    expect(normalizeSourceText('  Hello \n  world ')).toBe('Hello world');
+  });
+
+  it('only sends a provider the languages it has no entry for', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    const deepl = getTranslator('deepl');
+    await deepl.translate(createRequest({ text: 'Hello', src_lang: 'eng', tgt_langs: ['deu'] }), env);
+
+    const response = await deepl.translate(createRequest({ text: 'Hello ', src_lang: 'eng', tgt_langs: ['deu', 'fra'] }), env);
+    const body = await response.json();
+
+    expect(calls.map(({ body }) => body.target_lang)).toEqual(['DE', 'FR']);
+    expect(body).toMatchObject({ deu: 'DE:Hello', fra: 'FR:Hello ' });
+    expect(body.metadata.translation_memory).toEqual({ deu: 'cache', fra: 'live' });
+    expect(env.DB.query('SELECT COUNT(*) AS n FROM translation_memory')[0].n).toBe(2);
+  });
+
+  it('keeps entries for different options apart and can be skipped', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    const deepl = getTranslator('deepl');
+    await deepl.translate(createRequest({ text: 'Hello', src_lang: 'eng', tgt_langs: ['deu'] }), env);
+    await deepl.translate(createRequest({ text: 'Hello', src_lang: 'eng', tgt_langs: ['deu'], formality: 'formal' }), env);
+    await deepl.translate(createRequest({ text: 'Hello', src_lang: 'eng', tgt_langs: ['deu'], cache: false }), env);
+
+    expect(calls).toHaveLength(3);
+    expect(env.DB.query('SELECT COUNT(*) AS n FROM translation_memory')[0].n).toBe(2);
+  });
+
+  it('serves cached languages in /multi and routes only the missing ones', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    const lookups = [];
+    const { prepare } = env.DB;
+    env.DB.prepare = (sql) => {
+      if (sql.startsWith('SELECT') && sql.includes('FROM translation_memory')) lookups.push(sql);
+      return prepare(sql);
+    };
+    const request = (tgt_langs) => createRequest({
+      texts: [{ id: 'a', text: 'Hello' }, { id: 'b', text: 'Bye' }],
+      src_lang: 'eng',
+      tgt_langs,
+      translators: ['deepl'],
+    });
+    await handleMultiRequest(request(['deu']), env);
+
+    const body = await (await handleMultiRequest(request(['deu', 'spa']), env)).json();
+
+    expect(calls.map(({ body }) => body.target_lang)).toEqual(['DE', 'ES']);
+    expect(body.results).toEqual({
+      a: { deu: 'DE:Hello', spa: 'ES:Hello' },
+      b: { deu: 'DE:Bye', spa: 'ES:Bye' },
+    });
+    expect(body.metadata.translators).toEqual({ deu: 'deepl', spa: 'deepl' });
+    expect(body.metadata.translation_memory).toEqual({ deu: 'cache', spa: 'live' });
+    // Looked up once per /multi request, but stored by the translator
+    expect(lookups).toHaveLength(2);
+    expect(env.DB.query('SELECT COUNT(*) AS n FROM translation_memory')[0].n).toBe(4);
+  });
+});
+
+describe('/status probes', () => {
+  it('reach the provider every time', async () => {
+    const env = createEnv();
+    mockFetch();
+    const deepl = getTranslator('deepl');
+
+    expect(await probeTranslation(deepl, env)).toMatchObject({ status: 'success', translation: 'ES:Hello world' });
+    globalThis.fetch = async () => ({ ok: false, status: 503, json: async () => ({}), text: async () => 'Service Unavailable' });
+    expect((await probeTranslation(deepl, env)).status).toBe('error');
+  });
+});
+
+describe('fuzzy translation memory matches', () => {
+  it('scores texts by token-level edit distance', () => {
+    expect(matchScore(tokenize('Save changes'), tokenize('Save all changes'))).toBe(80);
+    expect(matchScore(tokenize('Save changes'), tokenize('save  changes'))).toBe(100);
+    expect(matchScore(tokenize('Save changes'), tokenize('Delete changes'))).toBe(50);
+  });
+
+  it('validates the request field', () => {
+    expect(normalizeFuzzy(true).fuzzy).toEqual({ threshold: 75, apply_above: null });
+    expect(normalizeFuzzy({ threshold: 90, apply_above: 80 }).error).toMatch(/apply_above/);
+    expect(normalizeFuzzy('yes').error).toMatch(/'fuzzy' must be/);
+  });
+
+  it('returns near matches as suggestions next to the machine translation', async () => {
+    const env = createEnv();
+    mockFetch();
+    const deepl = getTranslator('deepl');
+    await deepl.translate(createRequest({ text: 'Save all changes', src_lang: 'eng', tgt_langs: ['deu'] }), env);
+
+    const response = await deepl.translate(createRequest({ text: 'Save changes', src_lang: 'eng', tgt_langs: ['deu'], fuzzy: true }), env);
+    const body = await response.json();
+
+    expect(body.deu).toBe('DE:Save changes');
+    expect(body.suggestions).toEqual({
+      deu: [{ source_text: 'Save all changes', translation: 'DE:Save all changes', provider: 'deepl', match: 80 }],
+    });
+    expect(body.metadata.translation_memory).toEqual({ deu: 'live' });
+  });
+
+  it('serves /multi languages from matches above apply_above', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    const request = (text, fuzzy) => createRequest({ text, src_lang: 'eng', tgt_langs: ['deu', 'fra'], translators: ['deepl'], fuzzy });
+    await handleMultiRequest(createRequest({ text: 'Save all changes now, please', src_lang: 'eng', tgt_langs: ['deu'], translators: ['deepl'] }), env);
+    await handleMultiRequest(createRequest({ text: 'Save all changes now', src_lang: 'eng', tgt_langs: ['fra'], translators: ['deepl'] }), env);
+    calls.length = 0;
+
+    const body = await (await handleMultiRequest(request('Save all changes now!', { threshold: 70, apply_above: 85 }), env)).json();
+
+    expect(calls.map(({ body }) => body.target_lang)).toEqual(['DE']);
+    expect(body.fra).toBe('FR:Save all changes now');
+    expect(body.metadata.translation_memory).toEqual({ fra: 'fuzzy', deu: 'live' });
+    expect(body.suggestions.deu[0]).toMatchObject({ source_text: 'Save all changes now, please', match: 72 });
+  });
+
+  it('only serves matches stored with the same options above apply_above', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    const deepl = getTranslator('deepl');
+    await deepl.translate(createRequest({ text: 'Save all changes now', src_lang: 'eng', tgt_langs: ['deu'], format: 'html' }), env);
+    calls.length = 0;
+
+    const body = await (await deepl.translate(createRequest({
+      text: 'Save all changes now!', src_lang: 'eng', tgt_langs: ['deu'], fuzzy: { threshold: 70, apply_above: 85 },
+    }), env)).json();
+
+    expect(calls).toHaveLength(1);
+    expect(body.metadata.translation_memory).toEqual({ deu: 'live' });
+    expect(body.suggestions.deu).toEqual([
+      { source_text: 'Save all changes now', translation: 'DE:Save all changes now', provider: 'deepl', match: 88 },
+    ]);
+  });
+  it('only serves and suggests matches stored by the same provider on a provider route', async () => {
+    const env = createEnv();
+    const calls = mockFetch();
+    const stored = { text: 'Save all changes now', src_lang: 'eng', tgt_langs: ['deu'] };
+    await storeTranslations(env, {
+      items: memoryItems(stored),
+      src_lang: 'eng',
+      provider: 'google',
+      options: memoryOptions(stored),
+      translations: { deu: { 0: 'Alle Änderungen jetzt speichern' } },
+    });
+
+    const body = await (await getTranslator('deepl').translate(createRequest({
+      text: 'Save all changes now!', src_lang: 'eng', tgt_langs: ['deu'], fuzzy: { threshold: 70, apply_above: 85 },
+    }), env)).json();
+
+    expect(calls).toHaveLength(1);
+    expect(body.deu).toBe('DE:Save all changes now!');
+    expect(body.metadata.translation_memory).toEqual({ deu: 'live' });
+    expect(body.suggestions).toBeUndefined();
+  });
+});
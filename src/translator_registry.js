@@ -0,0 +1,135 @@
+// Registry of translator adapters.
+//
+// Each provider module registers one adapter describing what it supports and how to call it.
+// Detector-only adapters (no `translate`) are allowed; they are used for detection but never routed to.
+// `/multi`, `/status`, the per-provider routes in index.js and `assignTranslators` are all
+// driven from this registry, so adding a provider means adding one module (and importing it
+// from translators.js).
+import { withPlaceholderProtection } from "./placeholders.js";
+import { withGlossary } from "./glossaries.js";
+import { withDoNotTranslate } from "./do_not_translate.js";
+import { withFormality } from "./formality.js";
+import { withLanguageCodes } from "./language_codes.js";
+import { withTranslationMemory } from "./translation_memory.js";
+import { withCorrections } from "./corrections.js";
+
+/**
+ * @typedef {Object} TranslatorAdapter
+ * @property {string} name - Short identifier, also used as the route (`POST /<name>`)
+ * @property {string} [label] - Human-readable name used in logs
+ * @property {Set<string>} sources - Supported source languages (ISO 639-3)
+ * @property {Set<string>} targets - Supported target languages (ISO 639-3)
+ * @property {Set<string>} [formalityTargets] - Target languages whose register `formality` can set
+ * @property {(tag: string) => string|null} [variantCode] - Provider code for a BCP 47 variant tag
+ *   (`en-GB`), or null when the variant isn't supported (see language_tags.js)
+ * @property {(request: {json: Function}, env: Object) => Promise<Response>} [translate]
+ * @property {(text: string, env: Object) => Promise<any>} [detect] - Optional language detection
+ * @property {number} [detectionWeight] - Weight of this detector's vote in the detection consensus (default 1)
+ * @property {boolean} [detectsViaTranslation] - Detection runs (and pays for) a full translation
+ * @property {boolean} [offline] - Detection needs no network; runs first and may short-circuit the others
+ * @property {(env: Object) => Promise<Object>} [probe] - Health probe used by /status
+ */
+
+const adapters = new Map();
+
+/**
+ * Register a translator adapter. Registering the same name twice replaces the earlier adapter.
+ * @param {TranslatorAdapter} adapter
+ * @returns {TranslatorAdapter}
+ */
+export function registerTranslator(adapter) {
+  if (!adapter?.name || (typeof adapter.translate !== "function" && typeof adapter.detect !== "function")) {
+    throw new Error("Translator adapters need a name and a translate or detect function.");
+  }
+  const registered = {
+    label: adapter.name,
+    sources: new Set(),
+    targets: new Set(),
+    formalityTargets: new Set(),
+    ...adapter,
+  };
+  // Every translate call goes through language code canonicalization, human corrections, glossary
+  // checks, do-not-translate terms, the translation memory, the formality report and placeholder protection,
+  // whichever route it comes from (terms are checked against the restored placeholders, translations
+  // served from the memory get the same checks as live ones, and the memory is keyed by the resolved terms)
+  if (registered.translate) {
+    registered.translate = withLanguageCodes(withCorrections(withGlossary(withDoNotTranslate(withTranslationMemory(withFormality(
+      withPlaceholderProtection(registered.translate),
+      registered.formalityTargets,
+    ), registered.name))), registered.name));
+  }
+  if (!registered.probe && registered.translate) {
+    registered.probe = (env) => probeTranslation(registered, env);
+  }
+  adapters.set(registered.name, registered);
+  return registered;
+}
+
+export function unregisterTranslator(name) {
+  return adapters.delete(name);
+}
+
+export function getTranslator(name) {
+  return adapters.get(name) || null;
+}
+
+/** All registered adapters that can translate, in registration order. */
+export function listTranslators() {
+  return [...adapters.values()].filter((adapter) => typeof adapter.translate === "function");
+}
+
+export function translatorNames() {
+  return listTranslators().map((adapter) => adapter.name);
+}
+
+/** Adapters that can also detect the language of a text. */
+export function listDetectors() {
+  return [...adapters.values()].filter((adapter) => typeof adapter.detect === "function");
+}
+
+/**
+ * Default health probe: translate a short English phrase into Spanish and report the outcome.
+ * @param {TranslatorAdapter} adapter
+ * @param {Object} env
+ * @param {{includeSrcLang?: boolean}} [options] - DeepL is probed without src_lang so it auto-detects
+ */
+export async function probeTranslation(adapter, env, { includeSrcLang = true } = {}) {
+  // The provider itself is probed, not the translation memory or the corrections
+  const testData = { text: "Hello world", tgt_langs: ["spa"], cache: false, corrections: false };
+  if (includeSrcLang) testData.src_lang = "eng";
+
+  // Real Request objects, since .json() can only be called once
+  const request = new Request("http://localhost/test", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(testData),
+  });
+
+  const start = Date.now();
+  try {
+    const res = await adapter.translate(request, env);
+    const elapsed = Date.now() - start;
+    const data = res.json ? await res.json() : res;
+
+    if (res.status && res.status >= 400) {
+      return {
+        status: "error",
+        error: data.error || "Unknown error",
+        details: data.details || null,
+        response_time_ms: elapsed,
+      };
+    }
+    return {
+      status: "success",
+      translation: data.spa || "No translation returned",
+      response_time_ms: elapsed,
+    };
+  } catch (error) {
+    console.error(`${adapter.label} probe error:`, error);
+    return {
+      status: "error",
+      error: error.message,
+      response_time_ms: null,
+    };
+  }
+}
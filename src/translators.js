@@ -0,0 +1,15 @@
+// Loads every translator module so its adapter is registered.
+// Registration order is the default translator priority used by assignTranslators.
+import './deepl_translator.js';
+import './google_translator.js';
+import './m2m_translator.js';
+import './openai.js';
+import './local_detector.js';
+
+export {
+  getTranslator,
+  listTranslators,
+  listDetectors,
+  translatorNames,
+  registerTranslator,
+} from './translator_registry.js';
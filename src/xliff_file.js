@@ -0,0 +1,171 @@
+// XLIFF 1.2 and 2.0 documents for POST /files/xliff.
+//
+// The document is edited as text rather than re-serialized, so everything outside the filled-in
+// targets (namespaces, skeletons, comments, whitespace) comes back byte for byte. Segments are
+// the inner XML of `<source>`; inline elements are protected as placeholders through
+// `protect_tags`, and entities are protected by the placeholder layer already.
+import { getISO2ForModel } from './language_codes.js';
+
+// Inline elements of both versions (1.2: x g bx ex ph bpt ept it mrk, 2.0: ph pc sc ec sm em mrk)
+export const XLIFF_INLINE_TAGS = ['x', 'g', 'bx', 'ex', 'ph', 'bpt', 'ept', 'it', 'mrk', 'pc', 'sc', 'ec', 'sm', 'em'];
+
+// Targets in these (1.2) states are translated again
+const RETRANSLATE_STATES = ['needs-translation', 'new'];
+
+const NOTE_FROM = 'ananas-api';
+
+const TARGET = /<target\b([^>]*?)(?:\/>|>([\s\S]*?)<\/target>)/;
+const SOURCE = /<source\b[^>]*>([\s\S]*?)<\/source>/;
+
+function attribute(attrs, name) {
+    return attrs.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`))?.[1] ?? null;
+}
+
+function setAttribute(tag, name, value) {
+    const pattern = new RegExp(`(\\s${name}\\s*=\\s*)"[^"]*"`);
+    if (pattern.test(tag)) return tag.replace(pattern, `$1"${value}"`);
+    return tag.replace(/\s*(\/?)>$/, ` ${name}="${value}"$1>`);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Translators may return bare `&` or `<`; escape anything that isn't an entity or an inline element
+function toXmlContent(text) {
+    const inline = XLIFF_INLINE_TAGS.join('|');
+    return text
+        .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+        .replace(new RegExp(`<(?!/?(?:${inline})\\b)`, 'g'), '&lt;');
+}
+
+function xliffVersion(document) {
+    const version = document.match(/<xliff\b[^>]*\sversion\s*=\s*"([^"]+)"/)?.[1];
+    if (!version) return null;
+    return version.startsWith('1.') ? 1 : version.startsWith('2.') ? 2 : null;
+}
+
+// `{ index, start, end, xml }` for every match of a global pattern
+function findAll(document, pattern) {
+    return [...document.matchAll(pattern)].map((match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        xml: match[0],
+    }));
+}
+
+function needsTranslation(container) {
+    if (!SOURCE.test(container)) return false;
+    const target = container.match(TARGET);
+    if (!target) return true;
+    const [, attrs, content = ''] = target;
+    return !content.trim() || RETRANSLATE_STATES.includes(attribute(attrs, 'state'));
+}
+
+/**
+ * Parse a /files/xliff request into segments.
+ * XLIFF 1.2: one segment per `<trans-unit>` (`<n>`). XLIFF 2.0: one per `<segment>` (`<unit>:<segment>`).
+ * @param {{document: string}} data
+ */
+export function parseXliffDocument(data) {
+    const { document } = data;
+    if (typeof document !== 'string' || !document.trim()) {
+        return { segments: [], error: "'document' must be the XLIFF file contents as a string." };
+    }
+    const version = xliffVersion(document);
+    if (!version) return { segments: [], error: 'Not an XLIFF 1.2 or 2.0 document.' };
+
+    const units = findAll(document, version === 1
+        ? /<trans-unit\b[^>]*>[\s\S]*?<\/trans-unit>/g
+        : /<unit\b[^>]*>[\s\S]*?<\/unit>/g);
+
+    const segments = [];
+    units.forEach((unit, unitIndex) => {
+        const openTag = unit.xml.match(/^<[^>]*>/)[0];
+        if (attribute(openTag, 'translate') === 'no') return;
+
+        const containers = version === 1
+            ? [unit.xml]
+            : findAll(unit.xml, /<segment\b[^>]*>[\s\S]*?<\/segment>/g).map((segment) => segment.xml);
+        containers.forEach((container, segmentIndex) => {
+            if (!needsTranslation(container)) return;
+            const source = container.match(SOURCE)[1];
+            if (!source.trim()) return;
+            segments.push({ id: version === 1 ? String(unitIndex) : `${unitIndex}:${segmentIndex}`, text: source });
+        });
+    });
+
+    return { segments, document, version, units, options: { protect_tags: XLIFF_INLINE_TAGS } };
+}
+
+// Fill the target of one 1.2 trans-unit or 2.0 segment
+function fillTarget(container, text, version) {
+    const target = container.match(TARGET);
+    if (target) {
+        let openTag = `<target${target[1]}>`;
+        if (version === 1) {
+            openTag = setAttribute(setAttribute(openTag, 'state', 'needs-review-translation'), 'state-qualifier', 'mt-suggestion');
+        }
+        return container.replace(TARGET, () => `${openTag}${text}</target>`);
+    }
+    const newTarget = version === 1
+        ? `<target state="needs-review-translation" state-qualifier="mt-suggestion">${text}</target>`
+        : `<target>${text}</target>`;
+    return container.replace(/<\/source>/, () => `</source>${newTarget}`);
+}
+
+// Record the translator in a note: 1.2 notes go at the end of the trans-unit, 2.0 notes in the
+// unit's <notes>, which has to come before its segments
+function addNote(unitXml, translator, version) {
+    const text = escapeXml(`Machine translated by ${translator}`);
+    if (version === 1) {
+        return unitXml.replace(/<\/trans-unit>$/, () =>
+            `<note from="${NOTE_FROM}" annotates="target">${text}</note></trans-unit>`);
+    }
+    const note = `<note category="${NOTE_FROM}" appliesTo="target">${text}</note>`;
+    if (/<notes\b[^>]*>/.test(unitXml)) return unitXml.replace(/<\/notes>/, () => `${note}</notes>`);
+    return unitXml.replace(/^<[^>]*>/, (openTag) => `${openTag}<notes>${note}</notes>`);
+}
+
+/**
+ * Write the document for one target language with the translated targets filled in, the
+ * producing translator noted on each unit and the target language set.
+ */
+export function buildXliffDocument(parsed, translations, lang, metadata = {}) {
+    const { document, version, units } = parsed;
+    const translator = metadata.translators?.[lang] || 'machine translation';
+    const languageTag = getISO2ForModel(lang) || lang;
+
+    let output = '';
+    let last = 0;
+    units.forEach((unit, unitIndex) => {
+        let unitXml = unit.xml;
+        let filled = false;
+
+        if (version === 1) {
+            const text = translations[String(unitIndex)];
+            if (typeof text === 'string') {
+                unitXml = fillTarget(unitXml, toXmlContent(text), version);
+                filled = true;
+            }
+        } else {
+            let segmentIndex = 0;
+            unitXml = unitXml.replace(/<segment\b[^>]*>[\s\S]*?<\/segment>/g, (segment) => {
+                const text = translations[`${unitIndex}:${segmentIndex++}`];
+                if (typeof text !== 'string') return segment;
+                filled = true;
+                return fillTarget(segment, toXmlContent(text), version);
+            });
+        }
+
+        if (filled) unitXml = addNote(unitXml, translator, version);
+        output += document.slice(last, unit.start) + unitXml;
+        last = unit.end;
+    });
+    output += document.slice(last);
+
+    // Target language: on every <file> in 1.2, on the root element in 2.0
+    return version === 1
+        ? output.replace(/<file\b[^>]*>/g, (tag) => setAttribute(tag, 'target-language', languageTag))
+        : output.replace(/<xliff\b[^>]*>/, (tag) => setAttribute(tag, 'trgLang', languageTag));
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { parseXliffDocument, buildXliffDocument } from './xliff_file.js';
+import { handleFilesRequest } from './files.js';
+
+const XLIFF_12 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" datatype="plaintext" original="app">
+    <body>
+      <trans-unit id="greeting">
+        <source>Hello <g id="1">world</g>!</source>
+      </trans-unit>
+      <trans-unit id="done">
+        <source>Done</source>
+        <target state="translated">Hecho</target>
+      </trans-unit>
+      <trans-unit id="retry">
+        <source>Save <x id="2"/> &amp; close</source>
+        <target state="needs-translation"></target>
+      </trans-unit>
+      <trans-unit id="code" translate="no">
+        <source>npm install</source>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>`;
+
+const XLIFF_20 = `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en">
+  <file id="f1">
+    <unit id="u1">
+      <segment><source>Open <pc id="1">settings</pc></source></segment>
+      <segment><source>Ready</source><target>Listo</target></segment>
+    </unit>
+  </file>
+</xliff>`;
+
+describe('parseXliffDocument', () => {
+  it('finds 1.2 units without a target or needing translation', () => {
+    const { segments, options } = parseXliffDocument({ document: XLIFF_12 });
+    expect(segments).toEqual([
+      { id: '0', text: 'Hello <g id="1">world</g>!' },
+      { id: '2', text: 'Save <x id="2"/> &amp; close' },
+    ]);
+    expect(options.protect_tags).toContain('g');
+  });
+
+  it('finds 2.0 segments without a target', () => {
+    const { segments } = parseXliffDocument({ document: XLIFF_20 });
+    expect(segments).toEqual([{ id: '0:0', text: 'Open <pc id="1">settings</pc>' }]);
+  });
+
+  it('rejects documents that are not XLIFF', () => {
+    expect(parseXliffDocument({ document: '<html></html>' }).error).toMatch(/XLIFF/);
+  });
+});
+
+describe('buildXliffDocument', () => {
+  it('fills 1.2 targets, notes the translator and sets the target language', () => {
+    const parsed = parseXliffDocument({ document: XLIFF_12 });
+    const xml = buildXliffDocument(parsed, { 0: 'Hola <g id="1">mundo</g>!', 2: 'Guardar <x id="2"/> & cerrar' }, 'spa', {
+      translators: { spa: 'deepl' },
+    });
+
+    expect(xml).toContain('<file source-language="en" datatype="plaintext" original="app" target-language="es">');
+    expect(xml).toContain('<source>Hello <g id="1">world</g>!</source><target state="needs-review-translation" state-qualifier="mt-suggestion">Hola <g id="1">mundo</g>!</target>');
+    expect(xml).toContain('<target state="needs-review-translation" state-qualifier="mt-suggestion">Guardar <x id="2"/> &amp; cerrar</target>');
+    expect(xml).toContain('<note from="ananas-api" annotates="target">Machine translated by deepl</note></trans-unit>');
+    expect(xml).toContain('<target state="translated">Hecho</target>\n      </trans-unit>');
+  });
+
+  it('fills 2.0 targets and adds a unit note before the segments', () => {
+    const parsed = parseXliffDocument({ document: XLIFF_20 });
+    const xml = buildXliffDocument(parsed, { '0:0': 'Abrir <pc id="1">ajustes</pc>' }, 'spa', { translators: { spa: 'google' } });
+
+    expect(xml).toContain('srcLang="en" trgLang="es">');
+    expect(xml).toContain('<unit id="u1"><notes><note category="ananas-api" appliesTo="target">Machine translated by google</note></notes>');
+    expect(xml).toContain('<source>Open <pc id="1">settings</pc></source><target>Abrir <pc id="1">ajustes</pc></target>');
+    expect(xml).toContain('<target>Listo</target>');
+  });
+});
+
+describe('POST /files/xliff', () => {
+  it('keeps inline elements away from the translators', async () => {
+    const seen = [];
+    const env = {
+      AI: {
+        run: async (model, params) => {
+          const requests = params.requests || [params];
+          seen.push(...requests.map((r) => r.text));
+          const results = requests.map((r) => ({ translated_text: r.text.replace('Hello', 'Hola').replace('world', 'mundo') }));
+          return params.requests ? results : results[0];
+        },
+      },
+    };
+    const request = { json: async () => ({ document: XLIFF_12, src_lang: 'eng', tgt_langs: ['spa'], translators: ['m2m'] }) };
+    const body = await (await handleFilesRequest(request, env, 'xliff')).json();
+
+    expect(seen).toContain('Hello ⟦0⟧world⟦1⟧!');
+    expect(body.documents.spa).toContain('<target state="needs-review-translation" state-qualifier="mt-suggestion">Hola <g id="1">mundo</g>!</target>');
+    expect(body.documents.spa).toContain('Machine translated by m2m');
+  });
+});
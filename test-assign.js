@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import './src/translators.js';
 import { assignTranslators } from './src/lang_utils.js';
 
 const __filename = fileURLToPath(import.meta.url);